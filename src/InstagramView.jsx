@@ -1,10 +1,66 @@
 // src/InstagramView.jsx
 import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
-import { v4 as uuidv4 } from "uuid";
 import {
-  calculateNextInterval,
-  calculateNextReviewDate,
+  reviewCard,
+  convertCardToScheduler,
+  isInLearningSteps,
+  isCardDue,
+  isCardOverdue,
+  getStatusForQuality,
+  QUALITY,
+  QUALITY_DESCRIPTIONS,
 } from "./srsAlgorithm";
+import { createInitialCards } from "./wordLoader";
+import { loadCards, saveCards, deleteCards, replaceCards, appendReviewLog } from "./cardStorage";
+import { createReviewLogEntry } from "./reviewLog";
+import { loadSettings, saveSettings } from "./settings";
+import { getStudyDay } from "./dateUtils";
+import { buildStudyQueue, getModeCards, isNewCard } from "./studyQueue";
+import { getQualityForAnswer, isArticleCard } from "./answerMatching";
+import { isClozeCard } from "./cloze";
+import { isConjugationCard, hasConjugationForm, CONJUGATION_TRACKS } from "./conjugation";
+import { isPluralCard } from "./nounForms";
+import { isSentenceCard } from "./verbSentences";
+import { watchGermanVoice, speakCard } from "./speech";
+import { isRecognitionSupported } from "./speechRecognition";
+import { getExerciseForMode, getCardDirection, getExerciseTracks } from "./exercises";
+import { matchesWordTags, getLevelProgress } from "./wordTags";
+import {
+  BUILTIN_DECK,
+  BUILTIN_DECK_ID,
+  loadDecks,
+  saveDecks,
+  createDeck,
+  getCardDeck,
+  isCustomCard,
+  matchesDecks,
+  getCardContent,
+  createCustomCard,
+  updateCustomCard,
+  resetCustomCard,
+} from "./decks";
+import { applyOverrides, hasOverrides, overrideCard, restoreCard } from "./cardOverrides";
+import { createBackup, getBackupFileName, readBackup } from "./backup";
+import {
+  getTrackView,
+  updateTrack,
+  updateAllTracks,
+  createTrackState,
+  parseCardKey,
+  ARTICLE_TRACK,
+  CLOZE_TRACK,
+  LISTENING_TRACK,
+  SPEAKING_TRACK,
+  PLURAL_TRACK,
+  SENTENCE_TRACK,
+} from "./cardTracks";
+import {
+  loadDailyProgress,
+  saveDailyProgress,
+  recordDailyRating,
+  ensureCurrentDay,
+  getRemainingLimits,
+} from "./dailyLimits";
 import './InstagramView.css';
 import './components/BrowsePage.css';
 import BurgerMenu from './components/BurgerMenu';
@@ -12,39 +68,32 @@ import SearchButton from './components/SearchButton';
 import SettingsPanel from './components/SettingsPanel';
 import BrowsePage from './components/BrowsePage';
 import FullScreenCard from './components/FullScreenCard';
+import SessionComplete from './components/SessionComplete';
+import CardEditor from './components/CardEditor';
 import initialWordsData from "./data/initialWords.json";
 
-const InstagramView = () => {
-  // Create initial words once per session using useMemo to prevent recreation
-  const initialWords = useMemo(() => {
-    console.log("Loading initial words data - this should only happen once per session");
-    return initialWordsData.map((wordData) => ({
-      id: uuidv4(),
-      word: wordData.word,
-      article: wordData.article || "",
-      type: wordData.type,
-      sentence: wordData.sentence,
-      meaning: wordData.meaning,
-      sentenceMeaning: wordData.sentenceMeaning,
-      count: 0,
-      status: null, // No default status - assigned when first rated
-      // SRS fields
-      nextReview: null,
-      interval: 1,
-      easeFactor: 2.5,
-      consecutiveCorrect: 0,
-      createdDate: new Date().toISOString(),
-      lastReviewed: null,
-      totalReviews: 0,
-      mistakeCount: 0,
-    }));
-  }, []); // Empty dependency array ensures this only runs once per component mount
+// Keyboard shortcuts for rating the back of a card (arrows kept from the thumbs era)
+const RATING_KEYS = {
+  "1": QUALITY.AGAIN,
+  "2": QUALITY.HARD,
+  "3": QUALITY.GOOD,
+  "4": QUALITY.EASY,
+  ArrowUp: QUALITY.GOOD,
+  ArrowDown: QUALITY.AGAIN,
+};
+
+// Longest delay setTimeout can wait (about 24.8 days); longer ones fire at once
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// Study modes whose queues are capped by the daily new card and review limits
+const DAILY_LIMITED_MODES = ["random", "new", "articles", "cloze", "listening", "speaking", "conjugation", "plurals", "sentences"];
 
+const InstagramView = () => {
   // Function to get fresh copy of initial words (for resets)
   const createInitialWords = useCallback(() => {
     console.log("Creating fresh copy of initial words");
-    return initialWords.map(word => ({ ...word, id: uuidv4() }));
-  }, [initialWords]);
+    return createInitialCards(initialWordsData);
+  }, []);
 
   // Core application state
   const [words, setWords] = useState([]);
@@ -52,12 +101,26 @@ const InstagramView = () => {
   const [currentCardIndex, setCurrentCardIndex] = useState(0);
   // eslint-disable-next-line no-unused-vars
   const [isFlipped, setIsFlipped] = useState(false);
+  // Whether the browser can recognise speech (the Speaking mode is hidden without it)
+  const [canRecognize] = useState(isRecognitionSupported);
   const [studyMode, setStudyMode] = useState(() => {
     // Load study mode from localStorage or default to "random"
     const savedStudyMode = localStorage.getItem("studyMode");
+    if (savedStudyMode === "speaking" && !canRecognize) return "random";
     return savedStudyMode || "random";
   });
+  const [settings, setSettings] = useState(loadSettings);
+  // The built-in deck and the user's own decks
+  const [decks, setDecks] = useState(loadDecks);
   const [stats, setStats] = useState({});
+  // New cards and reviews studied today, for the daily limits
+  const [dailyProgress, setDailyProgress] = useState(() => loadDailyProgress(getStudyDay(new Date(), settings)));
+  // Seed for the queue shuffle, fixed per session so rebuilding the queue after a rating keeps its order
+  const [queueSeed] = useState(() => Date.now());
+  // Bumped when a learning step elapses so the queue re-surfaces the card
+  const [stepTimerTick, setStepTimerTick] = useState(0);
+  // Whether the browser can read German aloud (voices load asynchronously)
+  const [canSpeak, setCanSpeak] = useState(false);
   const [theme, setTheme] = useState("light");
   const [filteredWords, setFilteredWords] = useState([]);
   const [searchTerm, setSearchTerm] = useState("");
@@ -73,53 +136,54 @@ const InstagramView = () => {
 
   // Prevent double-click ratings
   const lastRatingTime = useRef(0);
+  // Latest words for rating handlers, which must read the card before updating it
+  const wordsRef = useRef(words);
+  wordsRef.current = words;
+  // When the visible card appeared, for the review log's time-on-card
+  const cardShownAtRef = useRef(Date.now());
+  // Card whose exercise answer was just auto-graded, so rating keys don't grade it twice
+  const gradedCardKeyRef = useRef(null);
   
-  // Load and migrate data from localStorage on startup
+  // Last saved version of each card, used to write only the cards that changed
+  const savedCardsRef = useRef(new Map());
+
+  // Load and migrate saved cards on startup
   useEffect(() => {
-    const savedData = localStorage.getItem("flashcards");
-    let loadedWords;
-
-    if (savedData) {
-      try {
-        const parsedData = JSON.parse(savedData);
-
-        // Check if saved data has the correct number of words and all required properties
-        const hasCorrectCount = parsedData.length === initialWordsData.length;
-        const hasRequiredProperties = parsedData.every(
-          (word) =>
-            word.hasOwnProperty("article") && word.hasOwnProperty("type")
-        );
+    let cancelled = false;
 
-        if (hasCorrectCount && hasRequiredProperties) {
-          loadedWords = parsedData;
-          
-          // Migrate existing data: convert any cards with default 'learning' status to null
-          loadedWords = loadedWords.map(word => {
-            if (word.status === 'learning' && word.totalReviews === 0) {
-              return { ...word, status: null };
-            }
-            return word;
-          });
-          
-          setWords(loadedWords);
-        } else {
-          console.log("Data structure mismatch, loading fresh data");
-          setWords(createInitialWords());
-        }
-      } catch (error) {
-        console.error("Error parsing saved data:", error);
-        setWords(createInitialWords());
+    loadCards(initialWordsData).then(({ cards, error, restoredFromBackup }) => {
+      if (cancelled) return;
+      savedCardsRef.current = new Map(cards.map(card => [card.id, card]));
+      setWords(cards);
+
+      if (error) {
+        alert(restoredFromBackup
+          ? "Your saved progress could not be read, so it was restored from the last backup copy."
+          : "Your saved progress could not be read and fresh cards were loaded. The unreadable data was kept as a separate copy.");
       }
-    } else {
-      setWords(createInitialWords());
-    }
-  }, [createInitialWords]);
+    }).catch(error => {
+      console.error("Error loading flashcards:", error);
+      if (!cancelled) {
+        alert("Your flashcards could not be loaded. Check that the browser allows this site to store data, then reload the page.");
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
 
-  // Save to localStorage whenever words change
+  // Save only the cards that changed since the last save
   useEffect(() => {
-    if (words.length > 0) {
-      localStorage.setItem("flashcards", JSON.stringify(words));
-    }
+    if (words.length === 0) return;
+
+    const changedCards = words.filter(word => savedCardsRef.current.get(word.id) !== word);
+    if (changedCards.length === 0) return;
+
+    changedCards.forEach(card => savedCardsRef.current.set(card.id, card));
+    saveCards(changedCards).catch(error => {
+      console.error("Error saving flashcards:", error);
+    });
   }, [words]);
 
   // Save study mode to localStorage whenever it changes
@@ -127,188 +191,175 @@ const InstagramView = () => {
     localStorage.setItem("studyMode", studyMode);
   }, [studyMode]);
 
-  // Filter words based on study mode
+  // Save settings to localStorage whenever they change
   useEffect(() => {
-    if (words.length === 0) return;
+    saveSettings(settings);
+  }, [settings]);
 
-    let filtered = [...words];
+  // Save the deck list whenever it changes
+  useEffect(() => {
+    saveDecks(decks);
+  }, [decks]);
 
-    if (studyMode === "random") {
-      // Smart SRS-based Random Mode
-      const today = new Date();
-      
-      // Categorize cards by SRS priority
-      const overdueCards = words.filter(word => 
-        word.nextReview && new Date(word.nextReview) < today && word.totalReviews > 0
-      );
-      
-      const dueCards = words.filter(word => 
-        word.nextReview && 
-        new Date(word.nextReview).toDateString() === today.toDateString() && 
-        word.totalReviews > 0
-      );
-      
-      const newCards = words.filter(word => 
-        word.status === null || word.totalReviews === 0
-      );
-      
-      const futureCards = words.filter(word => 
-        word.nextReview && new Date(word.nextReview) > today && word.totalReviews > 0
-      );
-      
-      // Prioritize cards with weighted random selection
-      const prioritizedCards = [
-        ...overdueCards,     // Show ALL overdue cards first
-        ...overdueCards,     // Double weight for overdue
-        ...dueCards,         // Show due cards
-        ...newCards,         // Mix in new cards
-        ...futureCards.slice(0, Math.ceil(futureCards.length * 0.1)) // Only 10% of future cards
-      ];
-      
-      // Shuffle the prioritized list to maintain randomness within priorities
-      filtered = prioritizedCards.sort(() => Math.random() - 0.5);
-      
-      // If no prioritized cards, fall back to all cards
-      if (filtered.length === 0) {
-        filtered = words.sort(() => Math.random() - 0.5);
-      }
-      
-      // Always ensure we have all cards available in random mode for continuous learning
-      // Add any missing cards that weren't included in priorities
-      const includedIds = new Set(filtered.map(card => card.id));
-      const missingCards = words.filter(word => !includedIds.has(word.id));
-      if (missingCards.length > 0) {
-        // Add missing cards with lower priority (at the end)
-        filtered = [...filtered, ...missingCards.sort(() => Math.random() - 0.5)];
-      }
-    } else if (studyMode === "new") {
-      // New Words: Pure new cards + SRS priority for unrated cards
-      const newCards = words.filter((word) => word.status === null || word.totalReviews === 0);
-      
-      // Sort new cards by creation date (oldest first) to ensure systematic learning
-      filtered = newCards.sort((a, b) => {
-        const dateA = new Date(a.createdDate || 0);
-        const dateB = new Date(b.createdDate || 0);
-        return dateA - dateB;
-      });
-      
-    } else if (studyMode === "learning") {
-      // Viewed Words: SRS-smart ordering for cards in learning phase
-      const learningCards = words.filter((word) => word.status === "learning");
-      
-      // Prioritize by SRS schedule and difficulty
-      filtered = learningCards.sort((a, b) => {
-        const today = new Date();
-        
-        // Cards due/overdue get highest priority
-        const aIsDue = a.nextReview && new Date(a.nextReview) <= today;
-        const bIsDue = b.nextReview && new Date(b.nextReview) <= today;
-        
-        if (aIsDue && !bIsDue) return -1;
-        if (!aIsDue && bIsDue) return 1;
-        
-        // Among due cards, prioritize by how overdue they are
-        if (aIsDue && bIsDue) {
-          const aOverdue = today - new Date(a.nextReview);
-          const bOverdue = today - new Date(b.nextReview);
-          return bOverdue - aOverdue; // More overdue first
-        }
-        
-        // For non-due cards, prioritize by difficulty (lower ease factor = harder = higher priority)
-        const aEase = a.easeFactor || 2.5;
-        const bEase = b.easeFactor || 2.5;
-        return aEase - bEase; // Lower ease factor (harder) first
-      });
-      
-    } else if (studyMode === "review") {
-      // Difficult Words: SRS-smart ordering for review cards
-      const reviewCards = words.filter((word) => word.status === "review");
-      
-      // Prioritize difficult cards by SRS metrics
-      filtered = reviewCards.sort((a, b) => {
-        const today = new Date();
-        
-        // Overdue difficult cards get absolute priority
-        const aIsDue = a.nextReview && new Date(a.nextReview) <= today;
-        const bIsDue = b.nextReview && new Date(b.nextReview) <= today;
-        
-        if (aIsDue && !bIsDue) return -1;
-        if (!aIsDue && bIsDue) return 1;
-        
-        // Among due cards, sort by difficulty metrics
-        if (aIsDue && bIsDue) {
-          // More mistakes = higher priority
-          const aMistakes = a.mistakeCount || 0;
-          const bMistakes = b.mistakeCount || 0;
-          if (aMistakes !== bMistakes) return bMistakes - aMistakes;
-          
-          // Lower ease factor = harder = higher priority
-          const aEase = a.easeFactor || 2.5;
-          const bEase = b.easeFactor || 2.5;
-          return aEase - bEase;
-        }
-        
-        // For future cards, still prioritize by difficulty
-        const aMistakes = a.mistakeCount || 0;
-        const bMistakes = b.mistakeCount || 0;
-        if (aMistakes !== bMistakes) return bMistakes - aMistakes;
-        
-        return (a.easeFactor || 2.5) - (b.easeFactor || 2.5);
-      });
-      
-    } else if (studyMode === "learned") {
-      // Learned Words: SRS-based maintenance review
-      const learnedCards = words.filter((word) => word.status === "learned");
-      
-      // Focus on learned cards that need maintenance review
-      filtered = learnedCards.sort((a, b) => {
-        const today = new Date();
-        
-        // Due learned cards get priority (maintenance review)
-        const aIsDue = a.nextReview && new Date(a.nextReview) <= today;
-        const bIsDue = b.nextReview && new Date(b.nextReview) <= today;
-        
-        if (aIsDue && !bIsDue) return -1;
-        if (!aIsDue && bIsDue) return 1;
-        
-        // Among due cards, prioritize by interval (shorter intervals = need more review)
-        if (aIsDue && bIsDue) {
-          const aInterval = a.interval || 1;
-          const bInterval = b.interval || 1;
-          return aInterval - bInterval; // Shorter interval first
-        }
-        
-        // For future cards, show recently learned first (shorter intervals)
-        const aInterval = a.interval || 1;
-        const bInterval = b.interval || 1;
-        return aInterval - bInterval;
-      });
+  // Save today's study counters whenever they change
+  useEffect(() => {
+    saveDailyProgress(dailyProgress);
+  }, [dailyProgress]);
+
+  // Merge changed settings into the current ones
+  const updateSettings = useCallback((changes) => {
+    setSettings(prev => ({ ...prev, ...changes }));
+  }, []);
+
+  // Switch scheduling algorithm, converting every card's state to the new one
+  const handleSchedulerChange = useCallback((schedulerId) => {
+    setWords(prevWords => prevWords.map(word =>
+      updateAllTracks(word, view => convertCardToScheduler(view, schedulerId))
+    ));
+    updateSettings({ scheduler: schedulerId });
+  }, [updateSettings]);
+
+  // Retired cards keep their progress in storage but are hidden from study
+  const activeWords = useMemo(() => words.filter(word => !word.retired), [words]);
+  // Every study mode is restricted to the selected decks, levels and categories
+  const studyWords = useMemo(() => activeWords.filter(word =>
+    matchesDecks(word, settings.studyDecks) &&
+    matchesWordTags(word, settings.studyLevels, settings.studyCategories)
+  ), [activeWords, settings.studyDecks, settings.studyLevels, settings.studyCategories]);
+  const levelProgress = useMemo(() => getLevelProgress(activeWords), [activeWords]);
+  const deckSummaries = useMemo(() => decks.map(deck => ({
+    ...deck,
+    cardCount: activeWords.filter(word => getCardDeck(word) === deck.id).length,
+  })), [decks, activeWords]);
+
+  // Add a card written in the card editor, or replace the edited one
+  const saveCustomCard = useCallback((card) => {
+    setWords(prevWords => prevWords.some(word => word.id === card.id)
+      ? prevWords.map(word => word.id === card.id ? card : word)
+      : [...prevWords, card]
+    );
+  }, []);
+
+  // Dataset content of the bundled cards, to correct and restore them against
+  const datasetCards = useMemo(() => new Map(createInitialWords().map(card => [card.id, card])), [createInitialWords]);
+
+  const createCard = useCallback((fields) => {
+    saveCustomCard(createCustomCard(fields));
+  }, [saveCustomCard]);
+
+  // Add the rows of a spreadsheet import as new cards
+  const importCards = useCallback((fieldsList) => {
+    const cards = fieldsList.map(createCustomCard);
+    setWords(prevWords => [...prevWords, ...cards]);
+  }, []);
+
+  // Save the card editor's changes: user cards are rewritten, bundled cards
+  // get the changes as an override layer over the dataset content
+  const editCard = useCallback((cardId, fields) => {
+    const card = wordsRef.current.find(word => word.id === cardId);
+    if (!card) return;
+    if (isCustomCard(card)) {
+      saveCustomCard(updateCustomCard(card, fields));
+      return;
+    }
+    const original = datasetCards.get(cardId);
+    if (!original) {
+      console.warn(`No dataset entry for card ${cardId}, not saving the correction`);
+      return;
     }
+    saveCustomCard(overrideCard(card, getCardContent(fields), original));
+  }, [datasetCards, saveCustomCard]);
 
-    setFilteredWords(filtered);
+  // Drop the user's corrections of a bundled card
+  const restoreOriginalCard = useCallback((cardId) => {
+    const card = wordsRef.current.find(word => word.id === cardId);
+    const original = datasetCards.get(cardId);
+    if (card && original) saveCustomCard(restoreCard(card, original));
+  }, [datasetCards, saveCustomCard]);
+
+  // Remove cards from the collection and from storage
+  const removeCards = useCallback((ids) => {
+    ids.forEach(id => savedCardsRef.current.delete(id));
+    deleteCards(ids).catch(error => {
+      console.error("Error deleting flashcards:", error);
+    });
+    setWords(prevWords => prevWords.filter(word => !ids.includes(word.id)));
+  }, []);
+
+  const addDeck = useCallback((name) => {
+    const deck = createDeck(name);
+    setDecks(prevDecks => [...prevDecks, deck]);
+    return deck;
+  }, []);
+
+  const renameDeck = useCallback((deckId, name) => {
+    setDecks(prevDecks => prevDecks.map(deck => deck.id === deckId ? { ...deck, name } : deck));
+  }, []);
+
+  // Delete a user deck together with its cards
+  const deleteDeck = useCallback((deckId) => {
+    removeCards(wordsRef.current.filter(word => getCardDeck(word) === deckId).map(word => word.id));
+    setDecks(prevDecks => prevDecks.filter(deck => deck.id !== deckId));
+    setSettings(prev => ({ ...prev, studyDecks: prev.studyDecks.filter(id => id !== deckId) }));
+  }, [removeCards]);
+
+  // How cards are asked in this mode, and which SRS tracks are studied
+  const exercise = getExerciseForMode(studyMode, settings.exercise);
+  const cardDirection = getCardDirection(settings.cardDirections, studyMode);
+  const studyTracks = useMemo(() => getExerciseTracks(exercise, cardDirection), [exercise, cardDirection]);
+
+  // Build the study queue for the current mode
+  useEffect(() => {
+    if (activeWords.length === 0) return;
+
+    const now = new Date();
+    const queue = buildStudyQueue(studyWords, studyMode, {
+      settings,
+      remaining: getRemainingLimits(ensureCurrentDay(dailyProgress, getStudyDay(now, settings)), settings),
+      now,
+      seed: queueSeed,
+      currentCardKey: visibleCardKey,
+      tracks: studyTracks,
+    });
+
+    setFilteredWords(queue);
 
     // DON'T auto-switch cards - let user navigate manually
-    // Only set initial card if no card is selected
-    if (!visibleCardId && filtered.length > 0) {
-      setVisibleCardId(filtered[0].id);
+    // Only set initial card if no card is selected, or the selected one belongs
+    // to a track this mode doesn't study (e.g. after switching to Fill the Gap)
+    // or falls outside the selected levels and categories
+    const visibleCard = visibleCardKey && parseCardKey(visibleCardKey);
+    const isVisibleCardStudied = visibleCard && studyTracks.includes(visibleCard.trackId) &&
+      studyWords.some(word => word.id === visibleCard.cardId);
+    if (!isVisibleCardStudied) {
+      setVisibleCardKey(queue.length > 0 ? queue[0].key : null);
     }
+  }, [searchTerm, activeWords, studyWords, studyMode, sortBy, stepTimerTick, dailyProgress, settings, queueSeed, studyTracks]);
 
-    // Update stats whenever words or filtering changes
-    const today = new Date();
-    const newStats = {
-      new: words.filter((word) => word.status === null || word.totalReviews === 0).length,
-      learning: words.filter((word) => word.status === "learning").length,
-      review: words.filter((word) => word.status === "review").length,
-      learned: words.filter((word) => word.status === "learned").length,
-      due: words.filter((word) => 
-        word.nextReview && new Date(word.nextReview) <= today && word.totalReviews > 0
-      ).length,
-      overdue: words.filter((word) => 
-        word.nextReview && new Date(word.nextReview) < today && word.totalReviews > 0
-      ).length,
-    };
-    setStats(newStats);
-  }, [searchTerm, words, studyMode, sortBy]);
+  // Rebuild the queue when the next learning step elapses
+  useEffect(() => {
+    const modeWords = getModeCards(studyWords, studyMode);
+    const stepDueTimes = studyTracks
+      .flatMap(track => modeWords.map(word => getTrackView(word, track)))
+      .filter(word => isInLearningSteps(word) && word.nextReview)
+      .map(word => new Date(word.nextReview).getTime())
+      .filter(time => time > Date.now());
+    if (stepDueTimes.length === 0) return;
+
+    const timer = setTimeout(() => {
+      setStepTimerTick(tick => tick + 1);
+    }, Math.min(Math.min(...stepDueTimes) - Date.now(), MAX_TIMER_DELAY));
+    return () => clearTimeout(timer);
+  }, [studyWords, studyMode, studyTracks, stepTimerTick]);
+
+  // Find out whether a German voice is available for pronunciation, and
+  // leave Listening once it is clear there is none (it is hidden then)
+  useEffect(() => watchGermanVoice((available, isSettled) => {
+    setCanSpeak(available);
+    if (isSettled && !available) {
+      setStudyMode(mode => mode === "listening" ? "random" : mode);
+    }
+  }), []);
 
   // Load theme from localStorage on startup
   useEffect(() => {
@@ -319,15 +370,17 @@ const InstagramView = () => {
   }, []);
 
   // Track which card is currently visible
-  const [visibleCardId, setVisibleCardId] = useState(null);
+  const [visibleCardKey, setVisibleCardKey] = useState(null);
   // Settings panel state
   const [isSettingsPanelOpen, setIsSettingsPanelOpen] = useState(false);
   // Browse page state
   const [isBrowsePageOpen, setIsBrowsePageOpen] = useState(false);
+  // ID of the card being edited from the study view
+  const [editingCardId, setEditingCardId] = useState(null);
   // Track flipped state for each card separately
   const [flippedCards, setFlippedCards] = useState(new Set());
   // Track which cards have already been marked as viewed to prevent duplicates
-  const [viewedCardIds, setViewedCardIds] = useState(new Set());
+  const [viewedCardKeys, setViewedCardKeys] = useState(new Set());
   const observers = useRef(new Map());
   
   // Touch/swipe handling state
@@ -338,7 +391,7 @@ const InstagramView = () => {
   // Instagram-style swipe animation state
   const [currentTransform, setCurrentTransform] = useState(0);
   const [isSwipingActive, setIsSwipingActive] = useState(false);
-  const [nextCardId, setNextCardId] = useState(null);
+  const [nextCardKey, setNextCardKey] = useState(null);
   const [swipeDirection, setSwipeDirection] = useState(null);
   const [isAnimating, setIsAnimating] = useState(false);
   const animationTimeoutRef = useRef(null);
@@ -362,6 +415,59 @@ const InstagramView = () => {
     }
   }, [isSettingsPanelOpen]);
 
+  // Count cards per mode for the settings panel, only while it is open:
+  // the drill counts walk every skill track of every studied card
+  useEffect(() => {
+    if (!isSettingsPanelOpen) return;
+
+    const now = new Date();
+    // New and due counts of a skill track, for the drill modes
+    const countTrack = (cards, track) => {
+      const views = cards.map(word => getTrackView(word, track));
+      return {
+        new: views.filter(isNewCard).length,
+        due: views.filter((word) => word.totalReviews > 0 && isCardDue(word, settings, now)).length,
+      };
+    };
+    const articleCounts = countTrack(studyWords.filter(isArticleCard), ARTICLE_TRACK);
+    const clozeCounts = countTrack(studyWords.filter(isClozeCard), CLOZE_TRACK);
+    const listeningCounts = countTrack(studyWords, LISTENING_TRACK);
+    const speakingCounts = countTrack(studyWords, SPEAKING_TRACK);
+    const pluralCounts = countTrack(studyWords.filter(isPluralCard), PLURAL_TRACK);
+    const sentenceCounts = countTrack(studyWords.filter(isSentenceCard), SENTENCE_TRACK);
+    // Conjugation counts forms, summed over every person and tense
+    const verbs = studyWords.filter(isConjugationCard);
+    const conjugationCounts = CONJUGATION_TRACKS.reduce((counts, track) => {
+      const trackCounts = countTrack(verbs.filter(word => hasConjugationForm(word, track)), track);
+      return { new: counts.new + trackCounts.new, due: counts.due + trackCounts.due };
+    }, { new: 0, due: 0 });
+    const newStats = {
+      new: studyWords.filter(isNewCard).length,
+      learning: studyWords.filter((word) => word.status === "learning").length,
+      review: studyWords.filter((word) => word.status === "review").length,
+      learned: studyWords.filter((word) => word.status === "learned").length,
+      due: studyWords.filter((word) => 
+        word.totalReviews > 0 && isCardDue(word, settings, now)
+      ).length,
+      overdue: studyWords.filter((word) => isCardOverdue(word, settings, now)).length,
+      articleNew: articleCounts.new,
+      articleDue: articleCounts.due,
+      clozeNew: clozeCounts.new,
+      clozeDue: clozeCounts.due,
+      listeningNew: listeningCounts.new,
+      listeningDue: listeningCounts.due,
+      speakingNew: speakingCounts.new,
+      speakingDue: speakingCounts.due,
+      conjugationNew: conjugationCounts.new,
+      conjugationDue: conjugationCounts.due,
+      pluralNew: pluralCounts.new,
+      pluralDue: pluralCounts.due,
+      sentenceNew: sentenceCounts.new,
+      sentenceDue: sentenceCounts.due,
+    };
+    setStats(newStats);
+  }, [isSettingsPanelOpen, studyWords, stepTimerTick, settings]);
+
   // Prevent body scrolling when browse page is open
   useEffect(() => {
     if (isBrowsePageOpen) {
@@ -382,19 +488,18 @@ const InstagramView = () => {
   }, [isBrowsePageOpen]);
   
   // Mark card as viewed (moves from fresh to in-progress)
-  const markCardAsViewed = useCallback((wordId) => {
+  const markCardAsViewed = useCallback((wordId, trackId) => {
     setWords(prevWords => 
       prevWords.map(word => {
         if (word.id !== wordId) return word;
         
-        // Only update if it's a fresh card (status is null)
-        if (word.status === null) {
+        // Only update if it's a fresh card (status is null) on the track being practised
+        if (getTrackView(word, trackId).status === null) {
           console.log('Marking card as viewed:', word.word, 'status: null -> learning');
-          return {
-            ...word,
+          return updateTrack(word, trackId, {
             status: "learning", // Move to Viewed state
             lastReviewed: new Date().toISOString(),
-          };
+          });
         }
         
         return word;
@@ -402,69 +507,56 @@ const InstagramView = () => {
     );
   }, []);
 
-  const updateWordWithSRS = useCallback((wordId, quality, isToggle = false) => {
-    setWords(prevWords => 
-      prevWords.map(word => {
-        if (word.id !== wordId) return word;
-        
-        // Handle toggle vs normal rating
-        let newStatus;
-        if (isToggle) {
-          // Toggle: reset to learning state
-          newStatus = "learning";
-          console.log('🔄 Toggle pressed - resetting to learning:', word.word);
-        } else {
-          // Normal rating: set based on quality
-          if (quality === 1) {
-            newStatus = "learned"; // Thumbs up = Learned
-            console.log('👍 Thumbs up pressed - marking as learned:', word.word);
-          } else if (quality === 0) {
-            newStatus = "review"; // Thumbs down = Needs Review
-            console.log('👎 Thumbs down pressed - marking as difficult:', word.word);
-          }
-        }
+  const updateWordWithSRS = useCallback((wordId, trackId, quality, answer = null) => {
+    const storedWord = wordsRef.current.find(card => card.id === wordId);
+    if (!storedWord) return;
+    // Rate the track being practised (meaning recall, reverse, article, ...)
+    const word = getTrackView(storedWord, trackId);
 
-        // Calculate SRS values
-        const updatedWord = {
-          ...word,
-          status: newStatus,
-          lastReviewed: new Date().toISOString(),
-          totalReviews: (word.totalReviews || 0) + 1,
-        };
+    const newStatus = getStatusForQuality(quality);
+    console.log(`Rated "${QUALITY_DESCRIPTIONS[quality].label}":`, word.word, '->', newStatus);
 
-        if (!isToggle) {
-          const currentInterval = word.interval || 1;
-          const currentEaseFactor = word.easeFactor || 2.5;
-          const currentConsecutiveCorrect = word.consecutiveCorrect || 0;
-          
-          const srsResult = calculateNextInterval(
-            quality, 
-            currentInterval, 
-            currentEaseFactor, 
-            currentConsecutiveCorrect
-          );
-          
-          const nextReview = calculateNextReviewDate(srsResult.interval);
-          
-          updatedWord.interval = srsResult.interval;
-          updatedWord.nextReview = nextReview;
-          updatedWord.consecutiveCorrect = srsResult.consecutiveCorrect;
-          updatedWord.easeFactor = srsResult.easeFactor;
-          
-          // Update mistake count
-          if (quality < 1) {
-            updatedWord.mistakeCount = (word.mistakeCount || 0) + 1;
-          }
-        }
-        
-        return updatedWord;
-      })
+    // Calculate SRS values: learning steps first, then the selected scheduler
+    const now = new Date();
+    const srsResult = reviewCard(word, quality, settings, now);
+    
+    const updatedWord = {
+      ...word,
+      ...srsResult,
+      status: newStatus,
+      lastReviewed: now.toISOString(),
+      totalReviews: (word.totalReviews || 0) + 1,
+    };
+    
+    // Update mistake count
+    if (quality === QUALITY.AGAIN) {
+      updatedWord.mistakeCount = (word.mistakeCount || 0) + 1;
+    }
+
+    // Record the rating in the append-only review log
+    appendReviewLog(createReviewLogEntry({
+      card: word,
+      updatedCard: updatedWord,
+      quality,
+      timeSpentMs: Date.now() - cardShownAtRef.current,
+      studyMode,
+      exercise: exercise.id,
+      track: trackId,
+      answer,
+    })).catch(error => {
+      console.error("Error writing review log:", error);
+    });
+
+    setDailyProgress(prev => recordDailyRating(prev, word, getStudyDay(now, settings)));
+
+    setWords(prevWords => 
+      prevWords.map(card => (card.id === wordId ? updateTrack(card, trackId, updatedWord) : card))
     );
-  }, []);
+  }, [studyMode, settings, exercise.id]);
 
-  // Handle quality rating and status setting with toggle support
-  const handleQualityOrStatusRating = useCallback(
-    (quality) => {
+  // Handle quality rating (Again / Hard / Good / Easy)
+  const handleQualityRating = useCallback(
+    (quality, answer = null) => {
       // Prevent double-clicks within 300ms (reduced from 1000ms)
       const now = Date.now();
       if (now - lastRatingTime.current < 300) {
@@ -474,73 +566,51 @@ const InstagramView = () => {
       lastRatingTime.current = now;
       console.log('✅ Processing rating:', quality);
 
-      const currentCard = filteredWords.find(card => card.id === visibleCardId) || filteredWords[0];
+      const currentCard = filteredWords.find(card => card.key === visibleCardKey) || filteredWords[0];
       if (!currentCard) return;
 
-      updateWordWithSRS(currentCard.id, quality, false);
+      updateWordWithSRS(currentCard.id, currentCard.track, quality, answer);
 
       // Update session stats for all ratings
       setSessionStats(prev => ({
         ...prev,
         wordsStudied: prev.wordsStudied + 1,
-        correctAnswers: prev.correctAnswers + (quality >= 1 ? 1 : 0),
-        wrongAnswers: prev.wrongAnswers + (quality < 1 ? 1 : 0),
+        correctAnswers: prev.correctAnswers + (quality > QUALITY.AGAIN ? 1 : 0),
+        wrongAnswers: prev.wrongAnswers + (quality === QUALITY.AGAIN ? 1 : 0),
       }));
 
       // No auto-navigation - stay on current card
       // The card will update its visual state to show the new rating
     },
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-    [studyMode, updateWordWithSRS, visibleCardId, filteredWords]
+    [updateWordWithSRS, visibleCardKey, filteredWords]
   );
 
-  // Handle toggle functionality - reset card to learning state without navigation
-  const handleToggleRating = useCallback(
-    (quality) => {
-      const currentCard = filteredWords.find(card => card.id === visibleCardId) || filteredWords[0];
-      if (!currentCard) return;
-
-      // Check if this is actually a toggle (card is in target state)
-      const isActualToggle = 
-        (quality === 1 && currentCard.status === 'learned') ||
-        (quality === 0 && currentCard.status === 'review');
-
-      if (isActualToggle) {
-        // Reset to learning state
-        updateWordWithSRS(currentCard.id, quality, true);
-        console.log('🔄 Toggling card back to learning state:', currentCard.word);
-        // No auto-navigation for toggles
-      } else {
-        // Not a toggle, treat as normal rating
-        handleQualityOrStatusRating(quality);
-      }
+  // Grade an answered exercise (typed word, picked article) and turn the card to show the solution
+  const handleExerciseAnswer = useCallback(
+    (result) => {
+      const quality = getQualityForAnswer(result, Date.now() - cardShownAtRef.current);
+      handleQualityRating(quality, { input: result.input, verdict: result.verdict });
+      gradedCardKeyRef.current = visibleCardKey;
+      setFlippedCards(prev => new Set(prev).add(visibleCardKey));
+      return quality;
     },
-    [filteredWords, visibleCardId, updateWordWithSRS, handleQualityOrStatusRating]
+    [handleQualityRating, visibleCardKey]
   );
 
   // Reset card to new state (no status)
   const resetCardToLearning = useCallback(() => {
-    const currentCard = filteredWords.find(card => card.id === visibleCardId) || filteredWords[0];
+    const currentCard = filteredWords.find(card => card.key === visibleCardKey) || filteredWords[0];
     if (!currentCard) return;
 
+    // Only the track being practised goes back to new/no status
     setWords(prevWords =>
       prevWords.map(word =>
         word.id === currentCard.id
-          ? {
-              ...word,
-              status: null, // Reset to new/no status
-              consecutiveCorrect: 0,
-              mistakeCount: 0,
-              totalReviews: 0,
-              nextReview: null,
-              lastReviewed: null,
-              easeFactor: 2.5,
-              interval: 1,
-            }
+          ? updateTrack(word, currentCard.track, createTrackState())
           : word
       )
     );
-  }, [filteredWords, visibleCardId]);
+  }, [filteredWords, visibleCardKey]);
 
   // Toggle theme between light and dark
   const toggleTheme = useCallback(() => {
@@ -554,32 +624,89 @@ const InstagramView = () => {
   // Reset data to fresh JSON file data
   const resetData = useCallback(() => {
     const confirmReset = window.confirm(
-      "Are you sure you want to reset all progress? This will restore the original word list and clear all your learning progress."
+      "Are you sure you want to reset all progress? This will restore the original word list and clear all your learning progress. Your own decks and cards, and your corrections to built-in cards, are kept."
     );
     
     if (confirmReset) {
-      setWords(createInitialWords());
+      // Corrections to built-in cards are content, not progress
+      const corrections = new Map(
+        wordsRef.current.filter(hasOverrides).map(card => [card.id, card.overrides])
+      );
+      const freshWords = [
+        ...createInitialWords().map(card =>
+          corrections.has(card.id) ? applyOverrides({ ...card, overrides: corrections.get(card.id) }) : card
+        ),
+        ...wordsRef.current.filter(isCustomCard).map(resetCustomCard),
+      ];
+      savedCardsRef.current = new Map(freshWords.map(card => [card.id, card]));
+      replaceCards(freshWords).catch(error => {
+        console.error("Error resetting flashcards:", error);
+      });
+      setWords(freshWords);
       setCurrentCardIndex(0);
       setIsFlipped(false);
       setSearchTerm("");
-      localStorage.removeItem("flashcards");
       alert("Data has been reset to the original state.");
     }
   }, [createInitialWords]);
 
+  // Download all cards, corrections and decks as a JSON backup file
+  const exportBackup = useCallback(() => {
+    const now = new Date();
+    const backup = JSON.stringify(createBackup(wordsRef.current, decks, now));
+    const url = URL.createObjectURL(new Blob([backup], { type: "application/json" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = getBackupFileName(now);
+    link.click();
+    URL.revokeObjectURL(url);
+  }, [decks]);
+
+  // Replace the collection with the contents of a backup file
+  const restoreBackup = useCallback((file) => {
+    file.text()
+      .then(text => {
+        const backup = readBackup(text, initialWordsData);
+        const confirmRestore = window.confirm(
+          `Replace all your cards, progress and decks with the ${backup.cards.length} cards in this backup?`
+        );
+        if (!confirmRestore) return;
+
+        savedCardsRef.current = new Map(backup.cards.map(card => [card.id, card]));
+        replaceCards(backup.cards).catch(error => {
+          console.error("Error restoring flashcards:", error);
+        });
+        setWords(backup.cards);
+        setDecks([BUILTIN_DECK, ...backup.decks]);
+        setSettings(prev => ({
+          ...prev,
+          studyDecks: prev.studyDecks.filter(id =>
+            id === BUILTIN_DECK_ID || backup.decks.some(deck => deck.id === id)
+          ),
+        }));
+        setCurrentCardIndex(0);
+        setIsFlipped(false);
+        alert("Your backup has been restored.");
+      })
+      .catch(error => {
+        console.error("Error reading backup:", error);
+        alert(`This backup could not be restored: ${error.message}.`);
+      });
+  }, []);
+
   // Get current card index for navigation
   const getCurrentCardIndex = () => {
-    if (!filteredWords.length || !visibleCardId) return -1;
-    return filteredWords.findIndex(card => card.id === visibleCardId);
+    if (!filteredWords.length || !visibleCardKey) return -1;
+    return filteredWords.findIndex(card => card.key === visibleCardKey);
   };
 
   // Get learning progress (how many cards have been studied at least once)
   const getLearningProgress = () => {
-    if (!words.length) return { studied: 0, total: words.length };
-    const studiedCards = words.filter(word => word.totalReviews > 0);
+    if (!studyWords.length) return { studied: 0, total: studyWords.length };
+    const studiedCards = studyWords.filter(word => word.totalReviews > 0);
     return { 
       studied: studiedCards.length, 
-      total: words.length 
+      total: studyWords.length 
     };
   };
   
@@ -600,7 +727,7 @@ const InstagramView = () => {
       
       // Reset animation state
       setCurrentTransform(0);
-      setNextCardId(null);
+      setNextCardKey(null);
       setSwipeDirection(null);
       setIsAnimating(false);
       
@@ -615,7 +742,7 @@ const InstagramView = () => {
     
     // Clean up after snap back animation
     setTimeout(() => {
-      setNextCardId(null);
+      setNextCardKey(null);
       setSwipeDirection(null);
       setIsAnimating(false);
     }, 350);
@@ -625,8 +752,8 @@ const InstagramView = () => {
   const navigateToCard = (index) => {
     if (index >= 0 && index < filteredWords.length && filteredWords[index]) {
       const targetCard = filteredWords[index];
-      if (targetCard && targetCard.id) {
-        setVisibleCardId(targetCard.id);
+      if (targetCard && targetCard.key) {
+        setVisibleCardKey(targetCard.key);
         
         if (setCurrentCardIndex) {
           setCurrentCardIndex(index);
@@ -634,7 +761,7 @@ const InstagramView = () => {
         
         setFlippedCards(prev => {
           const newSet = new Set(prev);
-          newSet.delete(targetCard.id);
+          newSet.delete(targetCard.key);
           return newSet;
         });
       }
@@ -643,61 +770,76 @@ const InstagramView = () => {
   
   // Navigate to next card
   const navigateNext = () => {
-    // Use the most current words array to ensure navigation always works
-    const wordsToUse = words.length > 0 ? words : filteredWords;
+    // Follow the study queue so re-surfaced learning cards come up in order
+    const wordsToUse = filteredWords;
     if (wordsToUse.length === 0) return;
     
-    const currentIndex = wordsToUse.findIndex(card => card.id === visibleCardId);
+    const currentIndex = wordsToUse.findIndex(card => card.key === visibleCardKey);
     console.log('navigateNext called - current index:', currentIndex, 'total cards:', wordsToUse.length);
     
     if (currentIndex >= 0 && currentIndex < wordsToUse.length - 1) {
-      setVisibleCardId(wordsToUse[currentIndex + 1].id);
+      setVisibleCardKey(wordsToUse[currentIndex + 1].key);
     } else {
       // Loop back to first card
-      setVisibleCardId(wordsToUse[0].id);
+      setVisibleCardKey(wordsToUse[0].key);
     }
   };
   
   // Navigate to previous card
   const navigatePrevious = () => {
-    // Use the most current words array to ensure navigation always works
-    const wordsToUse = words.length > 0 ? words : filteredWords;
+    // Follow the study queue so re-surfaced learning cards come up in order
+    const wordsToUse = filteredWords;
     if (wordsToUse.length === 0) return;
     
-    const currentIndex = wordsToUse.findIndex(card => card.id === visibleCardId);
+    const currentIndex = wordsToUse.findIndex(card => card.key === visibleCardKey);
     console.log('navigatePrevious called - current index:', currentIndex, 'total cards:', wordsToUse.length);
     
     if (currentIndex > 0) {
-      setVisibleCardId(wordsToUse[currentIndex - 1].id);
+      setVisibleCardKey(wordsToUse[currentIndex - 1].key);
     } else {
       // Loop to last card
-      setVisibleCardId(wordsToUse[wordsToUse.length - 1].id);
+      setVisibleCardKey(wordsToUse[wordsToUse.length - 1].key);
     }
   };
   
   // Set initial visible card
   useEffect(() => {
-    if (filteredWords.length > 0 && filteredWords[0] && filteredWords[0].id && !visibleCardId) {
-      setVisibleCardId(filteredWords[0].id);
+    if (filteredWords.length > 0 && filteredWords[0] && filteredWords[0].key && !visibleCardKey) {
+      setVisibleCardKey(filteredWords[0].key);
     }
-  }, [filteredWords, visibleCardId]);
+  }, [filteredWords, visibleCardKey]);
+
+  // Start timing a card as soon as it becomes visible
+  useEffect(() => {
+    cardShownAtRef.current = Date.now();
+    gradedCardKeyRef.current = null;
+    // Exercises ask every card afresh, so show the question side again
+    if (exercise.autoGraded && visibleCardKey) {
+      setFlippedCards(prev => {
+        if (!prev.has(visibleCardKey)) return prev;
+        const newSet = new Set(prev);
+        newSet.delete(visibleCardKey);
+        return newSet;
+      });
+    }
+  }, [visibleCardKey, exercise.autoGraded]);
 
   // Mark card as viewed when it becomes visible (only once per card)
   useEffect(() => {
-    if (visibleCardId && markCardAsViewed && !viewedCardIds.has(visibleCardId)) {
+    if (visibleCardKey && markCardAsViewed && !viewedCardKeys.has(visibleCardKey)) {
       // Find the current card to check its status
-      const currentCard = filteredWords.find(card => card.id === visibleCardId);
+      const currentCard = filteredWords.find(card => card.key === visibleCardKey);
       
       // Only mark as viewed if it's a fresh card (status is null)
       if (currentCard && currentCard.status === null) {
         console.log('Marking card as viewed for first time:', currentCard.word);
-        markCardAsViewed(visibleCardId);
+        markCardAsViewed(currentCard.id, currentCard.track);
         
         // Add to viewed set to prevent multiple calls
-        setViewedCardIds(prev => new Set(prev).add(visibleCardId));
+        setViewedCardKeys(prev => new Set(prev).add(visibleCardKey));
       }
     }
-  }, [visibleCardId, markCardAsViewed, filteredWords, viewedCardIds]);
+  }, [visibleCardKey, markCardAsViewed, filteredWords, viewedCardKeys]);
   
   // Prevent body scrolling when component is mounted
   useEffect(() => {
@@ -728,7 +870,7 @@ const InstagramView = () => {
 
     const handleTouchStartNonPassive = (e) => {
       // Don't handle touch events when modals are open
-      if (isSettingsPanelOpen || isBrowsePageOpen) {
+      if (isSettingsPanelOpen || isBrowsePageOpen || editingCardId) {
         return;
       }
       
@@ -746,7 +888,7 @@ const InstagramView = () => {
 
     const handleTouchMoveNonPassive = (e) => {
       // Don't handle touch events when modals are open
-      if (isSettingsPanelOpen || isBrowsePageOpen) {
+      if (isSettingsPanelOpen || isBrowsePageOpen || editingCardId) {
         return;
       }
       
@@ -773,7 +915,7 @@ const InstagramView = () => {
         
         // Prepare next card when swipe is significant
         const absTransform = Math.abs(boundedTransform);
-        if (absTransform > 50 && !nextCardId && filteredWords.length > 0) {
+        if (absTransform > 50 && !nextCardKey && filteredWords.length > 0) {
           const currentIndex = getCurrentCardIndex();
           
           // Only proceed if we have a valid current index
@@ -792,8 +934,8 @@ const InstagramView = () => {
             }
             
             // Ensure the next card exists before trying to access its id
-            if (filteredWords[nextIndex] && filteredWords[nextIndex].id) {
-              setNextCardId(filteredWords[nextIndex].id);
+            if (filteredWords[nextIndex] && filteredWords[nextIndex].key) {
+              setNextCardKey(filteredWords[nextIndex].key);
               setSwipeDirection(direction);
             }
           }
@@ -806,9 +948,9 @@ const InstagramView = () => {
       });
     };
 
-    const handleTouchEndNonPassive = () => {
+    const handleTouchEndNonPassive = (e) => {
       // Don't handle touch events when modals are open
-      if (isSettingsPanelOpen || isBrowsePageOpen) {
+      if (isSettingsPanelOpen || isBrowsePageOpen || editingCardId) {
         return;
       }
       
@@ -821,6 +963,11 @@ const InstagramView = () => {
       const isTap = touchDuration < 300 && absY < 10;
       
       if (isTap && !isSwipingActive) {
+        // Buttons inside the card handle their own taps
+        if (e.target.closest && e.target.closest('button, .insta-card-controls, .typed-answer, .article-drill, .cloze-choices, .meaning-choices, .speaking-practice')) {
+          return;
+        }
+        
         // This was a tap - trigger card flip
         console.log('Detected tap - flipping card');
         handleCardFlip();
@@ -867,7 +1014,7 @@ const InstagramView = () => {
       container.removeEventListener('touchend', handleTouchEndNonPassive);
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [touchStart, touchEnd, navigateNext, navigatePrevious]);
+  }, [touchStart, touchEnd, navigateNext, navigatePrevious, editingCardId]);
   
   // Set up intersection observers for each card
   useEffect(() => {
@@ -882,8 +1029,7 @@ const InstagramView = () => {
         (entries) => {
           entries.forEach(entry => {
             if (entry.isIntersecting && entry.intersectionRatio > 0.7) {
-              const cardId = card.dataset.cardId;
-              setVisibleCardId(cardId);
+              setVisibleCardKey(card.dataset.cardKey);
               // Reset flip state when a new card becomes visible
               setIsFlipped(false);
             }
@@ -893,7 +1039,7 @@ const InstagramView = () => {
       );
       
       observer.observe(card);
-      observers.current.set(card.dataset.cardId, observer);
+      observers.current.set(card.dataset.cardKey, observer);
     });
     
     return () => {
@@ -904,13 +1050,13 @@ const InstagramView = () => {
   
   // Handle card flipping for the currently visible card
   const handleCardFlip = () => {
-    if (visibleCardId) {
+    if (visibleCardKey) {
       setFlippedCards(prev => {
         const newSet = new Set(prev);
-        if (newSet.has(visibleCardId)) {
-          newSet.delete(visibleCardId);
+        if (newSet.has(visibleCardKey)) {
+          newSet.delete(visibleCardKey);
         } else {
-          newSet.add(visibleCardId);
+          newSet.add(visibleCardKey);
         }
         return newSet;
       });
@@ -922,7 +1068,14 @@ const InstagramView = () => {
   // Handle key presses (maintain keyboard shortcuts)
   useEffect(() => {
     const handleKeyPress = (event) => {
-      // Close browse page on ESC (priority)
+      // Close the card editor on ESC (it can sit on top of the browse page)
+      if (event.key === "Escape" && editingCardId) {
+        event.preventDefault();
+        setEditingCardId(null);
+        return;
+      }
+
+      // Close browse page on ESC
       if (event.key === "Escape" && isBrowsePageOpen) {
         event.preventDefault();
         setIsBrowsePageOpen(false);
@@ -937,7 +1090,10 @@ const InstagramView = () => {
       }
 
       // Don't handle other shortcuts if any panel is open
-      if (isSettingsPanelOpen || isBrowsePageOpen) return;
+      if (isSettingsPanelOpen || isBrowsePageOpen || editingCardId) return;
+
+      // Let text fields (typed answers) receive their keys
+      if (event.target.closest && event.target.closest("input, textarea, select")) return;
 
       // Navigation and interaction key handling
       switch (event.key) {
@@ -949,14 +1105,24 @@ const InstagramView = () => {
           event.preventDefault();
           navigateNext();
           return;
+        case "1":
+        case "2":
+        case "3":
+        case "4":
         case "ArrowUp":
+        case "ArrowDown": {
           event.preventDefault();
-          handleToggleRating(1); // Learned
-          return;
-        case "ArrowDown":
-          event.preventDefault();
-          handleToggleRating(0); // Review
+          // Ratings are given on the back of the card - reveal it first
+          if (!flippedCards.has(visibleCardKey)) {
+            handleCardFlip();
+            return;
+          }
+          // Answered exercises have already graded themselves
+          if (exercise.autoGraded && gradedCardKeyRef.current === visibleCardKey) return;
+          const quality = RATING_KEYS[event.key];
+          handleQualityRating(quality);
           return;
+        }
         case "Shift":
           if (event.location === KeyboardEvent.DOM_KEY_LOCATION_RIGHT) {
             event.preventDefault();
@@ -967,6 +1133,16 @@ const InstagramView = () => {
           event.preventDefault();
           handleCardFlip();
           return;
+        case "p":
+        case "P": {
+          // Read the word and example sentence aloud
+          const currentCard = filteredWords.find(card => card.key === visibleCardKey) || filteredWords[0];
+          if (currentCard && canSpeak) {
+            event.preventDefault();
+            speakCard(currentCard, settings);
+          }
+          return;
+        }
         default:
           break;
       }
@@ -975,7 +1151,7 @@ const InstagramView = () => {
     window.addEventListener("keydown", handleKeyPress);
     return () => window.removeEventListener("keydown", handleKeyPress);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [handleQualityOrStatusRating, resetCardToLearning, handleCardFlip, isSettingsPanelOpen, isBrowsePageOpen, navigateNext, navigatePrevious]);
+  }, [handleQualityRating, resetCardToLearning, handleCardFlip, isSettingsPanelOpen, isBrowsePageOpen, editingCardId, navigateNext, navigatePrevious]);
 
   // Cleanup animation timeout on unmount
   useEffect(() => {
@@ -985,6 +1161,9 @@ const InstagramView = () => {
       }
     };
   }, []);
+
+  // Today's counters, even if the study day rolled over since the last rating
+  const todaysProgress = ensureCurrentDay(dailyProgress, getStudyDay(new Date(), settings));
   
   return (
     <div className={`app ${theme}`}>
@@ -1012,10 +1191,44 @@ const InstagramView = () => {
       <BrowsePage
         isOpen={isBrowsePageOpen}
         onClose={() => setIsBrowsePageOpen(false)}
-        words={words}
+        words={activeWords}
+        decks={decks}
+        onCreateCard={createCard}
+        onEditCard={editCard}
+        onRestoreCard={restoreOriginalCard}
+        onImportCards={importCards}
+        onDeleteCard={(id) => removeCards([id])}
+        onAddDeck={addDeck}
+        onRenameDeck={renameDeck}
+        onDeleteDeck={deleteDeck}
         theme={theme}
       />
 
+      {/* Card Editor for the card being studied */}
+      {editingCardId && (() => {
+        const editingCard = words.find(word => word.id === editingCardId);
+        if (!editingCard) return null;
+        return (
+          <div className="card-editor-backdrop standalone">
+            <CardEditor
+              key={editingCard.id}
+              card={editingCard}
+              decks={decks}
+              onSave={(fields) => {
+                editCard(editingCard.id, fields);
+                setEditingCardId(null);
+              }}
+              onAddDeck={addDeck}
+              onRestore={() => {
+                restoreOriginalCard(editingCard.id);
+                setEditingCardId(null);
+              }}
+              onCancel={() => setEditingCardId(null)}
+            />
+          </div>
+        );
+      })()}
+
       {/* Settings Panel */}
       <SettingsPanel
         isOpen={isSettingsPanelOpen}
@@ -1025,7 +1238,17 @@ const InstagramView = () => {
         theme={theme}
         toggleTheme={toggleTheme}
         stats={stats}
+        levelProgress={levelProgress}
+        decks={deckSummaries}
+        settings={settings}
+        dailyProgress={todaysProgress}
+        onSchedulerChange={handleSchedulerChange}
+        onSettingsChange={updateSettings}
+        canSpeak={canSpeak}
+        canRecognize={canRecognize}
         resetData={resetData}
+        onExportBackup={exportBackup}
+        onRestoreBackup={restoreBackup}
         setIsFlipped={setIsFlipped}
         setCurrentCardIndex={setCurrentCardIndex}
         setSessionStartTime={setSessionStartTime}
@@ -1034,13 +1257,28 @@ const InstagramView = () => {
       
       {/* Current Card with Real-time Transform */}
       {(() => {
+        // Modes with daily caps end the session once today's queue is used up
+        if (DAILY_LIMITED_MODES.includes(studyMode) && filteredWords.length === 0 && studyWords.length > 0) {
+          return (
+            <SessionComplete
+              dailyProgress={todaysProgress}
+              settings={settings}
+              words={studyWords}
+              onOpenSettings={() => setIsSettingsPanelOpen(true)}
+            />
+          );
+        }
+
+
         // Always show the current card, even if it's not in the filtered list anymore
-        const activeCard = words.find(card => card.id === visibleCardId) || filteredWords[0];
+        const { cardId, trackId } = visibleCardKey ? parseCardKey(visibleCardKey) : {};
+        const storedCard = studyTracks.includes(trackId) && words.find(card => card.id === cardId);
+        const activeCard = storedCard ? getTrackView(storedCard, trackId) : filteredWords[0];
         if (!activeCard) {
           return (
             <div className="no-cards-message">
               <p>No cards available for this study mode.</p>
-              <p>Try a different study mode or add some cards!</p>
+              <p>Try a different study mode, level or topic, or add some cards!</p>
             </div>
           );
         }
@@ -1058,26 +1296,32 @@ const InstagramView = () => {
         
         return (
           <div 
-            key={activeCard.id} 
+            key={activeCard.key} 
             className={cardClass}
             style={cardStyle}
-            data-card-id={activeCard.id}
+            data-card-key={activeCard.key}
           >
             <FullScreenCard
               card={activeCard}
-              isFlipped={flippedCards.has(activeCard.id)}
+              isFlipped={flippedCards.has(activeCard.key)}
               isVisible={true}
+              settings={settings}
+              exercise={exercise}
+              canSpeak={canSpeak}
+              deck={activeWords}
               onFlip={handleCardFlip}
-              onRate={handleToggleRating}
+              onRate={handleQualityRating}
+              onAnswer={handleExerciseAnswer}
               onReset={resetCardToLearning}
+              onEdit={setEditingCardId}
             />
           </div>
         );
       })()}
       
       {/* Next Card for Instagram-style Overlap */}
-      {nextCardId && (() => {
-        const nextCard = filteredWords.find(card => card.id === nextCardId);
+      {nextCardKey && (() => {
+        const nextCard = filteredWords.find(card => card.key === nextCardKey);
         if (!nextCard) return null;
         
         // Position next card based on swipe direction
@@ -1104,15 +1348,19 @@ const InstagramView = () => {
         
         return (
           <div 
-            key={`next-${nextCard.id}`} 
+            key={`next-${nextCard.key}`} 
             className={nextCardClass}
             style={nextCardStyle}
-            data-card-id={nextCard.id}
+            data-card-key={nextCard.key}
           >
             <FullScreenCard
               card={nextCard}
               isFlipped={false}
               isVisible={false}
+              settings={settings}
+              exercise={exercise}
+              canSpeak={canSpeak}
+              deck={activeWords}
               onFlip={() => {}}
               onRate={() => {}}
               onReset={() => {}}
@@ -0,0 +1,369 @@
+/**
+ * Answer Matching - Flashcard Deutscher
+ *
+ * Checks typed German answers, article picks, cloze gaps, conjugated verb
+ * forms, noun plurals, drill sentences and picked meanings against a card.
+ * Comparison ignores case and extra whitespace and accepts the usual
+ * keyboard substitutions for umlauts and ß (ae, oe, ue, ss).
+ * Results carry a character-level diff for display and map to an SRS quality
+ * so answers grade themselves.
+ */
+
+import { QUALITY } from "./srsAlgorithm";
+
+export const ARTICLES = ["der", "die", "das"];
+
+// What can be typed instead of each special character
+const SUBSTITUTIONS = { "ä": "ae", "ö": "oe", "ü": "ue", "ß": "ss" };
+
+// Answers at least this fast (and correct) are graded Easy
+export const EASY_ANSWER_MS = 5000;
+
+/**
+ * Quality given for each answer verdict (correct answers may be upgraded to Easy)
+ */
+export const VERDICT_QUALITY = {
+  correct: QUALITY.GOOD,
+  typo: QUALITY.HARD,
+  missingArticle: QUALITY.HARD,
+  wrongArticle: QUALITY.AGAIN,
+  wrong: QUALITY.AGAIN,
+};
+
+/**
+ * Trim and collapse whitespace
+ * @param {string} text - Raw text
+ * @returns {string} - Normalized text
+ */
+const normalizeSpacing = (text) => (text || "").normalize("NFC").trim().replace(/\s+/g, " ");
+
+/**
+ * Expand optional parts written in parentheses, e.g. "amüsieren (sich)" or "außer(dem)"
+ * @param {string} text - Dataset word
+ * @returns {Array} - Every accepted spelling
+ */
+const expandOptionalParts = (text) => {
+  const match = text.match(/\(([^)]*)\)/);
+  if (!match) return [text];
+
+  const included = normalizeSpacing(text.replace(match[0], match[1]));
+  const omitted = normalizeSpacing(text.replace(/\s*\([^)]*\)\s*/, " "));
+  const variants = [omitted, included];
+  // Reflexive verbs are usually written "sich ..."
+  if (match[1].trim() === "sich") variants.push(`sich ${omitted}`);
+  return variants.flatMap(expandOptionalParts);
+};
+
+/**
+ * Get every answer accepted for a card
+ * Slash-separated words ("Arzt/Ärztin") and articles ("der/die") are
+ * alternatives; when both have the same number of parts they are paired.
+ * @param {object} card - Card
+ * @returns {Array} - [{article, word}]
+ */
+export const getAcceptedAnswers = (card) => {
+  const words = card.word.split("/").map(normalizeSpacing).filter(Boolean);
+  const articles = (card.article || "").split("/").map(normalizeSpacing).filter(Boolean);
+
+  let pairs;
+  if (articles.length === 0) {
+    pairs = words.map((word) => ({ article: "", word }));
+  } else if (articles.length === words.length) {
+    pairs = words.map((word, index) => ({ article: articles[index], word }));
+  } else {
+    pairs = articles.flatMap((article) => words.map((word) => ({ article, word })));
+  }
+
+  return pairs.flatMap(({ article, word }) =>
+    expandOptionalParts(word).map((variant) => ({ article, word: variant }))
+  );
+};
+
+/**
+ * Join an article and word into the full answer
+ * @param {object} answer - {article, word}
+ * @returns {string} - e.g. "der Hund"
+ */
+const formatAnswer = ({ article, word }) => (article ? `${article} ${word}` : word);
+
+/**
+ * Align a typed answer with an expected one (Levenshtein with umlaut digraphs)
+ * @param {string} expected - Expected answer
+ * @param {string} actual - Typed answer
+ * @returns {object} - {distance, diff} where diff is a list of
+ *   {type: "equal" | "wrong" | "missing" | "extra", expected, actual}
+ */
+export const alignAnswer = (expected, actual) => {
+  const exp = Array.from(expected);
+  const act = Array.from(actual);
+  const expLower = exp.map((char) => char.toLowerCase());
+  const actLower = act.map((char) => char.toLowerCase());
+  const rows = exp.length + 1;
+  const cols = act.length + 1;
+
+  // cost[i][j] = edits to turn exp[i..] into act[j..]
+  const cost = Array.from({ length: rows }, () => new Array(cols).fill(0));
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      if (i === exp.length) {
+        cost[i][j] = act.length - j;
+        continue;
+      }
+      if (j === act.length) {
+        cost[i][j] = exp.length - i;
+        continue;
+      }
+      const substitution = SUBSTITUTIONS[expLower[i]];
+      let best = Math.min(
+        cost[i + 1][j + 1] + (expLower[i] === actLower[j] ? 0 : 1),
+        cost[i + 1][j] + 1,
+        cost[i][j + 1] + 1
+      );
+      if (substitution && actLower.slice(j, j + 2).join("") === substitution) {
+        best = Math.min(best, cost[i + 1][j + 2]);
+      }
+      cost[i][j] = best;
+    }
+  }
+
+  const diff = [];
+  const push = (type, expectedText, actualText) => {
+    const last = diff[diff.length - 1];
+    if (last && last.type === type) {
+      last.expected += expectedText;
+      last.actual += actualText;
+    } else {
+      diff.push({ type, expected: expectedText, actual: actualText });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < exp.length || j < act.length) {
+    const substitution = i < exp.length ? SUBSTITUTIONS[expLower[i]] : null;
+    if (i < exp.length && j < act.length && expLower[i] === actLower[j] && cost[i][j] === cost[i + 1][j + 1]) {
+      push("equal", exp[i], act[j]);
+      i++;
+      j++;
+    } else if (substitution && actLower.slice(j, j + 2).join("") === substitution && cost[i][j] === cost[i + 1][j + 2]) {
+      push("equal", exp[i], act.slice(j, j + 2).join(""));
+      i++;
+      j += 2;
+    } else if (i < exp.length && j < act.length && cost[i][j] === cost[i + 1][j + 1] + 1) {
+      push("wrong", exp[i], act[j]);
+      i++;
+      j++;
+    } else if (i < exp.length && cost[i][j] === cost[i + 1][j] + 1) {
+      push("missing", exp[i], "");
+      i++;
+    } else {
+      push("extra", "", act[j]);
+      j++;
+    }
+  }
+
+  return { distance: cost[0][0], diff };
+};
+
+/**
+ * Number of mistakes still treated as a typo for an answer of this length
+ * @param {string} word - Expected word
+ * @returns {number} - Allowed edit distance
+ */
+const getTypoTolerance = (word) => (Array.from(word).length <= 6 ? 1 : 2);
+
+/**
+ * Split a leading article off a typed answer
+ * @param {string} text - Typed answer
+ * @returns {object} - {article, rest}
+ */
+const splitArticle = (text) => {
+  const [first, ...rest] = text.split(" ");
+  if (rest.length > 0 && ARTICLES.includes(first.toLowerCase())) {
+    return { article: first, rest: rest.join(" ") };
+  }
+  return { article: "", rest: text };
+};
+
+/**
+ * Check a typed answer against a card
+ * @param {object} card - Card being studied
+ * @param {string} input - What the user typed
+ * @returns {object} - {verdict, correct, input, expected, diff}
+ *   verdict is "correct", "typo", "missingArticle", "wrongArticle" or "wrong"
+ */
+export const checkTypedAnswer = (card, input) => {
+  const typed = normalizeSpacing(input);
+  const accepted = getAcceptedAnswers(card);
+
+  let best = null;
+  accepted.forEach((answer) => {
+    const expected = formatAnswer(answer);
+    const alignment = alignAnswer(expected, typed);
+    if (!best || alignment.distance < best.distance) {
+      best = { ...alignment, answer, expected };
+    }
+  });
+
+  const result = (verdict) => ({
+    verdict,
+    correct: verdict === "correct",
+    input: typed,
+    expected: best.expected,
+    diff: best.diff,
+  });
+
+  if (!typed) return result("wrong");
+  if (best.distance === 0) return result("correct");
+
+  // Right word, but the article is missing or wrong
+  const { article, rest } = splitArticle(typed);
+  const wordMatch = accepted.find((answer) => answer.article && alignAnswer(answer.word, rest).distance === 0);
+  if (wordMatch) {
+    best = { ...alignAnswer(formatAnswer(wordMatch), typed), answer: wordMatch, expected: formatAnswer(wordMatch) };
+    return result(article ? "wrongArticle" : "missingArticle");
+  }
+
+  if (best.distance <= getTypoTolerance(best.answer.word)) return result("typo");
+  return result("wrong");
+};
+
+/**
+ * Check the form typed or picked for a cloze gap
+ * A picked form is either right or wrong; typed forms allow for typos.
+ * @param {string} expected - Form blanked out of the sentence
+ * @param {string} input - What the user typed or picked
+ * @param {object} options - {picked}
+ * @returns {object} - {verdict, correct, input, expected, diff, picked}
+ */
+export const checkClozeAnswer = (expected, input, { picked = false } = {}) => {
+  const typed = normalizeSpacing(input);
+  const { distance, diff } = alignAnswer(expected, typed);
+
+  let verdict = "wrong";
+  if (typed && distance === 0) {
+    verdict = "correct";
+  } else if (typed && !picked && distance <= getTypoTolerance(expected)) {
+    verdict = "typo";
+  }
+
+  return { verdict, correct: verdict === "correct", input: typed, expected, diff: picked ? [] : diff, picked };
+};
+
+// Subject pronouns that may be typed in front of a conjugated form
+const SUBJECT_PRONOUNS = ["ich", "du", "er", "sie", "es", "wir", "ihr", "man"];
+
+/**
+ * Check a conjugated verb form typed for a person and tense
+ * A leading subject pronoun ("du fährst ab") is accepted and ignored.
+ * @param {string} expected - Form asked for, e.g. "fährst ab"
+ * @param {string} input - What the user typed
+ * @returns {object} - {verdict, correct, input, expected, diff, picked}
+ */
+export const checkConjugationAnswer = (expected, input) => {
+  const [first, ...rest] = normalizeSpacing(input).split(" ");
+  const typed = rest.length > 0 && SUBJECT_PRONOUNS.includes(first.toLowerCase()) ? rest.join(" ") : input;
+  return checkClozeAnswer(expected, typed);
+};
+
+/**
+ * Check a noun plural typed for the plural drill
+ * The plural article ("die Bücher") may be typed but is not required.
+ * @param {string} expected - Plural asked for, e.g. "Bücher"
+ * @param {string} input - What the user typed
+ * @returns {object} - {verdict, correct, input, expected, diff, picked}
+ */
+export const checkPluralAnswer = (expected, input) => {
+  const typed = normalizeSpacing(input).replace(/^die\s+/i, "");
+  return checkClozeAnswer(expected, typed);
+};
+
+/**
+ * Check a sentence typed for the sentence drill
+ * Either the whole sentence or only its missing words, in order, may be
+ * typed; the answer is compared with whichever of the two it is closer to.
+ * @param {string} sentence - Whole sentence, e.g. "Ich ziehe mich morgen an"
+ * @param {string} gapWords - Missing words, e.g. "ziehe mich an"
+ * @param {string} input - What the user typed
+ * @returns {object} - {verdict, correct, input, expected, diff, picked}
+ */
+export const checkSentenceAnswer = (sentence, gapWords, input) => {
+  const typed = normalizeSpacing(input).replace(/[.!]+$/, "");
+  const expected =
+    alignAnswer(gapWords, typed).distance < alignAnswer(sentence, typed).distance ? gapWords : sentence;
+  return checkClozeAnswer(expected, typed);
+};
+
+/**
+ * Check an English meaning picked from multiple choices
+ * @param {object} card - Card being studied
+ * @param {string} meaning - Meaning picked by the user
+ * @returns {object} - {verdict, correct, input, expected, diff, picked}
+ */
+export const checkMeaningChoice = (card, meaning) => {
+  const verdict = meaning === card.meaning ? "correct" : "wrong";
+  return { verdict, correct: verdict === "correct", input: meaning, expected: card.meaning, diff: [], picked: true };
+};
+
+/**
+ * Map a checked answer to an SRS quality
+ * Only typed answers can earn Easy; picking from choices tops out at Good.
+ * @param {object} result - Result of checkTypedAnswer, checkArticleAnswer,
+ *   checkClozeAnswer, checkConjugationAnswer, checkPluralAnswer or
+ *   checkSentenceAnswer
+ * @param {number} timeSpentMs - Time taken to answer
+ * @returns {number} - Response quality
+ */
+export const getQualityForAnswer = (result, timeSpentMs) => {
+  if (result.correct && !result.picked && timeSpentMs <= EASY_ANSWER_MS) return QUALITY.EASY;
+  return VERDICT_QUALITY[result.verdict];
+};
+
+/**
+ * Get the articles a noun takes
+ * Mixed entries like "der/die" (e.g. Arzt/Ärztin) take every listed article.
+ * @param {object} card - Card
+ * @returns {Array} - Distinct articles, empty for cards without one
+ */
+export const getNounArticles = (card) => {
+  const articles = (card.article || "")
+    .split("/")
+    .map((article) => article.trim().toLowerCase())
+    .filter((article) => ARTICLES.includes(article));
+  return ARTICLES.filter((article) => articles.includes(article));
+};
+
+/**
+ * Check whether a card can be used for the article drill
+ * @param {object} card - Card
+ * @returns {boolean} - True for nouns with a known article
+ */
+export const isArticleCard = (card) => getNounArticles(card).length > 0;
+
+/**
+ * Check the articles picked for a noun
+ * All listed articles are needed for mixed entries; picking only some of them
+ * counts like a missing article, picking any wrong one like a wrong article.
+ * @param {object} card - Card being studied
+ * @param {Array} selected - Articles picked by the user
+ * @returns {object} - {verdict, correct, input, expected, diff}
+ */
+export const checkArticleAnswer = (card, selected) => {
+  const expected = getNounArticles(card);
+  const picked = ARTICLES.filter((article) => selected.includes(article));
+
+  let verdict = "correct";
+  if (picked.length === 0 || picked.some((article) => !expected.includes(article))) {
+    verdict = "wrongArticle";
+  } else if (picked.length < expected.length) {
+    verdict = "missingArticle";
+  }
+
+  return {
+    verdict,
+    correct: verdict === "correct",
+    input: picked.join("/"),
+    expected: expected.join("/"),
+    diff: [],
+  };
+};
@@ -0,0 +1,63 @@
+/**
+ * Backup - Flashcard Deutscher
+ *
+ * Exports the collection to a JSON file and restores it again: every card
+ * with its progress, including corrections to bundled cards (`overrides`, see
+ * cardOverrides.js) and the cards of the user's own decks, plus the deck list.
+ * A restored file runs through the same migrations and dataset merge as the
+ * stored data, so backups from older versions of the app still load.
+ */
+
+import { CURRENT_VERSION, migrateData } from "./cardStorage";
+import { mergeWithDataset } from "./wordLoader";
+import { BUILTIN_DECK_ID } from "./decks";
+
+export const BACKUP_FORMAT = "flashcard-deutscher-backup";
+
+/**
+ * Create a backup of the collection
+ * @param {Array} cards - All cards, retired ones included
+ * @param {Array} decks - Deck list (the built-in deck is left out)
+ * @param {Date} now - Export time
+ * @returns {object} - Backup, ready for JSON.stringify
+ */
+export const createBackup = (cards, decks, now = new Date()) => ({
+  format: BACKUP_FORMAT,
+  version: CURRENT_VERSION,
+  exportedAt: now.toISOString(),
+  decks: decks.filter((deck) => deck.id !== BUILTIN_DECK_ID).map(({ id, name }) => ({ id, name })),
+  cards,
+});
+
+/**
+ * Get the file name for a backup
+ * @param {Date} now - Export time
+ * @returns {string} - e.g. "flashcard-deutscher-2025-06-15.json"
+ */
+export const getBackupFileName = (now = new Date()) => `flashcard-deutscher-${now.toISOString().slice(0, 10)}.json`;
+
+/**
+ * Read a backup file
+ * @param {string} text - File contents
+ * @param {Array} dataset - Dataset entries
+ * @returns {object} - {cards, decks} with the user's decks only
+ * @throws {Error} - If the file is not a backup or cannot be migrated
+ */
+export const readBackup = (text, dataset) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error("This file is not a Flashcard Deutscher backup");
+  }
+  if (!data || data.format !== BACKUP_FORMAT || !Array.isArray(data.cards)) {
+    throw new Error("This file is not a Flashcard Deutscher backup");
+  }
+
+  const { cards } = migrateData({ version: data.version, cards: data.cards });
+  const decks = (Array.isArray(data.decks) ? data.decks : [])
+    .filter((deck) => deck && deck.id && deck.id !== BUILTIN_DECK_ID && typeof deck.name === "string")
+    .map(({ id, name }) => ({ id, name }));
+
+  return { cards: mergeWithDataset(cards, dataset).cards, decks };
+};
@@ -0,0 +1,92 @@
+import { createBackup, readBackup, getBackupFileName, BACKUP_FORMAT } from "./backup";
+import { CURRENT_VERSION } from "./cardStorage";
+import { createInitialCards } from "./wordLoader";
+import { overrideCard } from "./cardOverrides";
+import { BUILTIN_DECK, createDeck, createCustomCard } from "./decks";
+
+const DATASET = [
+  { word: "Hund", article: "der", type: "noun", meaning: "dog", sentence: "Der Hund bellt.", sentenceMeaning: "The dog barks." },
+  { word: "Katze", article: "die", type: "noun", meaning: "cat", sentence: "Die Katze schläft.", sentenceMeaning: "The cat sleeps." },
+];
+const NOW = new Date("2025-06-15T12:00:00Z");
+
+// A collection with a corrected bundled card, a studied card and a user card
+const createCollection = () => {
+  const [dog, cat] = createInitialCards(DATASET);
+  const deck = createDeck("Office German");
+  const corrected = overrideCard({ ...dog, totalReviews: 3, status: "learning" }, { meaning: "dog, hound" }, dog);
+  const userCard = createCustomCard({
+    word: "Drucker",
+    article: "der",
+    type: "noun",
+    meaning: "printer",
+    sentence: "",
+    sentenceMeaning: "",
+    level: "",
+    category: "",
+    tags: [],
+    deck: deck.id,
+  });
+  return { cards: [corrected, { ...cat, totalReviews: 1, status: "learning" }, userCard], decks: [BUILTIN_DECK, deck] };
+};
+
+const roundTrip = (cards, decks, dataset = DATASET) =>
+  readBackup(JSON.stringify(createBackup(cards, decks, NOW)), dataset);
+
+describe("createBackup", () => {
+  test("holds every card and the user's decks, stamped with the schema version", () => {
+    const { cards, decks } = createCollection();
+
+    const backup = createBackup(cards, decks, NOW);
+
+    expect(backup).toMatchObject({ format: BACKUP_FORMAT, version: CURRENT_VERSION, exportedAt: NOW.toISOString() });
+    expect(backup.cards).toBe(cards);
+    expect(backup.decks).toEqual([decks[1]]);
+    expect(getBackupFileName(NOW)).toBe("flashcard-deutscher-2025-06-15.json");
+  });
+});
+
+describe("readBackup", () => {
+  test("brings back corrections, progress, user cards and decks", () => {
+    const { cards, decks } = createCollection();
+
+    const restored = roundTrip(cards, decks);
+    const dog = restored.cards.find((card) => card.word === "Hund");
+
+    expect(dog.meaning).toBe("dog, hound");
+    expect(dog.overrides).toEqual({ meaning: "dog, hound" });
+    expect(dog.totalReviews).toBe(3);
+    expect(restored.cards.find((card) => card.word === "Katze").totalReviews).toBe(1);
+    expect(restored.cards.find((card) => card.word === "Drucker")).toEqual(cards[2]);
+    expect(restored.decks).toEqual([decks[1]]);
+  });
+
+  test("keeps corrections on top of a changed dataset and adds new dataset words", () => {
+    const { cards, decks } = createCollection();
+    const updatedDataset = [
+      { ...DATASET[0], meaning: "dog (animal)", sentence: "Der Hund bellt laut." },
+      DATASET[1],
+      { word: "Maus", article: "die", type: "noun", meaning: "mouse" },
+    ];
+
+    const restored = roundTrip(cards, decks, updatedDataset);
+    const dog = restored.cards.find((card) => card.word === "Hund");
+
+    expect(dog.meaning).toBe("dog, hound");
+    expect(dog.sentence).toBe("Der Hund bellt laut.");
+    expect(restored.cards.map((card) => card.word)).toEqual(["Hund", "Katze", "Maus", "Drucker"]);
+  });
+
+  test("rejects files that are not backups", () => {
+    expect(() => readBackup("word,meaning\nHund,dog", DATASET)).toThrow("not a Flashcard Deutscher backup");
+    expect(() => readBackup(JSON.stringify({ version: CURRENT_VERSION, cards: [] }), DATASET)).toThrow(
+      "not a Flashcard Deutscher backup"
+    );
+  });
+
+  test("rejects backups from a newer version of the app", () => {
+    const backup = { ...createBackup([], [], NOW), version: CURRENT_VERSION + 1 };
+
+    expect(() => readBackup(JSON.stringify(backup), DATASET)).toThrow("newer than this app");
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * IndexedDB Access - Flashcard Deutscher
+ *
+ * Thin promise wrapper around the browser IndexedDB API. Cards are stored one
+ * record per card so a single rating only rewrites that card, and every
+ * rating is appended to a separate review-log store.
+ */
+
+const DB_NAME = "flashcard-deutscher";
+const DB_VERSION = 1;
+
+export const CARDS_STORE = "cards";
+export const REVIEW_LOG_STORE = "reviewLog";
+export const META_STORE = "meta";
+
+/**
+ * Check whether IndexedDB can be used in this browser
+ * @returns {boolean} - True if IndexedDB is available
+ */
+export const isIndexedDBAvailable = () => {
+  try {
+    return typeof window !== "undefined" && !!window.indexedDB;
+  } catch (error) {
+    // Some privacy modes throw on access instead of leaving it undefined
+    return false;
+  }
+};
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise} - Resolves with the request result
+ */
+const promisifyRequest = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} transaction - Open transaction
+ * @returns {Promise} - Resolves once the transaction completes
+ */
+const transactionDone = (transaction) =>
+  new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error("Transaction aborted"));
+  });
+
+let databasePromise = null;
+
+/**
+ * Open (and if needed create) the flashcard database
+ * The connection is shared for the lifetime of the page.
+ * @returns {Promise<IDBDatabase>} - Open database
+ */
+export const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(CARDS_STORE)) {
+          db.createObjectStore(CARDS_STORE, { keyPath: "id" });
+        }
+        if (!db.objectStoreNames.contains(REVIEW_LOG_STORE)) {
+          const reviewLog = db.createObjectStore(REVIEW_LOG_STORE, { keyPath: "id", autoIncrement: true });
+          reviewLog.createIndex("cardId", "cardId", { unique: false });
+          reviewLog.createIndex("timestamp", "timestamp", { unique: false });
+        }
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE);
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error("Flashcard database is blocked by another tab"));
+    });
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+  return databasePromise;
+};
+
+/**
+ * Read every record from a store
+ * @param {string} storeName - Object store name
+ * @returns {Promise<Array>} - All records
+ */
+export const getAll = async (storeName) => {
+  const db = await openDatabase();
+  return promisifyRequest(db.transaction(storeName, "readonly").objectStore(storeName).getAll());
+};
+
+/**
+ * Write records to a store in a single transaction
+ * @param {string} storeName - Object store name
+ * @param {Array} records - Records to put
+ * @param {object} options - {clear: empty the store first}
+ * @returns {Promise} - Resolves once committed
+ */
+export const putAll = async (storeName, records, { clear = false } = {}) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeName, "readwrite");
+  const store = transaction.objectStore(storeName);
+  if (clear) store.clear();
+  records.forEach((record) => store.put(record));
+  return transactionDone(transaction);
+};
+
+/**
+ * Delete records from a store in a single transaction
+ * @param {string} storeName - Object store name
+ * @param {Array} keys - Keys of the records to delete
+ * @returns {Promise} - Resolves once committed
+ */
+export const deleteAll = async (storeName, keys) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeName, "readwrite");
+  const store = transaction.objectStore(storeName);
+  keys.forEach((key) => store.delete(key));
+  return transactionDone(transaction);
+};
+
+/**
+ * Add a record to a store, letting IndexedDB assign its key
+ * @param {string} storeName - Object store name
+ * @param {object} record - Record to add
+ * @returns {Promise} - Resolves with the generated key
+ */
+export const addRecord = async (storeName, record) => {
+  const db = await openDatabase();
+  return promisifyRequest(db.transaction(storeName, "readwrite").objectStore(storeName).add(record));
+};
+
+/**
+ * Read a value from the meta store
+ * @param {string} key - Meta key
+ * @returns {Promise} - Stored value or undefined
+ */
+export const getMeta = async (key) => {
+  const db = await openDatabase();
+  return promisifyRequest(db.transaction(META_STORE, "readonly").objectStore(META_STORE).get(key));
+};
+
+/**
+ * Write a value to the meta store
+ * @param {string} key - Meta key
+ * @param {*} value - Value to store
+ * @returns {Promise} - Resolves once committed
+ */
+export const setMeta = async (key, value) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(META_STORE, "readwrite");
+  transaction.objectStore(META_STORE).put(value, key);
+  return transactionDone(transaction);
+};
@@ -0,0 +1,315 @@
+/**
+ * Card Import - Flashcard Deutscher
+ *
+ * Reads word lists exported from spreadsheets (CSV or TSV) into cards for a
+ * user deck. The file's encoding and delimiter are detected, its columns are
+ * mapped to card fields (guessed from the header row, then adjustable), and
+ * every row is checked before import: rows with errors and rows that repeat
+ * an existing card or an earlier row are left out.
+ */
+
+import { ARTICLES, WORD_TYPES } from "./decks";
+
+// Card fields a column can be mapped to, in form order
+export const IMPORT_FIELDS = [
+  { id: "word", label: "German word", required: true },
+  { id: "article", label: "Article" },
+  { id: "type", label: "Type" },
+  { id: "meaning", label: "Meaning", required: true },
+  { id: "sentence", label: "Example sentence" },
+  { id: "sentenceMeaning", label: "Sentence meaning" },
+];
+
+// Delimiters to try, preferred first when several fit equally well
+export const DELIMITERS = [
+  { id: "\t", label: "Tab" },
+  { id: ";", label: "Semicolon" },
+  { id: ",", label: "Comma" },
+  { id: "|", label: "Pipe" },
+];
+
+// Header names recognized for each field (lowercase, letters only)
+const HEADER_ALIASES = {
+  word: ["word", "german", "germanword", "deutsch", "wort", "vokabel", "de", "term"],
+  article: ["article", "artikel", "gender", "genus", "derdiedas"],
+  type: ["type", "wordtype", "partofspeech", "pos", "wortart"],
+  meaning: ["meaning", "english", "englisch", "translation", "bedeutung", "übersetzung", "en"],
+  sentence: ["sentence", "example", "examplesentence", "germansentence", "beispiel", "beispielsatz", "satz"],
+  sentenceMeaning: [
+    "sentencemeaning",
+    "sentencetranslation",
+    "englishsentence",
+    "examplemeaning",
+    "exampletranslation",
+    "beispielübersetzung",
+  ],
+};
+
+// Word type names in spreadsheets that differ from the app's types
+const TYPE_ALIASES = {
+  n: "noun",
+  nomen: "noun",
+  substantiv: "noun",
+  v: "verb",
+  adj: "adjective",
+  adjektiv: "adjective",
+  adv: "adverb",
+  redewendung: "expression",
+  präposition: "preposition",
+  prep: "preposition",
+  konjunktion: "conjunction",
+  pronomen: "pronoun",
+};
+
+// Rows checked when detecting the delimiter
+const DELIMITER_SAMPLE_LINES = 20;
+
+const normalizeHeader = (cell) => cell.toLowerCase().replace(/[^a-zäöüß]/g, "");
+
+/**
+ * Decode a file's bytes, detecting the encoding
+ * UTF-16 is recognized by its byte order mark. Anything that is not valid
+ * UTF-8 is read as Windows-1252, which older Excel versions export.
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {object} - {text, encoding}
+ */
+export const decodeFile = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+    return { text: new TextDecoder("utf-16le").decode(bytes), encoding: "UTF-16" };
+  }
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    return { text: new TextDecoder("utf-16be").decode(bytes), encoding: "UTF-16" };
+  }
+  try {
+    return { text: new TextDecoder("utf-8", { fatal: true }).decode(bytes), encoding: "UTF-8" };
+  } catch (error) {
+    return { text: new TextDecoder("windows-1252").decode(bytes), encoding: "Windows-1252" };
+  }
+};
+
+/**
+ * Split delimited text into rows of trimmed cells
+ * Quoted cells may contain the delimiter, line breaks and doubled quotes.
+ * Empty rows are dropped.
+ * @param {string} text - File contents
+ * @param {string} delimiter - Cell delimiter
+ * @returns {Array} - Rows, each an array of cells
+ */
+export const parseDelimited = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell.trim() === "") {
+      inQuotes = true;
+      cell = "";
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows
+    .map((cells) => cells.map((entry) => entry.trim()))
+    .filter((cells) => cells.some((entry) => entry !== ""));
+};
+
+/**
+ * Detect the delimiter of a CSV/TSV file
+ * The delimiter that splits the most sample rows into the same number of
+ * (at least two) cells wins.
+ * @param {string} text - File contents
+ * @returns {string} - Delimiter, a comma if none fits
+ */
+export const detectDelimiter = (text) => {
+  const sample = text.split(/\r?\n/).slice(0, DELIMITER_SAMPLE_LINES).join("\n");
+  let best = { delimiter: ",", score: 0 };
+
+  DELIMITERS.forEach(({ id }) => {
+    const counts = parseDelimited(sample, id).map((cells) => cells.length);
+    const frequency = {};
+    counts.forEach((count) => {
+      if (count > 1) frequency[count] = (frequency[count] || 0) + 1;
+    });
+    const score = Math.max(0, ...Object.values(frequency)) / (counts.length || 1);
+    if (score > best.score) best = { delimiter: id, score };
+  });
+
+  return best.delimiter;
+};
+
+/**
+ * Check whether a row looks like column headers
+ * @param {Array} row - First row of the file
+ * @returns {boolean} - True if any cell is a known header name
+ */
+export const isHeaderRow = (row = []) => {
+  return row.some((cell) =>
+    Object.values(HEADER_ALIASES).some((aliases) => aliases.includes(normalizeHeader(cell)))
+  );
+};
+
+/**
+ * Guess which column holds which field
+ * Header names are matched against known names in English and German;
+ * without a header the first column is the word and the second its meaning.
+ * @param {Array} headerRow - Header cells, or null if the file has none
+ * @returns {object} - Column index per field ID, -1 for unmapped fields
+ */
+export const guessColumnMapping = (headerRow) => {
+  const mapping = {};
+  IMPORT_FIELDS.forEach(({ id }) => {
+    mapping[id] = headerRow
+      ? headerRow.findIndex((cell) => HEADER_ALIASES[id].includes(normalizeHeader(cell)))
+      : -1;
+  });
+  if (!headerRow) {
+    mapping.word = 0;
+    mapping.meaning = 1;
+  }
+  return mapping;
+};
+
+/**
+ * Read a row's cells into card fields
+ * Articles written in front of the word ("der Hund") are split off, and word
+ * types are lowercased and translated where needed ("Nomen" → "noun").
+ * @param {Array} row - Cells
+ * @param {object} mapping - Column index per field ID
+ * @returns {object} - word, article, type, meaning, sentence, sentenceMeaning
+ */
+export const mapImportRow = (row, mapping) => {
+  const fields = {};
+  IMPORT_FIELDS.forEach(({ id }) => {
+    fields[id] = mapping[id] >= 0 ? row[mapping[id]] || "" : "";
+  });
+
+  fields.article = fields.article.toLowerCase();
+  const rawType = fields.type.toLowerCase();
+  fields.type = TYPE_ALIASES[rawType] || rawType;
+
+  const inlineArticle = fields.word.match(/^(der|die|das)\s+(\S.*)$/i);
+  if (!fields.article && inlineArticle && (!fields.type || fields.type === "noun")) {
+    fields.article = inlineArticle[1].toLowerCase();
+    fields.word = inlineArticle[2];
+  }
+  if (!fields.type && fields.article) fields.type = "noun";
+
+  return fields;
+};
+
+/**
+ * Check an imported row's fields
+ * @param {object} fields - Fields from mapImportRow
+ * @returns {string|null} - Error message, or null if the row can be imported
+ */
+export const validateImportRow = (fields) => {
+  if (!fields.word) return "Missing German word";
+  if (!fields.meaning) return "Missing meaning";
+  if (fields.article && !ARTICLES.includes(fields.article)) return `Unknown article "${fields.article}"`;
+  if (fields.type && !WORD_TYPES.includes(fields.type)) return `Unknown type "${fields.type}"`;
+  return null;
+};
+
+/**
+ * Check whether two cards with the same word are duplicates
+ * A missing article or type on either side matches any.
+ * @param {object} a - Card or imported fields
+ * @param {object} b - Card or imported fields
+ * @returns {boolean} - True for duplicates
+ */
+const isDuplicate = (a, b) => {
+  return (
+    (!a.article || !b.article || a.article === b.article) &&
+    (!a.type || !b.type || a.type === b.type)
+  );
+};
+
+/**
+ * Group cards by their lowercased word
+ * @param {Array} cards - Cards
+ * @returns {Map} - Word → cards
+ */
+const groupByWord = (cards) => {
+  const groups = new Map();
+  cards.forEach((card) => {
+    const key = card.word.trim().toLowerCase();
+    groups.set(key, [...(groups.get(key) || []), card]);
+  });
+  return groups;
+};
+
+/**
+ * Check every row of an import
+ * @param {Array} rows - Data rows (without the header)
+ * @param {object} mapping - Column index per field ID
+ * @param {Array} existingCards - Cards already in the collection
+ * @param {number} firstLine - Line number of the first data row in the file
+ * @returns {Array} - [{line, fields, status, message}] with status "ready",
+ *   "invalid" or "duplicate"
+ */
+export const analyzeImport = (rows, mapping, existingCards, firstLine = 1) => {
+  const existing = groupByWord(existingCards);
+  const imported = new Map();
+
+  return rows.map((row, index) => {
+    const line = firstLine + index;
+    const fields = mapImportRow(row, mapping);
+    const error = validateImportRow(fields);
+    if (error) {
+      return { line, fields, status: "invalid", message: error };
+    }
+
+    const key = fields.word.toLowerCase();
+    const existingCard = (existing.get(key) || []).find((card) => isDuplicate(card, fields));
+    const earlierRow = (imported.get(key) || []).find((entry) => isDuplicate(entry.fields, fields));
+    imported.set(key, [...(imported.get(key) || []), { line, fields }]);
+
+    if (existingCard) {
+      const name = existingCard.article ? `${existingCard.article} ${existingCard.word}` : existingCard.word;
+      return { line, fields, status: "duplicate", message: `Already a card: ${name}` };
+    }
+    if (earlierRow) {
+      return { line, fields, status: "duplicate", message: `Same as line ${earlierRow.line}` };
+    }
+    return { line, fields, status: "ready", message: null };
+  });
+};
+
+/**
+ * Count the rows of an import by status
+ * @param {Array} results - Rows from analyzeImport
+ * @returns {object} - {ready, invalid, duplicate}
+ */
+export const summarizeImport = (results) => {
+  const summary = { ready: 0, invalid: 0, duplicate: 0 };
+  results.forEach((result) => {
+    summary[result.status] += 1;
+  });
+  return summary;
+};
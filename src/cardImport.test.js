@@ -0,0 +1,177 @@
+/**
+ * @jest-environment node
+ */
+// jsdom has no TextDecoder, and the import module needs no DOM
+
+import {
+  decodeFile,
+  parseDelimited,
+  detectDelimiter,
+  isHeaderRow,
+  guessColumnMapping,
+  mapImportRow,
+  analyzeImport,
+  summarizeImport,
+} from "./cardImport";
+
+const bytes = (...values) => new Uint8Array(values).buffer;
+const MAPPING = { word: 0, article: -1, type: -1, meaning: 1, sentence: -1, sentenceMeaning: -1 };
+
+describe("parseDelimited", () => {
+  test("splits rows and trims cells", () => {
+    expect(parseDelimited("Hund, dog\nKatze ,cat", ",")).toEqual([
+      ["Hund", "dog"],
+      ["Katze", "cat"],
+    ]);
+  });
+
+  test("keeps delimiters, line breaks and doubled quotes inside quoted cells", () => {
+    const text = 'Haus,"house, home"\n"Satz","Er sagt ""Hallo""\nund geht"\n';
+
+    expect(parseDelimited(text, ",")).toEqual([
+      ["Haus", "house, home"],
+      ["Satz", 'Er sagt "Hallo"\nund geht'],
+    ]);
+  });
+
+  test("handles Windows line endings, empty rows and a missing final newline", () => {
+    expect(parseDelimited("a;b\r\n\r\n;\r\nc;d", ";")).toEqual([
+      ["a", "b"],
+      ["c", "d"],
+    ]);
+  });
+
+  test("keeps empty cells in the middle of a row", () => {
+    expect(parseDelimited("Hund\t\tdog", "\t")).toEqual([["Hund", "", "dog"]]);
+  });
+});
+
+describe("detectDelimiter", () => {
+  test("picks the delimiter that splits rows evenly", () => {
+    expect(detectDelimiter("word\tmeaning\nHund\tdog\nKatze\tcat")).toBe("\t");
+    expect(detectDelimiter("word;meaning\nHund;dog, hound\nKatze;cat")).toBe(";");
+    expect(detectDelimiter("word|meaning\nHund|dog\nKatze|cat")).toBe("|");
+  });
+
+  test("is not fooled by commas inside quoted cells", () => {
+    expect(detectDelimiter('word,meaning\nHaus,"house; home"\nHund,dog')).toBe(",");
+  });
+
+  test("falls back to a comma when nothing splits", () => {
+    expect(detectDelimiter("Hund\nKatze")).toBe(",");
+  });
+});
+
+describe("decodeFile", () => {
+  test("reads UTF-8", () => {
+    expect(decodeFile(new TextEncoder().encode("Bär,bear").buffer)).toEqual({ text: "Bär,bear", encoding: "UTF-8" });
+  });
+
+  test("reads UTF-16 by its byte order mark", () => {
+    expect(decodeFile(bytes(0xff, 0xfe, 0xe4, 0x00, 0x3b, 0x00))).toEqual({ text: "ä;", encoding: "UTF-16" });
+    expect(decodeFile(bytes(0xfe, 0xff, 0x00, 0xe4, 0x00, 0x3b))).toEqual({ text: "ä;", encoding: "UTF-16" });
+  });
+
+  test("reads what is not valid UTF-8 as Windows-1252", () => {
+    // "Bär;bear" as exported by older Excel versions
+    expect(decodeFile(bytes(0x42, 0xe4, 0x72, 0x3b, 0x62, 0x65, 0x61, 0x72))).toEqual({
+      text: "Bär;bear",
+      encoding: "Windows-1252",
+    });
+  });
+});
+
+describe("column mapping", () => {
+  test("recognizes English and German header names", () => {
+    const header = ["Artikel", "Wort", "English", "Beispielsatz"];
+
+    expect(isHeaderRow(header)).toBe(true);
+    expect(guessColumnMapping(header)).toEqual({
+      word: 1,
+      article: 0,
+      type: -1,
+      meaning: 2,
+      sentence: 3,
+      sentenceMeaning: -1,
+    });
+  });
+
+  test("without a header the first two columns are word and meaning", () => {
+    expect(isHeaderRow(["Hund", "dog"])).toBe(false);
+    expect(guessColumnMapping(null)).toEqual(MAPPING);
+  });
+});
+
+describe("mapImportRow", () => {
+  test("splits an article written in front of a noun", () => {
+    expect(mapImportRow(["der Hund", "dog"], MAPPING)).toMatchObject({ word: "Hund", article: "der", type: "noun" });
+    expect(mapImportRow(["Die Katze", "cat"], MAPPING)).toMatchObject({ word: "Katze", article: "die", type: "noun" });
+  });
+
+  test("leaves the word alone when the type is not a noun or the article has its own column", () => {
+    const typed = { ...MAPPING, type: 2 };
+    const withArticle = { ...MAPPING, article: 2 };
+
+    expect(mapImportRow(["das Gleiche", "the same", "expression"], typed)).toMatchObject({ word: "das Gleiche", article: "" });
+    expect(mapImportRow(["der Hund", "dog", "die"], withArticle)).toMatchObject({ word: "der Hund", article: "die" });
+  });
+
+  test("translates and lowercases word types", () => {
+    const typed = { ...MAPPING, type: 2 };
+
+    expect(mapImportRow(["laufen", "to run", "V"], typed).type).toBe("verb");
+    expect(mapImportRow(["Hund", "dog", "Nomen"], typed).type).toBe("noun");
+    expect(mapImportRow(["schnell", "fast", "Adjective"], typed).type).toBe("adjective");
+  });
+
+  test("fills unmapped and missing cells with empty strings", () => {
+    expect(mapImportRow(["Hund"], MAPPING)).toEqual({
+      word: "Hund",
+      article: "",
+      type: "",
+      meaning: "",
+      sentence: "",
+      sentenceMeaning: "",
+    });
+  });
+});
+
+describe("analyzeImport", () => {
+  const existing = [
+    { word: "Hund", article: "der", type: "noun" },
+    { word: "See", article: "der", type: "noun" },
+  ];
+
+  test("marks rows with errors, duplicates of existing cards and repeated rows", () => {
+    const rows = [
+      ["Katze", "cat"],
+      ["", "missing word"],
+      ["Baum", ""],
+      ["hund", "dog"],
+      ["die See", "sea"],
+      ["die Katze", "the cat"],
+      ["das Ding", "thing", "adverbial"],
+    ];
+    const mapping = { ...MAPPING, type: 2 };
+
+    const results = analyzeImport(rows, mapping, existing, 2);
+
+    expect(results.map((result) => [result.line, result.status, result.message])).toEqual([
+      [2, "ready", null],
+      [3, "invalid", "Missing German word"],
+      [4, "invalid", "Missing meaning"],
+      [5, "duplicate", "Already a card: der Hund"],
+      [6, "ready", null],
+      [7, "duplicate", "Same as line 2"],
+      [8, "invalid", 'Unknown type "adverbial"'],
+    ]);
+    expect(summarizeImport(results)).toEqual({ ready: 2, invalid: 3, duplicate: 2 });
+  });
+
+  test("rejects unknown articles", () => {
+    const [result] = analyzeImport([["Hund", "dog", "dem"]], { ...MAPPING, article: 2 }, []);
+
+    expect(result.status).toBe("invalid");
+    expect(result.message).toBe('Unknown article "dem"');
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Card Overrides - Flashcard Deutscher
+ *
+ * User corrections to bundled cards. A corrected card keeps the fields that
+ * differ from the dataset in `overrides`, a layer on top of the dataset
+ * content: the dataset merge (see wordLoader.js) puts it back over every
+ * dataset update, a data reset keeps it, and restoring the card drops it
+ * again. The layer is stored in the card's record, so it is part of every
+ * backup export and comes back on restore (see backup.js).
+ * Cards in the user's own decks are edited directly instead (see decks.js).
+ */
+
+// Content fields a correction can change
+export const OVERRIDABLE_FIELDS = [
+  "word",
+  "article",
+  "type",
+  "sentence",
+  "meaning",
+  "sentenceMeaning",
+  "level",
+  "category",
+  "tags",
+];
+
+/**
+ * Compare two field values (tags are arrays)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} - True if both hold the same content
+ */
+const isSameValue = (a, b) => {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return JSON.stringify(a || []) === JSON.stringify(b || []);
+  }
+  return (a || "") === (b || "");
+};
+
+/**
+ * Check whether a card carries user corrections
+ * @param {object} card - Card
+ * @returns {boolean} - True if any field is overridden
+ */
+export const hasOverrides = (card) => !!card.overrides && Object.keys(card.overrides).length > 0;
+
+/**
+ * Put a card's corrections back over its content
+ * @param {object} card - Card with dataset content
+ * @returns {object} - Card showing the corrected content
+ */
+export const applyOverrides = (card) => (hasOverrides(card) ? { ...card, ...card.overrides } : card);
+
+/**
+ * Correct a bundled card, keeping only the fields that differ from the dataset
+ * @param {object} card - Card
+ * @param {object} content - New content fields
+ * @param {object} original - The card as created from the dataset
+ * @returns {object} - Card with the new content and its override layer
+ */
+export const overrideCard = (card, content, original) => {
+  const overrides = {};
+  OVERRIDABLE_FIELDS.forEach((field) => {
+    if (content[field] !== undefined && !isSameValue(content[field], original[field])) {
+      overrides[field] = content[field];
+    }
+  });
+
+  const restored = restoreCard(card, original);
+  return Object.keys(overrides).length > 0 ? applyOverrides({ ...restored, overrides }) : restored;
+};
+
+/**
+ * Drop a card's corrections and go back to the dataset content
+ * @param {object} card - Card
+ * @param {object} original - The card as created from the dataset
+ * @returns {object} - Card with the dataset content and no override layer
+ */
+export const restoreCard = (card, original) => {
+  const { overrides, ...rest } = card;
+  return OVERRIDABLE_FIELDS.reduce(
+    (restored, field) => ({ ...restored, [field]: original[field] }),
+    rest
+  );
+};
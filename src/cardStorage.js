@@ -0,0 +1,371 @@
+/**
+ * Card Storage - Flashcard Deutscher
+ *
+ * Versioned card persistence. Cards live in IndexedDB (one record per card)
+ * when the browser supports it and fall back to the `flashcards` localStorage
+ * entry otherwise. Saved data carries a schema version and is brought up to
+ * date on startup by running an ordered list of migrations.
+ */
+
+import { migrateWordsToSRS } from "./srsAlgorithm";
+import { createInitialCards, mergeWithDataset } from "./wordLoader";
+import {
+  isIndexedDBAvailable,
+  getAll,
+  putAll,
+  deleteAll,
+  addRecord,
+  getMeta,
+  setMeta,
+  CARDS_STORE,
+  REVIEW_LOG_STORE,
+} from "./cardDatabase";
+
+export const STORAGE_KEY = "flashcards";
+export const BACKUP_KEY = "flashcards-backup";
+const FAILED_KEY = "flashcards-failed";
+export const REVIEW_LOG_KEY = "flashcards-revlog";
+// Most recent review log entries kept by the localStorage fallback, which
+// rewrites the whole log on every rating and shares the origin's small quota
+const LOCAL_REVIEW_LOG_LIMIT = 5000;
+
+// IndexedDB meta store keys
+const VERSION_META = "schemaVersion";
+const IMPORTED_META = "importedFromLocalStorage";
+const BACKUP_META = "backup";
+const FAILED_META = "failed";
+
+/**
+ * Ordered schema migrations. Each entry upgrades cards from `version - 1`
+ * to `version`; add new fields by appending a migration here and never
+ * edit one that has already shipped.
+ */
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: "Add SRS scheduling fields to legacy count-only cards",
+    migrate: (cards) => migrateWordsToSRS(cards),
+  },
+  {
+    version: 3,
+    description: "Clear the default 'learning' status from never-rated cards",
+    migrate: (cards) =>
+      cards.map((card) =>
+        card.status === "learning" && !card.totalReviews ? { ...card, status: null } : card
+      ),
+  },
+];
+
+export const CURRENT_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Detect the schema version of parsed storage data
+ * Unversioned arrays are v1 (count-only) unless every card already carries
+ * SRS fields, in which case they were written by the pre-versioning app (v2).
+ * @param {object|Array} data - Parsed storage data
+ * @returns {number} - Schema version
+ */
+export const detectVersion = (data) => {
+  if (Array.isArray(data)) {
+    const hasSRSFields = data.length > 0 && data.every((card) => "nextReview" in card);
+    return hasSRSFields ? 2 : 1;
+  }
+  if (data && Array.isArray(data.cards) && Number.isInteger(data.version)) {
+    return data.version;
+  }
+  throw new Error("Unrecognised flashcard storage format");
+};
+
+/**
+ * Run all migrations newer than the data's version
+ * @param {object|Array} data - Parsed storage data
+ * @returns {object} - {cards, fromVersion}
+ */
+export const migrateData = (data) => {
+  const fromVersion = detectVersion(data);
+  if (fromVersion > CURRENT_VERSION) {
+    throw new Error(`Flashcard data version ${fromVersion} is newer than this app (${CURRENT_VERSION})`);
+  }
+
+  let cards = Array.isArray(data) ? data : data.cards;
+  MIGRATIONS.filter((migration) => migration.version > fromVersion).forEach((migration) => {
+    console.log(`Migrating flashcards to v${migration.version}: ${migration.description}`);
+    cards = migration.migrate(cards);
+  });
+
+  return { cards, fromVersion };
+};
+
+/**
+ * Migrate saved cards and merge them with the bundled dataset
+ * @param {object|Array} data - Parsed storage data
+ * @param {Array} dataset - Dataset entries
+ * @returns {object} - {cards, fromVersion}
+ */
+const prepareCards = (data, dataset) => {
+  const { cards, fromVersion } = migrateData(data);
+  const { cards: mergedCards, added, retired } = mergeWithDataset(cards, dataset);
+  if (added > 0 || retired > 0) {
+    console.log(`Dataset changed: ${added} new words added, ${retired} words retired`);
+  }
+  return { cards: mergedCards, fromVersion };
+};
+
+/**
+ * Keep a copy of raw storage data in localStorage
+ * The copy is a safety net, so a full quota is logged rather than thrown.
+ * @param {string} key - localStorage key
+ * @param {string} raw - Raw data
+ */
+const keepLocalCopy = (key, raw) => {
+  try {
+    localStorage.setItem(key, raw);
+  } catch (error) {
+    console.error(`Error keeping a copy of the flashcards under ${key}:`, error);
+  }
+};
+
+/**
+ * Load cards from the `flashcards` localStorage entry
+ * Before an older schema is migrated its raw copy is kept under BACKUP_KEY.
+ * If the saved data cannot be loaded it is preserved under FAILED_KEY and the
+ * backup copy is tried instead; fresh cards are only used when both fail.
+ * @param {Array} dataset - Dataset entries
+ * @returns {object} - {cards, error, restoredFromBackup}
+ */
+const loadFromLocalStorage = (dataset) => {
+  const raw = localStorage.getItem(STORAGE_KEY);
+  if (!raw) {
+    return { cards: createInitialCards(dataset), error: null, restoredFromBackup: false };
+  }
+
+  try {
+    const { cards, fromVersion } = prepareCards(JSON.parse(raw), dataset);
+    if (fromVersion < CURRENT_VERSION) {
+      keepLocalCopy(BACKUP_KEY, raw);
+    }
+    return { cards, error: null, restoredFromBackup: false };
+  } catch (error) {
+    console.error("Error loading saved flashcards:", error);
+    keepLocalCopy(FAILED_KEY, raw);
+
+    const backup = localStorage.getItem(BACKUP_KEY);
+    if (backup && backup !== raw) {
+      try {
+        const { cards } = prepareCards(JSON.parse(backup), dataset);
+        console.warn("Restored flashcards from backup copy");
+        return { cards, error, restoredFromBackup: true };
+      } catch (backupError) {
+        console.error("Error loading flashcard backup:", backupError);
+      }
+    }
+
+    return { cards: createInitialCards(dataset), error, restoredFromBackup: false };
+  }
+};
+
+/**
+ * Load cards from IndexedDB
+ * The first run imports the existing `flashcards` localStorage entry (through
+ * the usual migration pipeline) and moves it to BACKUP_KEY to free the quota.
+ * Later runs follow the same backup/failed rules as localStorage, with the
+ * copies kept in the meta store.
+ * @param {Array} dataset - Dataset entries
+ * @returns {Promise<object>} - {cards, error, restoredFromBackup}
+ */
+const loadFromIndexedDB = async (dataset) => {
+  if (!(await getMeta(IMPORTED_META))) {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const result = loadFromLocalStorage(dataset);
+    await putAll(CARDS_STORE, result.cards, { clear: true });
+    await setMeta(VERSION_META, CURRENT_VERSION);
+    await setMeta(IMPORTED_META, new Date().toISOString());
+    if (raw) {
+      localStorage.removeItem(STORAGE_KEY);
+      if (!result.error) keepLocalCopy(BACKUP_KEY, raw);
+      console.log(`Imported ${result.cards.length} cards from localStorage into IndexedDB`);
+    }
+    return result;
+  }
+
+  const storedCards = await getAll(CARDS_STORE);
+  if (storedCards.length === 0) {
+    const cards = createInitialCards(dataset);
+    await putAll(CARDS_STORE, cards);
+    await setMeta(VERSION_META, CURRENT_VERSION);
+    return { cards, error: null, restoredFromBackup: false };
+  }
+
+  const data = { version: (await getMeta(VERSION_META)) || CURRENT_VERSION, cards: storedCards };
+  let result;
+  try {
+    const { cards, fromVersion } = prepareCards(data, dataset);
+    if (fromVersion < CURRENT_VERSION) {
+      await setMeta(BACKUP_META, data);
+    }
+    result = { cards, error: null, restoredFromBackup: false };
+  } catch (error) {
+    console.error("Error loading saved flashcards:", error);
+    await setMeta(FAILED_META, data);
+
+    const backup = await getMeta(BACKUP_META);
+    result = { cards: createInitialCards(dataset), error, restoredFromBackup: false };
+    if (backup) {
+      try {
+        result = { cards: prepareCards(backup, dataset).cards, error, restoredFromBackup: true };
+        console.warn("Restored flashcards from backup copy");
+      } catch (backupError) {
+        console.error("Error loading flashcard backup:", backupError);
+      }
+    }
+  }
+
+  await putAll(CARDS_STORE, result.cards, { clear: true });
+  await setMeta(VERSION_META, CURRENT_VERSION);
+  return result;
+};
+
+// Active storage backend, chosen by loadCards
+let useIndexedDB = false;
+// Full card set mirrored in memory for the localStorage fallback
+const localCards = new Map();
+// Review log mirrored in memory for the localStorage fallback, read on first use
+let localReviewLog = null;
+
+/**
+ * Get the localStorage fallback's review log, parsing it only once
+ * @returns {Array} - Review log entries, oldest first
+ */
+const getLocalReviewLog = () => {
+  if (!localReviewLog) {
+    try {
+      localReviewLog = JSON.parse(localStorage.getItem(REVIEW_LOG_KEY) || "[]");
+    } catch (error) {
+      console.error("Error parsing the review log:", error);
+      localReviewLog = [];
+    }
+  }
+  return localReviewLog;
+};
+
+/**
+ * Rewrite the localStorage fallback entry from the in-memory card set
+ */
+const writeLocalStorage = () => {
+  localStorage.setItem(
+    STORAGE_KEY,
+    JSON.stringify({
+      version: CURRENT_VERSION,
+      savedAt: new Date().toISOString(),
+      cards: Array.from(localCards.values()),
+    })
+  );
+};
+
+/**
+ * Load cards, migrating older schemas on the way
+ * Uses IndexedDB when available and falls back to localStorage otherwise.
+ * @param {Array} dataset - Dataset entries
+ * @returns {Promise<object>} - {cards, error, restoredFromBackup}
+ */
+export const loadCards = async (dataset) => {
+  if (isIndexedDBAvailable()) {
+    try {
+      const result = await loadFromIndexedDB(dataset);
+      useIndexedDB = true;
+      return result;
+    } catch (error) {
+      console.warn("IndexedDB unavailable, falling back to localStorage:", error);
+    }
+  }
+
+  useIndexedDB = false;
+  const result = loadFromLocalStorage(dataset);
+  localCards.clear();
+  result.cards.forEach((card) => localCards.set(card.id, card));
+  // The cards are loaded even if they no longer fit; later saves report that
+  try {
+    writeLocalStorage();
+  } catch (error) {
+    console.error("Error saving flashcards to localStorage:", error);
+  }
+  return result;
+};
+
+/**
+ * Save changed cards
+ * With IndexedDB only the given cards are written.
+ * @param {Array} cards - Cards that changed since the last save
+ * @returns {Promise} - Resolves once saved
+ */
+export const saveCards = async (cards) => {
+  if (cards.length === 0) return;
+  if (useIndexedDB) {
+    await putAll(CARDS_STORE, cards);
+    return;
+  }
+  cards.forEach((card) => localCards.set(card.id, card));
+  writeLocalStorage();
+};
+
+/**
+ * Delete cards (used when a user card or deck is deleted)
+ * @param {Array} ids - IDs of the cards to delete
+ * @returns {Promise} - Resolves once saved
+ */
+export const deleteCards = async (ids) => {
+  if (ids.length === 0) return;
+  if (useIndexedDB) {
+    await deleteAll(CARDS_STORE, ids);
+    return;
+  }
+  ids.forEach((id) => localCards.delete(id));
+  writeLocalStorage();
+};
+
+/**
+ * Replace every saved card (used by "Reset Data")
+ * With IndexedDB the store is cleared and refilled in one transaction, so an
+ * interrupted reset never leaves it empty.
+ * @param {Array} cards - Complete new card set
+ * @returns {Promise} - Resolves once saved
+ */
+export const replaceCards = async (cards) => {
+  if (useIndexedDB) {
+    await putAll(CARDS_STORE, cards, { clear: true });
+    return;
+  }
+  localCards.clear();
+  cards.forEach((card) => localCards.set(card.id, card));
+  writeLocalStorage();
+};
+
+/**
+ * Append an entry to the review log
+ * The localStorage fallback only keeps the latest LOCAL_REVIEW_LOG_LIMIT entries.
+ * @param {object} entry - Review log entry (see reviewLog.js)
+ * @returns {Promise} - Resolves once saved
+ */
+export const appendReviewLog = async (entry) => {
+  if (useIndexedDB) {
+    await addRecord(REVIEW_LOG_STORE, entry);
+    return;
+  }
+  const log = getLocalReviewLog();
+  const lastEntry = log[log.length - 1];
+  log.push({ ...entry, id: (lastEntry ? lastEntry.id : 0) + 1 });
+  if (log.length > LOCAL_REVIEW_LOG_LIMIT) {
+    log.splice(0, log.length - LOCAL_REVIEW_LOG_LIMIT);
+  }
+  localStorage.setItem(REVIEW_LOG_KEY, JSON.stringify(log));
+};
+
+/**
+ * Read the review log, oldest entry first
+ * @param {string} cardId - Optional card ID to filter by
+ * @returns {Promise<Array>} - Review log entries
+ */
+export const getReviewLog = async (cardId = null) => {
+  const log = useIndexedDB ? await getAll(REVIEW_LOG_STORE) : [...getLocalReviewLog()];
+  return cardId ? log.filter((entry) => entry.cardId === cardId) : log;
+};
@@ -0,0 +1,43 @@
+import { loadCards, STORAGE_KEY } from "./cardStorage";
+import initialWordsData from "./data/initialWords.json";
+
+// jsdom has no IndexedDB, so these run against the localStorage fallback
+const DATASET = initialWordsData.slice(0, 5);
+
+describe("loadCards without room in localStorage", () => {
+  let setItem;
+
+  beforeEach(() => {
+    localStorage.clear();
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    setItem = jest.spyOn(Storage.prototype, "setItem").mockImplementation(() => {
+      throw new DOMException("The quota has been exceeded.", "QuotaExceededError");
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("still loads the cards on a first run", async () => {
+    const { cards, error } = await loadCards(DATASET);
+
+    expect(cards).toHaveLength(DATASET.length);
+    expect(error).toBeNull();
+    expect(setItem).toHaveBeenCalled();
+  });
+
+  test("still loads fresh cards when the saved data is unreadable and cannot be kept", async () => {
+    setItem.mockRestore();
+    localStorage.setItem(STORAGE_KEY, "{not json");
+    jest.spyOn(Storage.prototype, "setItem").mockImplementation(() => {
+      throw new DOMException("The quota has been exceeded.", "QuotaExceededError");
+    });
+
+    const { cards, error } = await loadCards(DATASET);
+
+    expect(cards).toHaveLength(DATASET.length);
+    expect(error).toBeInstanceOf(Error);
+    expect(localStorage.getItem(STORAGE_KEY)).toBe("{not json");
+  });
+});
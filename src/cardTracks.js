@@ -0,0 +1,117 @@
+/**
+ * Card Tracks - Flashcard Deutscher
+ *
+ * A card can be practised in several ways (meaning recall, article gender,
+ * cloze, listening, speaking, plurals, sentences, ...), and each skill keeps
+ * its own SRS schedule. The meaning track lives in the card's top-level
+ * fields as it always has; every other track is stored under
+ * `card.tracks[trackId]` with the same field names.
+ *
+ * A "track view" is the card with a track's SRS fields laid over it, so the
+ * scheduler, queue and stats helpers work on any track without knowing about
+ * tracks at all. Views also carry `track` and a `key` that is unique across
+ * tracks, so sibling views of one card can share a study queue.
+ */
+
+export const MEANING_TRACK = "meaning"; // German -> English recognition
+export const REVERSE_TRACK = "reverse"; // English -> German production
+export const ARTICLE_TRACK = "article";
+export const CLOZE_TRACK = "cloze"; // Word form in its example sentence
+export const LISTENING_TRACK = "listening"; // Spoken German -> spelling and meaning
+export const SPEAKING_TRACK = "speaking"; // Saying the German word or sentence
+export const PLURAL_TRACK = "plural"; // Plural of a noun
+export const SENTENCE_TRACK = "sentence"; // Separable/reflexive verb placed in a sentence
+
+/**
+ * SRS fields of a track at its initial (never rated) state
+ * @returns {object} - Fresh track state
+ */
+export const createTrackState = () => ({
+  status: null,
+  nextReview: null,
+  interval: 1,
+  easeFactor: 2.5,
+  consecutiveCorrect: 0,
+  lastReviewed: null,
+  totalReviews: 0,
+  mistakeCount: 0,
+  stability: null,
+  difficulty: null,
+  learningStep: null,
+  isRelearning: false,
+});
+
+// Every field that belongs to a track rather than to the card itself
+const TRACK_FIELDS = [...Object.keys(createTrackState()), "scheduler"];
+
+/**
+ * Get the queue key of one track of a card
+ * @param {string} cardId - Card ID
+ * @param {string} trackId - Track ID
+ * @returns {string} - Key unique across cards and tracks
+ */
+export const getCardKey = (cardId, trackId = MEANING_TRACK) => `${trackId}/${cardId}`;
+
+/**
+ * Split a queue key back into card and track
+ * @param {string} key - Key from getCardKey
+ * @returns {object} - {cardId, trackId}
+ */
+export const parseCardKey = (key) => {
+  const separator = key.indexOf("/");
+  return { trackId: key.slice(0, separator), cardId: key.slice(separator + 1) };
+};
+
+/**
+ * Get a card as seen by one track
+ * @param {object} card - Stored card
+ * @param {string} trackId - Track ID
+ * @returns {object} - Card with the track's SRS fields, `track` and `key`
+ */
+export const getTrackView = (card, trackId = MEANING_TRACK) => {
+  const trackState = trackId === MEANING_TRACK
+    ? {}
+    : (card.tracks && card.tracks[trackId]) || createTrackState();
+  return { ...card, ...trackState, track: trackId, key: getCardKey(card.id, trackId) };
+};
+
+/**
+ * Keep only the SRS fields of a track view
+ * @param {object} view - Track view or partial SRS fields
+ * @returns {object} - Track fields that are set
+ */
+const pickTrackFields = (view) => {
+  const trackState = {};
+  TRACK_FIELDS.forEach((field) => {
+    if (view[field] !== undefined) trackState[field] = view[field];
+  });
+  return trackState;
+};
+
+/**
+ * Write SRS fields back to one track of a card
+ * @param {object} card - Stored card
+ * @param {string} trackId - Track ID
+ * @param {object} fields - SRS fields to merge into the track
+ * @returns {object} - Updated stored card
+ */
+export const updateTrack = (card, trackId, fields) => {
+  if (trackId === MEANING_TRACK) return { ...card, ...pickTrackFields(fields) };
+
+  const trackState = pickTrackFields({ ...getTrackView(card, trackId), ...fields });
+  return { ...card, tracks: { ...card.tracks, [trackId]: trackState } };
+};
+
+/**
+ * Apply a change to the meaning track and every stored track of a card
+ * @param {object} card - Stored card
+ * @param {Function} transform - Receives a track view, returns the updated view
+ * @returns {object} - Updated stored card
+ */
+export const updateAllTracks = (card, transform) => {
+  let updated = transform(card);
+  Object.keys(card.tracks || {}).forEach((trackId) => {
+    updated = updateTrack(updated, trackId, transform(getTrackView(card, trackId)));
+  });
+  return updated;
+};
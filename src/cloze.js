@@ -0,0 +1,148 @@
+/**
+ * Cloze - Flashcard Deutscher
+ *
+ * Finds a card's word in its example sentence so it can be blanked out. The
+ * sentence often uses an inflected form ("lerne" for "lernen", "Punkte" for
+ * "Punkt", "bläst" for "blasen"), so single words are matched on a shared
+ * stem with umlauts folded rather than exactly. Cards whose sentence has no
+ * recognisable form (irregular stems, split separable verbs) are left out of
+ * cloze practice.
+ */
+
+import { getAcceptedAnswers } from "./answerMatching";
+import { hashString } from "./random";
+
+// Words in a sentence, including accented loanwords (Café) and hyphenated compounds
+const WORD_PATTERN = /[A-Za-zÀ-ÖØ-öø-ÿ]+(?:-[A-Za-zÀ-ÖØ-öø-ÿ]+)*/g;
+
+// Longest ending an inflected form may add to the stem ("-test", "-sten", ...)
+const MAX_ENDING_LENGTH = 4;
+
+// Cloze targets per card, since queue building checks every card
+const targetCache = new Map();
+
+/**
+ * Lowercase and fold umlauts and ß so "bläst" and "blasen" share a stem
+ * @param {string} text - Word
+ * @returns {string} - Folded word
+ */
+const foldWord = (text) =>
+  text.toLowerCase().replace(/[äöüß]/g, (char) => ({ "ä": "a", "ö": "o", "ü": "u", "ß": "ss" })[char]);
+
+/**
+ * Get the part of a word every inflected form starts with
+ * Verbs drop their infinitive ending; other words are used whole.
+ * @param {string} word - Dictionary form
+ * @param {string} type - Word type
+ * @returns {string} - Folded stem
+ */
+const getStem = (word, type) => {
+  const folded = foldWord(word);
+  return type === "verb" ? folded.replace(/e?n$/, "") : folded;
+};
+
+/**
+ * Find a multi-word entry ("es gibt", "außer Betrieb") in a sentence
+ * @param {string} sentence - Example sentence
+ * @param {string} phrase - Entry to find
+ * @returns {object|null} - {index, text}
+ */
+const findPhrase = (sentence, phrase) => {
+  const index = sentence.toLowerCase().indexOf(phrase.toLowerCase());
+  return index >= 0 ? { index, text: sentence.slice(index, index + phrase.length) } : null;
+};
+
+/**
+ * Find the sentence word that is an inflected form of a single-word entry
+ * @param {string} sentence - Example sentence
+ * @param {string} word - Entry to find
+ * @param {string} type - Word type
+ * @returns {object|null} - {index, text}
+ */
+const findWordForm = (sentence, word, type) => {
+  const stem = getStem(word, type);
+  if (stem.length < 2) return null;
+
+  let best = null;
+  for (const match of sentence.matchAll(WORD_PATTERN)) {
+    const folded = foldWord(match[0]);
+    const ending = folded.length - stem.length;
+    if (!folded.startsWith(stem) || ending < 0 || ending > MAX_ENDING_LENGTH) continue;
+    // Prefer the closest form, e.g. "lerne" over "lernende"
+    if (!best || ending < best.ending) {
+      best = { index: match.index, text: match[0], ending };
+    }
+  }
+  return best && { index: best.index, text: best.text };
+};
+
+/**
+ * Find the word to blank out in a card's example sentence
+ * @param {object} card - Card
+ * @returns {object|null} - {before, answer, after}, or null if the sentence
+ *   contains no recognisable form of the word
+ */
+export const findClozeTarget = (card) => {
+  if (!card.sentence || !card.word) return null;
+
+  const cacheKey = `${card.type}|${card.word}|${card.sentence}`;
+  if (targetCache.has(cacheKey)) return targetCache.get(cacheKey);
+
+  let found = null;
+  for (const { word: accepted } of getAcceptedAnswers(card)) {
+    // Interjections are listed with an exclamation mark ("Prost!")
+    const word = accepted.replace(/!$/, "");
+    found = word.includes(" ")
+      ? findPhrase(card.sentence, word)
+      : findWordForm(card.sentence, word, card.type);
+    if (found) break;
+  }
+
+  const target = found && {
+    before: card.sentence.slice(0, found.index),
+    answer: found.text,
+    after: card.sentence.slice(found.index + found.text.length),
+  };
+  targetCache.set(cacheKey, target);
+  return target;
+};
+
+/**
+ * Check whether a card can be used for cloze practice
+ * @param {object} card - Card
+ * @returns {boolean} - True if the word can be found in its sentence
+ */
+export const isClozeCard = (card) => !!findClozeTarget(card);
+
+/**
+ * Get the forms offered when picking instead of typing the missing word
+ * Distractors are blanked forms of other cards, preferring the same word type
+ * and ending so they fit the gap grammatically. The pick is stable per card.
+ * @param {object} card - Card being studied
+ * @param {Array} deck - Cards to take distractors from
+ * @param {number} count - Number of choices including the answer
+ * @returns {Array} - Choices in alphabetical order
+ */
+export const getClozeChoices = (card, deck, count = 4) => {
+  const target = findClozeTarget(card);
+  if (!target) return [];
+
+  const answer = target.answer.toLowerCase();
+  const ending = answer.slice(-2);
+  const scored = new Map();
+  deck.forEach((other) => {
+    if (other.id === card.id) return;
+    const otherTarget = findClozeTarget(other);
+    if (!otherTarget || otherTarget.answer.includes(" ")) return;
+    const form = otherTarget.answer.toLowerCase();
+    if (form === answer || scored.has(form)) return;
+    const score = (other.type === card.type ? 2 : 0) + (form.endsWith(ending) ? 1 : 0);
+    scored.set(form, { text: otherTarget.answer, score, tieBreak: hashString(card.id + other.id) });
+  });
+
+  const distractors = Array.from(scored.values())
+    .sort((a, b) => b.score - a.score || a.tieBreak - b.tieBreak)
+    .slice(0, count - 1)
+    .map((choice) => choice.text);
+  return [target.answer, ...distractors].sort((a, b) => a.localeCompare(b, "de"));
+};
@@ -0,0 +1,58 @@
+// src/components/AnswerFeedback.jsx
+import React from 'react';
+import { QUALITY_DESCRIPTIONS } from '../srsAlgorithm';
+
+const VERDICT_LABELS = {
+  correct: 'Correct',
+  typo: 'Almost - check the spelling',
+  missingArticle: 'Missing article',
+  wrongArticle: 'Wrong article',
+  wrong: 'Not quite',
+};
+
+const AnswerFeedback = ({ answer }) => {
+  const { result, quality } = answer;
+  const grade = QUALITY_DESCRIPTIONS[quality];
+
+  return (
+    <div className={`answer-feedback verdict-${result.verdict}`}>
+      <div className="answer-verdict">
+        <span className="material-icons">
+          {result.correct ? 'check_circle' : 'error_outline'}
+        </span>
+        {VERDICT_LABELS[result.verdict]}
+        {grade && <span className={`answer-grade grade-${grade.label.toLowerCase()}`}>{grade.label}</span>}
+      </div>
+
+      {/* What was typed, with corrections marked character by character */}
+      {result.input && !result.correct && result.diff.length === 0 && (
+        <div className="answer-diff" aria-label={`You answered: ${result.input}`}>
+          <span className="diff-extra">{result.input}</span>
+        </div>
+      )}
+      {result.input && !result.correct && result.diff.length > 0 && (
+        <div className="answer-diff" aria-label={`You typed: ${result.input}`}>
+          {result.diff.map((part, index) => {
+            if (part.type === 'equal') {
+              return <span key={index} className="diff-equal">{part.actual}</span>;
+            }
+            if (part.type === 'missing') {
+              return <span key={index} className="diff-missing">{part.expected}</span>;
+            }
+            if (part.type === 'extra') {
+              return <span key={index} className="diff-extra">{part.actual}</span>;
+            }
+            return (
+              <span key={index}>
+                <span className="diff-extra">{part.actual}</span>
+                <span className="diff-missing">{part.expected}</span>
+              </span>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AnswerFeedback;
@@ -0,0 +1,95 @@
+// src/components/ArticleButtons.jsx
+import React, { useState, useEffect } from 'react';
+import { ARTICLES, getNounArticles } from '../answerMatching';
+
+const ArticleButtons = ({ 
+  card, 
+  isVisible, 
+  answer, 
+  onSubmit 
+}) => {
+  const [selected, setSelected] = useState([]);
+
+  const expected = getNounArticles(card);
+  // Mixed entries like "der/die" need every article picked before checking
+  const needsSeveral = expected.length > 1;
+
+  useEffect(() => {
+    setSelected([]);
+  }, [card.id]);
+
+  const pickArticle = (article) => {
+    if (answer) return;
+    if (!needsSeveral) {
+      onSubmit([article]);
+      return;
+    }
+    setSelected(prev =>
+      prev.includes(article) ? prev.filter(a => a !== article) : [...prev, article]
+    );
+  };
+
+  // 1/2/3 pick der/die/das, Enter checks a multi-article pick.
+  // Listens in the capture phase so the digits don't reach the rating shortcuts.
+  useEffect(() => {
+    if (!isVisible || answer) return;
+
+    const handleKeyDown = (event) => {
+      if (event.target.closest && event.target.closest('input, textarea, select')) return;
+      const index = ['1', '2', '3'].indexOf(event.key);
+      if (index >= 0) {
+        event.preventDefault();
+        event.stopPropagation();
+        pickArticle(ARTICLES[index]);
+      } else if (event.key === 'Enter' && needsSeveral && selected.length > 0) {
+        event.preventDefault();
+        event.stopPropagation();
+        onSubmit(selected);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  });
+
+  const getButtonClass = (article) => {
+    if (answer) {
+      if (expected.includes(article)) return 'correct';
+      return answer.input.split('/').includes(article) ? 'wrong' : '';
+    }
+    return selected.includes(article) ? 'selected' : '';
+  };
+
+  return (
+    <div className="article-drill" onClick={(e) => e.stopPropagation()}>
+      <div className="article-buttons">
+        {ARTICLES.map((article, index) => (
+          <button
+            key={article}
+            className={`article-btn article-${article} ${getButtonClass(article)}`}
+            onClick={() => pickArticle(article)}
+            disabled={!!answer}
+            title={`${article} (${index + 1} key)`}
+          >
+            {article}
+          </button>
+        ))}
+      </div>
+      {needsSeveral && !answer && (
+        <>
+          <p className="article-hint">This noun takes more than one article - pick all of them</p>
+          <button
+            className="control-button"
+            onClick={() => onSubmit(selected)}
+            disabled={selected.length === 0}
+          >
+            <span className="material-icons">check</span>
+            Check
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ArticleButtons;
@@ -1,25 +1,58 @@
 // src/components/BrowsePage.jsx
 import React, { useState, useEffect, useMemo } from 'react';
+import NounForms from './NounForms';
+import VerbDetails from './VerbDetails';
+import CardEditor from './CardEditor';
+import CardImport from './CardImport';
+import { LEVELS, CATEGORIES, matchesWordTags, toggleTag, getCategoryLabel } from '../wordTags';
+import { matchesDecks, isCustomCard, BUILTIN_DECK_ID } from '../decks';
+import { hasOverrides } from '../cardOverrides';
 
 const BrowsePage = ({ 
   isOpen, 
   onClose, 
   words,
+  decks,
+  onCreateCard,
+  onEditCard,
+  onRestoreCard,
+  onImportCards,
+  onDeleteCard,
+  onAddDeck,
+  onRenameDeck,
+  onDeleteDeck,
   theme
 }) => {
   const [searchTerm, setSearchTerm] = useState("");
   const [searchLanguage, setSearchLanguage] = useState("both"); // "de", "en", "both"
+  const [levelFilter, setLevelFilter] = useState([]);
+  const [categoryFilter, setCategoryFilter] = useState("");
+  const [deckFilter, setDeckFilter] = useState("");
   const [filteredWords, setFilteredWords] = useState([]);
+  // Card editor: null when closed, {card: null} for a new card
+  const [editor, setEditor] = useState(null);
+  const [isImportOpen, setIsImportOpen] = useState(false);
+
+  const isTagFilterActive = levelFilter.length > 0 || categoryFilter !== "" || deckFilter !== "";
+  const selectedDeck = decks.find((deck) => deck.id === deckFilter);
 
   // Filter words based on search term and language (words only, not sentences)
   const searchResults = useMemo(() => {
+    const taggedWords = words.filter((word) =>
+      matchesWordTags(word, levelFilter, categoryFilter ? [categoryFilter] : []) &&
+      matchesDecks(word, deckFilter ? [deckFilter] : [])
+    );
+
     if (!searchTerm.trim()) {
-      return words;
+      return taggedWords;
     }
 
     const term = searchTerm.toLowerCase().trim();
     
-    return words.filter((word) => {
+    return taggedWords.filter((word) => {
+      if (word.tags && word.tags.some((tag) => tag.toLowerCase().includes(term))) {
+        return true;
+      }
       if (searchLanguage === "de") {
         return (
           word.word.toLowerCase().includes(term) ||
@@ -40,7 +73,7 @@ const BrowsePage = ({
         );
       }
     });
-  }, [words, searchTerm, searchLanguage]);
+  }, [words, searchTerm, searchLanguage, levelFilter, categoryFilter, deckFilter]);
 
   // Update filtered words when search results change
   useEffect(() => {
@@ -53,6 +86,52 @@ const BrowsePage = ({
     }
   };
 
+  const handleSaveCard = (fields) => {
+    if (editor.card) {
+      onEditCard(editor.card.id, fields);
+    } else {
+      onCreateCard(fields);
+    }
+    setEditor(null);
+  };
+
+  const handleRestoreCard = () => {
+    onRestoreCard(editor.card.id);
+    setEditor(null);
+  };
+
+  // Add the imported cards and show their deck
+  const handleImportCards = (fieldsList, deckId) => {
+    onImportCards(fieldsList);
+    setDeckFilter(deckId);
+    setIsImportOpen(false);
+  };
+
+  const handleDeleteCard = (word) => {
+    if (window.confirm(`Delete "${word.word}" and its learning progress?`)) {
+      onDeleteCard(word.id);
+    }
+  };
+
+  const handleRenameDeck = () => {
+    const name = window.prompt("Rename deck", selectedDeck.name);
+    if (name && name.trim()) {
+      onRenameDeck(selectedDeck.id, name.trim());
+    }
+  };
+
+  const handleDeleteDeck = () => {
+    if (window.confirm(`Delete the deck "${selectedDeck.name}" with all its cards and their learning progress?`)) {
+      onDeleteDeck(selectedDeck.id);
+      setDeckFilter("");
+    }
+  };
+
+  const getDeckName = (deckId) => {
+    const deck = decks.find((entry) => entry.id === deckId);
+    return deck ? deck.name : deckId;
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'learned': return '#22c55e';
@@ -89,9 +168,19 @@ const BrowsePage = ({
             <span className="material-icons">search</span>
             <h2>Browse & Search</h2>
           </div>
-          <button className="browse-close-btn" onClick={onClose}>
-            <span className="material-icons">close</span>
-          </button>
+          <div className="browse-header-actions">
+            <button className="lang-btn" onClick={() => setIsImportOpen(true)}>
+              <span className="material-icons">upload_file</span>
+              Import
+            </button>
+            <button className="lang-btn active" onClick={() => setEditor({ card: null })}>
+              <span className="material-icons">add</span>
+              New card
+            </button>
+            <button className="browse-close-btn" onClick={onClose}>
+              <span className="material-icons">close</span>
+            </button>
+          </div>
         </div>
 
         {/* Search Section */}
@@ -137,6 +226,57 @@ const BrowsePage = ({
               🇺🇸 EN
             </button>
           </div>
+
+          {/* Level and Topic Filter */}
+          <div className="tag-filter">
+            {LEVELS.map((level) => (
+              <button
+                key={level}
+                className={`lang-btn ${levelFilter.includes(level) ? 'active' : ''}`}
+                onClick={() => setLevelFilter(toggleTag(levelFilter, level))}
+              >
+                {level}
+              </button>
+            ))}
+            <select
+              className="category-select"
+              value={categoryFilter}
+              onChange={(e) => setCategoryFilter(e.target.value)}
+              aria-label="Topic"
+            >
+              <option value="">All topics</option>
+              {CATEGORIES.map((category) => (
+                <option key={category.id} value={category.id}>{category.label}</option>
+              ))}
+            </select>
+            {decks.length > 1 && (
+              <select
+                className="category-select"
+                value={deckFilter}
+                onChange={(e) => setDeckFilter(e.target.value)}
+                aria-label="Deck"
+              >
+                <option value="">All decks</option>
+                {decks.map((deck) => (
+                  <option key={deck.id} value={deck.id}>{deck.name}</option>
+                ))}
+              </select>
+            )}
+          </div>
+
+          {/* Deck Actions */}
+          {selectedDeck && selectedDeck.id !== BUILTIN_DECK_ID && (
+            <div className="deck-actions">
+              <button className="lang-btn" onClick={handleRenameDeck}>
+                <span className="material-icons">edit</span>
+                Rename deck
+              </button>
+              <button className="lang-btn" onClick={handleDeleteDeck}>
+                <span className="material-icons">delete</span>
+                Delete deck
+              </button>
+            </div>
+          )}
         </div>
 
         {/* Results Section */}
@@ -157,7 +297,26 @@ const BrowsePage = ({
                       <span className="german-word">{word.word}</span>
                       {word.type && <span className="word-type">({word.type})</span>}
                     </div>
+                    {(word.level || word.category) && (
+                      <div className="word-tags">
+                        {word.level && <span className="level-badge">{word.level}</span>}
+                        {word.category && <span className="category-tag">{getCategoryLabel(word.category)}</span>}
+                      </div>
+                    )}
+                    {(isCustomCard(word) || hasOverrides(word) || (word.tags || []).length > 0) && (
+                      <div className="word-tags">
+                        {isCustomCard(word) && <span className="deck-tag">{getDeckName(word.deck)}</span>}
+                        {hasOverrides(word) && (
+                          <span className="edited-tag" title="You corrected this card">Edited</span>
+                        )}
+                        {(word.tags || []).map((tag) => (
+                          <span key={tag} className="category-tag">#{tag}</span>
+                        ))}
+                      </div>
+                    )}
                     <div className="word-english">{word.meaning}</div>
+                    <NounForms card={word} />
+                    <VerbDetails card={word} />
                   </div>
                   
                   <div className="word-sentences">
@@ -172,6 +331,17 @@ const BrowsePage = ({
                     ></span>
                     <span className="status-text">{getStatusLabel(word.status)}</span>
                   </div>
+
+                  <div className="word-actions">
+                    <button className="word-action-btn" onClick={() => setEditor({ card: word })} aria-label="Edit card">
+                      <span className="material-icons">edit</span>
+                    </button>
+                    {isCustomCard(word) && (
+                      <button className="word-action-btn" onClick={() => handleDeleteCard(word)} aria-label="Delete card">
+                        <span className="material-icons">delete</span>
+                      </button>
+                    )}
+                  </div>
                 </div>
               ))
             ) : searchTerm ? (
@@ -182,6 +352,12 @@ const BrowsePage = ({
                   Try searching in {searchLanguage === 'de' ? 'English' : searchLanguage === 'en' ? 'German' : 'a different term'}
                 </p>
               </div>
+            ) : isTagFilterActive ? (
+              <div className="no-results">
+                <span className="material-icons">filter_alt_off</span>
+                <p>No words for this selection</p>
+                <p className="no-results-hint">Try another level, topic or deck</p>
+              </div>
             ) : (
               <div className="browse-placeholder">
                 <span className="material-icons">search</span>
@@ -191,6 +367,35 @@ const BrowsePage = ({
             )}
           </div>
         </div>
+
+        {/* Card Editor */}
+        {editor && (
+          <div className="card-editor-backdrop">
+            <CardEditor
+              card={editor.card}
+              decks={decks}
+              defaultDeck={deckFilter}
+              onSave={handleSaveCard}
+              onAddDeck={onAddDeck}
+              onRestore={handleRestoreCard}
+              onCancel={() => setEditor(null)}
+            />
+          </div>
+        )}
+
+        {/* Spreadsheet Import */}
+        {isImportOpen && (
+          <div className="card-editor-backdrop">
+            <CardImport
+              words={words}
+              decks={decks}
+              defaultDeck={deckFilter}
+              onImport={handleImportCards}
+              onAddDeck={onAddDeck}
+              onCancel={() => setIsImportOpen(false)}
+            />
+          </div>
+        )}
       </div>
     </>
   );
@@ -0,0 +1,180 @@
+// src/components/CardEditor.jsx
+import React, { useState } from 'react';
+import { ARTICLES, WORD_TYPES, BUILTIN_DECK_ID, getCardDeck, isCustomCard, parseTags, validateCardFields } from '../decks';
+import { hasOverrides } from '../cardOverrides';
+import { LEVELS, CATEGORIES } from '../wordTags';
+
+// Article select options, "none" first
+const ARTICLE_OPTIONS = ['', ...ARTICLES];
+// Deck select value for typing the name of a new deck
+const NEW_DECK = '__new__';
+
+// Editor fields for an existing card, or a blank card in the given deck
+const getInitialFields = (card, deckId) => ({
+  word: card ? card.word : '',
+  article: card ? card.article : 'der',
+  type: card ? card.type : 'noun',
+  sentence: card ? card.sentence || '' : '',
+  meaning: card ? card.meaning : '',
+  sentenceMeaning: card ? card.sentenceMeaning || '' : '',
+  level: card ? card.level || '' : '',
+  category: card ? card.category || '' : '',
+  tags: card ? (card.tags || []).join(', ') : '',
+  deck: card ? getCardDeck(card) : deckId || NEW_DECK,
+});
+
+// Options of a select, plus the card's own value if it is not one of them
+const withValue = (options, value) => (options.includes(value) ? options : [...options, value]);
+
+const CardEditor = ({
+  card,
+  decks,
+  defaultDeck,
+  onSave,
+  onAddDeck,
+  onRestore,
+  onCancel
+}) => {
+  const userDecks = decks.filter((deck) => deck.id !== BUILTIN_DECK_ID);
+  // Bundled cards are corrected in place and stay in the built-in deck
+  const isCorrection = !!card && !isCustomCard(card);
+  const [fields, setFields] = useState(() =>
+    getInitialFields(card, userDecks.some((deck) => deck.id === defaultDeck) ? defaultDeck : userDecks[0]?.id)
+  );
+  const [newDeckName, setNewDeckName] = useState('');
+  const [error, setError] = useState(null);
+
+  const setField = (name) => (e) => setFields({ ...fields, [name]: e.target.value });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const isNewDeck = fields.deck === NEW_DECK;
+    const validationError = isNewDeck && !newDeckName.trim() ? 'Name the new deck.' : validateCardFields(fields);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    const deck = isNewDeck ? onAddDeck(newDeckName).id : fields.deck;
+    onSave({ ...fields, deck, tags: parseTags(fields.tags) });
+  };
+
+  return (
+    <form className="card-editor" onSubmit={handleSubmit}>
+      <div className="card-editor-header">
+        <h3>{isCorrection ? 'Correct card' : card ? 'Edit card' : 'New card'}</h3>
+        <button type="button" className="browse-close-btn" onClick={onCancel} aria-label="Cancel">
+          <span className="material-icons">close</span>
+        </button>
+      </div>
+
+      {isCorrection && (
+        <p className="card-editor-note">
+          Your changes are kept on top of the bundled word list and survive its updates.
+        </p>
+      )}
+
+      <div className="card-editor-grid">
+        {!isCorrection && (
+          <label className="card-editor-field">
+            <span>Deck</span>
+            <select value={fields.deck} onChange={setField('deck')}>
+              {userDecks.map((deck) => (
+                <option key={deck.id} value={deck.id}>{deck.name}</option>
+              ))}
+              <option value={NEW_DECK}>New deck…</option>
+            </select>
+          </label>
+        )}
+        {fields.deck === NEW_DECK && (
+          <label className="card-editor-field">
+            <span>Deck name</span>
+            <input
+              type="text"
+              value={newDeckName}
+              onChange={(e) => setNewDeckName(e.target.value)}
+              placeholder="e.g. Office German"
+            />
+          </label>
+        )}
+
+        <label className="card-editor-field">
+          <span>Type</span>
+          <select value={fields.type} onChange={setField('type')}>
+            {withValue(WORD_TYPES, fields.type).map((type) => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </select>
+        </label>
+        {fields.type.startsWith('noun') && (
+          <label className="card-editor-field">
+            <span>Article</span>
+            <select value={fields.article} onChange={setField('article')}>
+              {withValue(ARTICLE_OPTIONS, fields.article).map((article) => (
+                <option key={article} value={article}>{article || 'none'}</option>
+              ))}
+            </select>
+          </label>
+        )}
+
+        <label className="card-editor-field">
+          <span>German word</span>
+          <input type="text" value={fields.word} onChange={setField('word')} lang="de" autoFocus />
+        </label>
+        <label className="card-editor-field">
+          <span>Meaning</span>
+          <input type="text" value={fields.meaning} onChange={setField('meaning')} />
+        </label>
+        <label className="card-editor-field wide">
+          <span>Example sentence</span>
+          <input type="text" value={fields.sentence} onChange={setField('sentence')} lang="de" />
+        </label>
+        <label className="card-editor-field wide">
+          <span>Sentence meaning</span>
+          <input type="text" value={fields.sentenceMeaning} onChange={setField('sentenceMeaning')} />
+        </label>
+
+        <label className="card-editor-field">
+          <span>Level</span>
+          <select value={fields.level} onChange={setField('level')}>
+            <option value="">None</option>
+            {LEVELS.map((level) => (
+              <option key={level} value={level}>{level}</option>
+            ))}
+          </select>
+        </label>
+        <label className="card-editor-field">
+          <span>Topic</span>
+          <select value={fields.category} onChange={setField('category')}>
+            <option value="">None</option>
+            {CATEGORIES.map((category) => (
+              <option key={category.id} value={category.id}>{category.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="card-editor-field wide">
+          <span>Tags</span>
+          <input type="text" value={fields.tags} onChange={setField('tags')} placeholder="Comma-separated, e.g. IT, meetings" />
+        </label>
+      </div>
+
+      {error && <p className="card-editor-error">{error}</p>}
+
+      <div className="card-editor-actions">
+        {isCorrection && hasOverrides(card) && (
+          <button type="button" className="lang-btn card-editor-restore" onClick={onRestore}>
+            <span className="material-icons">restore</span>
+            Restore original
+          </button>
+        )}
+        <button type="button" className="lang-btn" onClick={onCancel}>Cancel</button>
+        <button type="submit" className="lang-btn active">
+          <span className="material-icons">save</span>
+          Save card
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default CardEditor;
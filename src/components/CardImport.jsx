@@ -0,0 +1,263 @@
+// src/components/CardImport.jsx
+import React, { useState, useMemo } from 'react';
+import { BUILTIN_DECK_ID } from '../decks';
+import {
+  IMPORT_FIELDS,
+  DELIMITERS,
+  decodeFile,
+  parseDelimited,
+  detectDelimiter,
+  isHeaderRow,
+  guessColumnMapping,
+  analyzeImport,
+  summarizeImport,
+} from '../cardImport';
+
+// Deck select value for typing the name of a new deck
+const NEW_DECK = '__new__';
+// Rows shown in the preview table
+const PREVIEW_ROWS = 10;
+
+const STATUS_LABELS = {
+  ready: 'Ready',
+  invalid: 'Error',
+  duplicate: 'Duplicate',
+};
+
+const CardImport = ({
+  words,
+  decks,
+  defaultDeck,
+  onImport,
+  onAddDeck,
+  onCancel
+}) => {
+  const userDecks = decks.filter((deck) => deck.id !== BUILTIN_DECK_ID);
+  // Decoded file: {name, text, encoding}, null until a file is picked
+  const [file, setFile] = useState(null);
+  const [delimiter, setDelimiter] = useState(',');
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState({});
+  const [deck, setDeck] = useState(
+    userDecks.some((entry) => entry.id === defaultDeck) ? defaultDeck : userDecks[0]?.id || NEW_DECK
+  );
+  const [newDeckName, setNewDeckName] = useState('');
+  const [onlyProblems, setOnlyProblems] = useState(false);
+  const [error, setError] = useState(null);
+
+  const rows = useMemo(() => (file ? parseDelimited(file.text, delimiter) : []), [file, delimiter]);
+  const columnCount = Math.max(0, ...rows.map((row) => row.length));
+  const columnLabels = Array.from({ length: columnCount }, (_, index) =>
+    hasHeader && rows[0][index] ? rows[0][index] : `Column ${index + 1}`
+  );
+
+  const results = useMemo(
+    () => analyzeImport(hasHeader ? rows.slice(1) : rows, mapping, words, hasHeader ? 2 : 1),
+    [rows, hasHeader, mapping, words]
+  );
+  const summary = summarizeImport(results);
+  const previewRows = (onlyProblems ? results.filter((result) => result.status !== 'ready') : results)
+    .slice(0, PREVIEW_ROWS);
+
+  // Re-guess the columns whenever the rows or the header setting change
+  const updateLayout = (nextRows, nextHasHeader) => {
+    setHasHeader(nextHasHeader);
+    setMapping(guessColumnMapping(nextHasHeader ? nextRows[0] : null));
+  };
+
+  const handleFileChange = (e) => {
+    const picked = e.target.files[0];
+    if (!picked) return;
+    setError(null);
+    picked.arrayBuffer()
+      .then((buffer) => {
+        const { text, encoding } = decodeFile(buffer);
+        const detected = detectDelimiter(text);
+        const parsed = parseDelimited(text, detected);
+        if (parsed.length === 0) {
+          setError('This file has no rows.');
+          return;
+        }
+        setFile({ name: picked.name, text, encoding });
+        setNewDeckName((name) => name || picked.name.replace(/\.[^.]+$/, ''));
+        setDelimiter(detected);
+        updateLayout(parsed, isHeaderRow(parsed[0]));
+      })
+      .catch((readError) => {
+        console.error('Error reading import file:', readError);
+        setError('This file could not be read.');
+      });
+  };
+
+  const handleDelimiterChange = (e) => {
+    const nextRows = parseDelimited(file.text, e.target.value);
+    setDelimiter(e.target.value);
+    updateLayout(nextRows, isHeaderRow(nextRows[0]));
+  };
+
+  const handleImport = () => {
+    const isNewDeck = deck === NEW_DECK;
+    if (isNewDeck && !newDeckName.trim()) {
+      setError('Name the new deck.');
+      return;
+    }
+
+    const deckId = isNewDeck ? onAddDeck(newDeckName).id : deck;
+    const fieldsList = results
+      .filter((result) => result.status === 'ready')
+      .map((result) => ({ ...result.fields, level: '', category: '', tags: [], deck: deckId }));
+    onImport(fieldsList, deckId);
+  };
+
+  return (
+    <div className="card-editor card-import">
+      <div className="card-editor-header">
+        <h3>Import cards</h3>
+        <button type="button" className="browse-close-btn" onClick={onCancel} aria-label="Cancel">
+          <span className="material-icons">close</span>
+        </button>
+      </div>
+
+      <p className="card-editor-note">
+        Pick a CSV or TSV file exported from a spreadsheet, one word per row.
+      </p>
+
+      <div className="card-editor-grid">
+        <label className="card-editor-field wide">
+          <span>File</span>
+          <input
+            type="file"
+            accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values,text/plain"
+            onChange={handleFileChange}
+          />
+        </label>
+
+        {file && (
+          <>
+            <label className="card-editor-field">
+              <span>Delimiter</span>
+              <select value={delimiter} onChange={handleDelimiterChange}>
+                {DELIMITERS.map((entry) => (
+                  <option key={entry.label} value={entry.id}>{entry.label}</option>
+                ))}
+              </select>
+            </label>
+            <div className="card-editor-field">
+              <span>Encoding</span>
+              <p className="card-import-encoding">{file.encoding}</p>
+            </div>
+            <label className="card-import-checkbox wide">
+              <input
+                type="checkbox"
+                checked={hasHeader}
+                onChange={(e) => updateLayout(rows, e.target.checked)}
+              />
+              First row holds column names
+            </label>
+
+            {IMPORT_FIELDS.map((field) => (
+              <label key={field.id} className="card-editor-field">
+                <span>{field.label}{field.required && ' *'}</span>
+                <select
+                  value={mapping[field.id]}
+                  onChange={(e) => setMapping({ ...mapping, [field.id]: Number(e.target.value) })}
+                >
+                  <option value={-1}>Not imported</option>
+                  {columnLabels.map((label, index) => (
+                    <option key={index} value={index}>{label}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+
+            <label className="card-editor-field">
+              <span>Deck</span>
+              <select value={deck} onChange={(e) => setDeck(e.target.value)}>
+                {userDecks.map((entry) => (
+                  <option key={entry.id} value={entry.id}>{entry.name}</option>
+                ))}
+                <option value={NEW_DECK}>New deck…</option>
+              </select>
+            </label>
+            {deck === NEW_DECK && (
+              <label className="card-editor-field">
+                <span>Deck name</span>
+                <input
+                  type="text"
+                  value={newDeckName}
+                  onChange={(e) => setNewDeckName(e.target.value)}
+                  placeholder="e.g. Office German"
+                />
+              </label>
+            )}
+          </>
+        )}
+      </div>
+
+      {file && (
+        <div className="card-import-preview">
+          <div className="card-import-summary">
+            <span className="import-status-ready">{summary.ready} ready</span>
+            <span className="import-status-invalid">{summary.invalid} with errors</span>
+            <span className="import-status-duplicate">{summary.duplicate} duplicates</span>
+            <label className="card-import-checkbox">
+              <input
+                type="checkbox"
+                checked={onlyProblems}
+                onChange={(e) => setOnlyProblems(e.target.checked)}
+              />
+              Only show problems
+            </label>
+          </div>
+          <div className="card-import-table-wrapper">
+            <table className="card-import-table">
+              <thead>
+                <tr>
+                  <th>Line</th>
+                  {IMPORT_FIELDS.map((field) => (
+                    <th key={field.id}>{field.label}</th>
+                  ))}
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {previewRows.map((result) => (
+                  <tr key={result.line} className={`import-row-${result.status}`}>
+                    <td>{result.line}</td>
+                    {IMPORT_FIELDS.map((field) => (
+                      <td key={field.id}>{result.fields[field.id]}</td>
+                    ))}
+                    <td className={`import-status-${result.status}`}>
+                      {result.message || STATUS_LABELS[result.status]}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="card-import-more">
+            Showing {previewRows.length} of {onlyProblems ? summary.invalid + summary.duplicate : results.length} rows.
+            Rows with errors and duplicates are skipped.
+          </p>
+        </div>
+      )}
+
+      {error && <p className="card-editor-error">{error}</p>}
+
+      <div className="card-editor-actions">
+        <button type="button" className="lang-btn" onClick={onCancel}>Cancel</button>
+        <button
+          type="button"
+          className="lang-btn active"
+          onClick={handleImport}
+          disabled={summary.ready === 0}
+        >
+          <span className="material-icons">upload_file</span>
+          Import {summary.ready} {summary.ready === 1 ? 'card' : 'cards'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CardImport;
@@ -0,0 +1,38 @@
+// src/components/ClozeChoices.jsx
+import React from 'react';
+
+const ClozeChoices = ({ 
+  choices, 
+  expected, 
+  answer, 
+  onPick 
+}) => {
+  if (choices.length < 2) return null;
+
+  const getChoiceClass = (choice) => {
+    if (!answer) return '';
+    if (choice === expected) return 'correct';
+    return answer.picked && answer.input === choice ? 'wrong' : '';
+  };
+
+  return (
+    <div className="cloze-choices" onClick={(e) => e.stopPropagation()}>
+      <p className="cloze-hint">or pick the missing word</p>
+      <div className="cloze-choice-buttons">
+        {choices.map((choice) => (
+          <button
+            key={choice}
+            className={`cloze-choice ${getChoiceClass(choice)}`}
+            onClick={() => onPick(choice)}
+            disabled={!!answer}
+            lang="de"
+          >
+            {choice}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ClozeChoices;
@@ -0,0 +1,50 @@
+// src/components/ConjugationTable.jsx
+import React from 'react';
+import { TENSES, PERSONS } from '../conjugation';
+
+const ConjugationTable = ({
+  conjugation,
+  highlight
+}) => {
+  const isHighlighted = (tense, person) =>
+    highlight && highlight.tense === tense && highlight.person === person;
+
+  return (
+    <div className="conjugation" lang="de">
+      <table className="conjugation-table">
+        <thead>
+          <tr>
+            <th />
+            {TENSES.map((tense) => (
+              <th key={tense.id}>{tense.label}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {PERSONS.map((person, index) => {
+            // Impersonal verbs only have the "es" form
+            if (!conjugation.present[index]) return null;
+            return (
+              <tr key={person.id}>
+                <th>{conjugation.impersonal ? 'es' : person.label}</th>
+                {TENSES.map((tense) => (
+                  <td
+                    key={tense.id}
+                    className={isHighlighted(tense.id, person.id) ? 'highlighted' : ''}
+                  >
+                    {conjugation[tense.id][index]}
+                  </td>
+                ))}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <p className="conjugation-summary">
+        Partizip II: <strong>{conjugation.participle}</strong> · Perfekt with <strong>{conjugation.auxiliary}</strong>
+      </p>
+    </div>
+  );
+};
+
+export default ConjugationTable;
@@ -1,27 +1,107 @@
 // src/components/FullScreenCard.jsx
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { QUALITY, QUALITY_DESCRIPTIONS, previewIntervals, formatInterval } from '../srsAlgorithm';
+import { checkTypedAnswer, checkArticleAnswer, checkClozeAnswer, checkMeaningChoice, checkConjugationAnswer, checkPluralAnswer, checkSentenceAnswer } from '../answerMatching';
+import { REVERSE_TRACK } from '../cardTracks';
+import { findClozeTarget, getClozeChoices } from '../cloze';
+import { getMeaningChoices } from '../multipleChoice';
+import { getConjugation, getConjugationForm } from '../conjugation';
+import { PLURAL_ARTICLE } from '../nounForms';
+import { getVerbSentence } from '../verbSentences';
+import { speakCard } from '../speech';
+import TypedAnswerForm from './TypedAnswerForm';
+import ArticleButtons from './ArticleButtons';
+import ClozeChoices from './ClozeChoices';
+import MeaningChoices from './MeaningChoices';
+import SpeakingPractice from './SpeakingPractice';
+import SpeechFeedback from './SpeechFeedback';
+import ConjugationTable from './ConjugationTable';
+import NounForms from './NounForms';
+import VerbDetails from './VerbDetails';
+import AnswerFeedback from './AnswerFeedback';
 
 const FullScreenCard = ({ 
   card, 
   isFlipped, 
   isVisible, 
+  settings,
+  exercise,
+  deck = [],
+  canSpeak = false,
   onFlip, 
   onRate, 
-  onReset 
+  onAnswer,
+  onReset,
+  onEdit
 }) => {
   // Local state for immediate button feedback
   const [clickedButton, setClickedButton] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
+  // Checked answer of an auto-graded exercise and the quality it was graded with
+  const [answer, setAnswer] = useState(null);
+  // Scored attempt of the speaking exercise, with its suggested grade
+  const [speech, setSpeech] = useState(null);
+
+  const isTyping = exercise.id === 'typing';
+  const isArticleDrill = exercise.id === 'article';
+  const isChoice = exercise.id === 'choice';
+  const isListening = exercise.id === 'listening';
+  const isSpeaking = exercise.id === 'speaking';
+  const cloze = exercise.id === 'cloze' ? findClozeTarget(card) : null;
+  // Verb form asked by the conjugation drill, and the table shown on the back of verb cards
+  const conjugationForm = exercise.id === 'conjugation' ? getConjugationForm(card) : null;
+  const conjugation = getConjugation(card);
+  // Plural drill asks the plural; every noun card shows its plural and genitive on the back
+  const isPluralDrill = exercise.id === 'plural';
+  const isSentenceDrill = exercise.id === 'sentence';
+  // Reverse flip cards ask English -> German
+  const isReverse = exercise.id === 'flip' && card.track === REVERSE_TRACK;
+
+  // Choices offered for the cloze gap or the meaning, drawn from the deck.
+  // They stay fixed while the card is shown, even once the rating updates the deck.
+  const clozeChoices = useMemo(
+    () => (cloze ? getClozeChoices(card, deck) : []),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [card.key, !!cloze]
+  );
+  // The drill sentence changes with each review, so keep the one asked while the card is shown
+  const verbSentence = useMemo(
+    () => (isSentenceDrill ? getVerbSentence(card) : null),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [card.key, isSentenceDrill]
+  );
+  const meaningChoices = useMemo(
+    () => (isChoice ? getMeaningChoices(card, deck) : []),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [card.key, isChoice]
+  );
+
+  // Projected next interval for each rating button
+  const intervals = useMemo(() => previewIntervals(card, settings), [card, settings]);
 
   // Reset clicked state when card changes
   useEffect(() => {
     setClickedButton(null);
     setIsProcessing(false);
-  }, [card.id]);
+    setAnswer(null);
+    setSpeech(null);
+  }, [card.key]);
+
+  // Read the German side aloud once it is showing (front of German-first cards,
+  // otherwise the answer side). Listening cards always play their prompt.
+  const isGermanFront = isChoice || isListening || (exercise.id === 'flip' && !isReverse);
+  const isGermanShowing = isFlipped ? !isGermanFront || isListening : isGermanFront;
+  const shouldAutoPlay = settings.autoPlayAudio || (isListening && !isFlipped);
+  useEffect(() => {
+    if (isVisible && canSpeak && shouldAutoPlay && isGermanShowing) {
+      speakCard(card, settings);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [card.key, isVisible, canSpeak, shouldAutoPlay, isGermanShowing]);
 
   // Clear clicked state after a delay to show feedback
   useEffect(() => {
-    if (clickedButton) {
+    if (clickedButton !== null) {
       const timer = setTimeout(() => {
         setClickedButton(null);
       }, 500); // Show feedback for 500ms
@@ -29,9 +109,81 @@ const FullScreenCard = ({
     }
   }, [clickedButton]);
 
+  // German word and example sentence (front of flip cards, answer of exercises and reverse cards)
+  const germanSide = (
+    <>
+      <p>
+        {card.type && (
+          <span className="word-type">({card.type})</span>
+        )}
+      </p>
+        
+      <div className="word-header">
+        {card.article && card.article.trim() && (
+          <span className="article">{card.article} </span>
+        )}
+        <span className="german-word">
+          {card.word}
+          <button
+            className="copy-btn copy-superscript"
+            onClick={(e) => {
+              e.stopPropagation();
+              const textToCopy = card.article ? 
+                `${card.article} ${card.word}` : 
+                card.word;
+              navigator.clipboard.writeText(textToCopy);
+            }}
+            title="Copy German word"
+          >
+            <span className="material-icons">content_copy</span>
+          </button>
+          {canSpeak && (
+            <button
+              className="copy-btn copy-superscript speak-btn"
+              onClick={(e) => {
+                e.stopPropagation();
+                speakCard(card, settings);
+              }}
+              title="Listen to word and sentence (P key)"
+            >
+              <span className="material-icons">volume_up</span>
+            </button>
+          )}
+        </span>
+      </div>
+        
+      <div className="german-sentence">
+        {card.sentence}
+        <button
+          className="copy-btn copy-superscript"
+          onClick={(e) => {
+            e.stopPropagation();
+            navigator.clipboard.writeText(card.sentence);
+          }}
+          title="Copy German sentence"
+        >
+          <span className="material-icons">content_copy</span>
+        </button>
+      </div>
+    </>
+  );
+
+  // English meaning and sentence translation (back of flip cards, front of reverse cards)
+  const englishSide = (
+    <>
+      <div className="english-word">{card.meaning}</div>
+      <div className="english-sentence">{card.sentenceMeaning}</div>
+    </>
+  );
+
+  const submitAnswer = (result) => {
+    const quality = onAnswer(result);
+    setAnswer({ result, quality });
+  };
+
   const handleCardClick = (e) => {
     // Only flip if clicking directly on card content areas, not buttons
-    const isButtonClick = e.target.closest('button') || e.target.closest('.insta-card-controls');
+    const isButtonClick = e.target.closest('button') || e.target.closest('.insta-card-controls') || e.target.closest('.typed-answer, .article-drill, .cloze-choices, .meaning-choices, .speaking-practice');
     
     if (!isButtonClick) {
       onFlip();
@@ -44,106 +196,264 @@ const FullScreenCard = ({
       onClick={handleCardClick}
     >
       <div className="card-content">
-        {/* Front of card - German */}
+        {/* Front of card - German, or the prompt (English meaning, noun without article) */}
         <div className="front status">
           <span className={`card-status status-${card.status || 'new'}`} title="Card status">
             {card.status || 'new'}
           </span>
-          
-          <p>
-            {card.type && (
-              <span className="word-type">({card.type})</span>
-            )}
-          </p>
-          
-          <div className="word-header">
-            {card.article && card.article.trim() && (
-              <span className="article">{card.article} </span>
-            )}
-            <span className="german-word">
-              {card.word}
-              <button
-                className="copy-btn copy-superscript"
-                onClick={(e) => {
-                  e.stopPropagation();
-                  const textToCopy = card.article ? 
-                    `${card.article} ${card.word}` : 
-                    card.word;
-                  navigator.clipboard.writeText(textToCopy);
+          {isReverse && (
+            <span className="card-direction" title="English → German">EN → DE</span>
+          )}
+
+          {isTyping ? (
+            <>
+              <p>
+                {card.type && (
+                  <span className="word-type">({card.type})</span>
+                )}
+              </p>
+              <div className="english-word">{card.meaning}</div>
+              <TypedAnswerForm
+                card={card}
+                isVisible={isVisible && !isFlipped}
+                answer={answer && answer.result}
+                onSubmit={(input) => submitAnswer(checkTypedAnswer(card, input))}
+              />
+            </>
+          ) : isArticleDrill ? (
+            <>
+              <p>
+                {card.type && (
+                  <span className="word-type">({card.type})</span>
+                )}
+              </p>
+              <div className="word-header">
+                <span className="german-word">{card.word}</span>
+              </div>
+              <div className="english-sentence">{card.meaning}</div>
+              <ArticleButtons
+                card={card}
+                isVisible={isVisible && !isFlipped}
+                answer={answer && answer.result}
+                onSubmit={(selected) => submitAnswer(checkArticleAnswer(card, selected))}
+              />
+            </>
+          ) : cloze ? (
+            <>
+              <p>
+                {card.type && (
+                  <span className="word-type">({card.type})</span>
+                )}
+              </p>
+              <div className="cloze-sentence" lang="de">
+                {cloze.before}
+                <span className="cloze-gap">{answer ? cloze.answer : '_____'}</span>
+                {cloze.after}
+              </div>
+              <div className="english-sentence">{card.sentenceMeaning}</div>
+              <TypedAnswerForm
+                card={card}
+                isVisible={isVisible && !isFlipped}
+                answer={answer && answer.result}
+                placeholder="Missing word"
+                onSubmit={(input) => submitAnswer(checkClozeAnswer(cloze.answer, input))}
+              />
+              <ClozeChoices
+                choices={clozeChoices}
+                expected={cloze.answer}
+                answer={answer && answer.result}
+                onPick={(choice) => submitAnswer(checkClozeAnswer(cloze.answer, choice, { picked: true }))}
+              />
+            </>
+          ) : isChoice ? (
+            <>
+              {germanSide}
+              <MeaningChoices
+                card={card}
+                choices={meaningChoices}
+                isVisible={isVisible && !isFlipped}
+                answer={answer && answer.result}
+                onSubmit={(meaning) => submitAnswer(checkMeaningChoice(card, meaning))}
+              />
+            </>
+          ) : isListening ? (
+            <div className="listening-prompt">
+              {canSpeak ? (
+                <>
+                  <button
+                    className="listen-btn"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      speakCard(card, settings);
+                    }}
+                    title="Play again (P key)"
+                  >
+                    <span className="material-icons">volume_up</span>
+                  </button>
+                  <p className="listening-hint">Listen, then tap the card to see the word</p>
+                </>
+              ) : (
+                <p className="listening-hint">Listening needs a German speech voice, and this browser doesn't offer one.</p>
+              )}
+            </div>
+          ) : conjugationForm ? (
+            <>
+              <p>
+                {card.type && (
+                  <span className="word-type">({card.type})</span>
+                )}
+              </p>
+              <div className="word-header">
+                <span className="german-word">{card.word}</span>
+              </div>
+              <div className="english-sentence">{card.meaning}</div>
+              <div className="conjugation-prompt">
+                <span className="conjugation-person">{conjugationForm.personLabel}</span>
+                {' · '}
+                {conjugationForm.tenseLabel}
+              </div>
+              <TypedAnswerForm
+                card={card}
+                isVisible={isVisible && !isFlipped}
+                answer={answer && answer.result}
+                placeholder={`${conjugationForm.personLabel.split('/')[0]} …`}
+                onSubmit={(input) => submitAnswer(checkConjugationAnswer(conjugationForm.answer, input))}
+              />
+            </>
+          ) : isPluralDrill ? (
+            <>
+              <p>
+                {card.type && (
+                  <span className="word-type">({card.type})</span>
+                )}
+              </p>
+              <div className="word-header">
+                <span className="article">{card.article} </span>
+                <span className="german-word">{card.word}</span>
+              </div>
+              <div className="english-sentence">{card.meaning}</div>
+              <div className="plural-prompt">
+                {PLURAL_ARTICLE} <span className="cloze-gap">{answer ? card.plural : '_____'}</span>
+              </div>
+              <TypedAnswerForm
+                card={card}
+                isVisible={isVisible && !isFlipped}
+                answer={answer && answer.result}
+                placeholder="Plural"
+                onSubmit={(input) => submitAnswer(checkPluralAnswer(card.plural, input))}
+              />
+            </>
+          ) : verbSentence ? (
+            <>
+              <p>
+                {card.type && (
+                  <span className="word-type">({card.type})</span>
+                )}
+              </p>
+              <div className="word-header">
+                <span className="german-word">{card.word}</span>
+              </div>
+              <div className="english-sentence">{card.meaning}</div>
+              <div className="verb-sentence" lang="de">
+                {verbSentence.parts.map((part, index) => (
+                  <React.Fragment key={index}>
+                    {index > 0 && ' '}
+                    {part.gap ? <span className="cloze-gap">{answer ? part.text : '___'}</span> : part.text}
+                  </React.Fragment>
+                ))}
+                .
+              </div>
+              <TypedAnswerForm
+                card={card}
+                isVisible={isVisible && !isFlipped}
+                answer={answer && answer.result}
+                placeholder="Missing words or whole sentence"
+                onSubmit={(input) =>
+                  submitAnswer(checkSentenceAnswer(verbSentence.sentence, verbSentence.gapWords, input))
+                }
+              />
+            </>
+          ) : isSpeaking ? (
+            <>
+              {germanSide}
+              <SpeakingPractice
+                card={card}
+                isVisible={isVisible && !isFlipped}
+                onResult={(result) => {
+                  setSpeech(result);
+                  if (!isFlipped) onFlip();
                 }}
-                title="Copy German word"
-              >
-                <span className="material-icons">content_copy</span>
-              </button>
-            </span>
-          </div>
-          
-          <div className="german-sentence">
-            {card.sentence}
+              />
+            </>
+          ) : isReverse ? englishSide : germanSide}
+        </div>
+        
+        {/* Back of card - English, or the answer with feedback for exercises */}
+        <div className="back">
+          {isVisible && onEdit && (
             <button
-              className="copy-btn copy-superscript"
+              className="card-edit-btn"
               onClick={(e) => {
                 e.stopPropagation();
-                navigator.clipboard.writeText(card.sentence);
+                onEdit(card.id);
               }}
-              title="Copy German sentence"
+              title="Edit card"
+              aria-label="Edit card"
             >
-              <span className="material-icons">content_copy</span>
+              <span className="material-icons">edit</span>
             </button>
-          </div>
-        </div>
-        
-        {/* Back of card - English */}
-        <div className="back">
-          <div className="english-word">{card.meaning}</div>
-          <div className="english-sentence">{card.sentenceMeaning}</div>
+          )}
+          {exercise.autoGraded ? (
+            <>
+              {isChoice ? englishSide : germanSide}
+              {answer && <AnswerFeedback answer={answer} />}
+            </>
+          ) : isListening ? (
+            <>
+              {germanSide}
+              {englishSide}
+            </>
+          ) : isSpeaking ? (
+            <>
+              {englishSide}
+              {speech && <SpeechFeedback result={speech} />}
+            </>
+          ) : isReverse ? germanSide : englishSide}
+          <NounForms card={card} />
+          <VerbDetails card={card} />
+          {conjugation && <ConjugationTable conjugation={conjugation} highlight={conjugationForm} />}
         </div>
       </div>
       
-      {/* Rating buttons - visible when card is active */}
-      {isVisible && (
+      {/* Rating buttons - shown on the back of the active card unless the answer graded itself */}
+      {isVisible && isFlipped && !(exercise.autoGraded && answer) && (
         <div className="insta-card-controls">
           <div className="card-rating-buttons">
-            <button
-              className={`card-rating-btn rating-up ${
-                card.status === 'learned' || clickedButton === 'up' ? 'active' : ''
-              }`}
-              onClick={(e) => {
-                e.stopPropagation();
-                if (isProcessing) return; // Prevent multiple clicks
-                setIsProcessing(true);
-                setClickedButton('up');
-                onRate(1); // Toggle logic is handled in parent
-                // Reset processing state after a short delay
-                setTimeout(() => setIsProcessing(false), 300);
-              }}
-              disabled={isProcessing}
-              title={card.status === 'learned' ? 
-                "Remove from Learned (click again to reset to learning)" : 
-                "Learned - Easy and confident (↑ key)"}
-            >
-              <span className="material-icons">thumb_up</span>
-            </button>
-            <button
-              className={`card-rating-btn rating-down ${
-                card.status === 'review' || clickedButton === 'down' ? 'active' : ''
-              }`}
-              onClick={(e) => {
-                e.stopPropagation();
-                if (isProcessing) return; // Prevent multiple clicks
-                setIsProcessing(true);
-                setClickedButton('down');
-                onRate(0); // Toggle logic is handled in parent
-                // Reset processing state after a short delay
-                setTimeout(() => setIsProcessing(false), 300);
-              }}
-              disabled={isProcessing}
-              title={card.status === 'review' ? 
-                "Remove from Review (click again to reset to learning)" : 
-                "Needs Review - Needs more practice (↓ key)"}
-            >
-              <span className="material-icons">thumb_down</span>
-            </button>
+            {Object.values(QUALITY).map((quality) => {
+              const { label, description, key } = QUALITY_DESCRIPTIONS[quality];
+              return (
+                <button
+                  key={quality}
+                  className={`card-grade-btn grade-${label.toLowerCase()} ${
+                    clickedButton === quality ? 'active' : ''
+                  } ${speech && speech.quality === quality ? 'suggested' : ''}`}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    if (isProcessing) return; // Prevent multiple clicks
+                    setIsProcessing(true);
+                    setClickedButton(quality);
+                    onRate(quality);
+                    // Reset processing state after a short delay
+                    setTimeout(() => setIsProcessing(false), 300);
+                  }}
+                  disabled={isProcessing}
+                  title={`${label} - ${description} (${key} key)`}
+                >
+                  <span className="grade-label">{label}</span>
+                  <span className="grade-interval">{formatInterval(intervals[quality])}</span>
+                </button>
+              );
+            })}
           </div>
         </div>
       )}
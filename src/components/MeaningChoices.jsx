@@ -0,0 +1,54 @@
+// src/components/MeaningChoices.jsx
+import React, { useEffect } from 'react';
+
+const MeaningChoices = ({ 
+  card, 
+  choices, 
+  isVisible, 
+  answer, 
+  onSubmit 
+}) => {
+  // 1-4 pick a meaning. Listens in the capture phase so the digits don't
+  // reach the rating shortcuts.
+  useEffect(() => {
+    if (!isVisible || answer) return;
+
+    const handleKeyDown = (event) => {
+      if (event.target.closest && event.target.closest('input, textarea, select')) return;
+      const index = ['1', '2', '3', '4'].indexOf(event.key);
+      if (index >= 0 && choices[index]) {
+        event.preventDefault();
+        event.stopPropagation();
+        onSubmit(choices[index]);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  });
+
+  const getChoiceClass = (choice) => {
+    if (!answer) return '';
+    if (choice === card.meaning) return 'correct';
+    return answer.input === choice ? 'wrong' : '';
+  };
+
+  return (
+    <div className="meaning-choices" onClick={(e) => e.stopPropagation()}>
+      {choices.map((choice, index) => (
+        <button
+          key={choice}
+          className={`meaning-choice ${getChoiceClass(choice)}`}
+          onClick={() => onSubmit(choice)}
+          disabled={!!answer}
+          title={`${index + 1} key`}
+        >
+          <span className="choice-key">{index + 1}</span>
+          {choice}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default MeaningChoices;
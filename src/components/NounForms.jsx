@@ -0,0 +1,31 @@
+// src/components/NounForms.jsx
+import React from 'react';
+import { getNounForms } from '../nounForms';
+
+const NounForms = ({
+  card
+}) => {
+  const forms = getNounForms(card);
+  if (forms.length === 0) return null;
+
+  return (
+    <div className="noun-forms" lang="de">
+      {forms.map((form, index) => (
+        <div key={index} className="noun-forms-row">
+          {form.plural && (
+            <span>
+              <span className="noun-forms-label">Plural</span> {form.plural}
+            </span>
+          )}
+          {form.genitive && (
+            <span>
+              <span className="noun-forms-label">Genitiv</span> {form.genitive}
+            </span>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default NounForms;
@@ -0,0 +1,56 @@
+// src/components/SessionComplete.jsx
+import React from 'react';
+import { isInLearningSteps, formatInterval } from '../srsAlgorithm';
+
+const SessionComplete = ({ 
+  dailyProgress, 
+  settings, 
+  words, 
+  onOpenSettings 
+}) => {
+  // Cards still in learning steps will come back later today
+  const now = Date.now();
+  const stepDueTimes = words
+    .filter(word => isInLearningSteps(word) && word.nextReview)
+    .map(word => new Date(word.nextReview).getTime());
+  const nextStepIn = stepDueTimes.length > 0
+    ? Math.max(0, Math.min(...stepDueTimes) - now) / (24 * 60 * 60 * 1000)
+    : null;
+
+  return (
+    <div className="session-complete">
+      <span className="material-icons session-complete-icon">celebration</span>
+      <h2>Today's session complete</h2>
+      <p>You have reached your daily limits. Come back tomorrow for more!</p>
+
+      <div className="session-complete-stats">
+        <div className="stat-card">
+          <span className="stat-number">
+            {dailyProgress.newCards} / {settings.newCardsPerDay}
+          </span>
+          <span className="stat-label">New cards</span>
+        </div>
+        <div className="stat-card">
+          <span className="stat-number">
+            {dailyProgress.reviews} / {settings.reviewsPerDay}
+          </span>
+          <span className="stat-label">Reviews</span>
+        </div>
+      </div>
+
+      {nextStepIn !== null && (
+        <p className="session-complete-hint">
+          {stepDueTimes.length} {stepDueTimes.length === 1 ? 'card' : 'cards'} in learning steps -
+          next one in {formatInterval(nextStepIn)}
+        </p>
+      )}
+
+      <button className="control-button" onClick={onOpenSettings}>
+        <span className="material-icons">tune</span>
+        Adjust limits
+      </button>
+    </div>
+  );
+};
+
+export default SessionComplete;
@@ -1,5 +1,127 @@
 // src/components/SettingsPanel.jsx
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import { SCHEDULERS, getScheduler } from '../srsAlgorithm';
+import { parseSteps, formatSteps } from '../settings';
+import { getDeviceTimeZone, getSupportedTimeZones } from '../dateUtils';
+import { EXERCISES, CARD_DIRECTIONS, getExercise, getExerciseForMode, getCardDirection } from '../exercises';
+import { MIN_SPEECH_RATE, MAX_SPEECH_RATE } from '../speech';
+import { LEVELS, CATEGORIES, toggleTag } from '../wordTags';
+
+const ROLLOVER_HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+// Study modes offered in the panel, in display order
+const STUDY_MODES = [
+  {
+    id: 'random',
+    title: 'Smart Random',
+    icon: 'shuffle',
+    getStats: (stats) => `SRS Algorithm • ${stats.due || 0} due • ${stats.overdue || 0} overdue`,
+    description: 'Intelligent spaced repetition - prioritizes overdue and due cards while mixing in new words for optimal learning',
+  },
+  {
+    id: 'new',
+    title: 'New Words',
+    icon: 'auto_awesome',
+    getStats: (stats) => `Systematic order • ${stats.new || 0} cards available`,
+    description: 'Fresh vocabulary ordered systematically - oldest first to ensure consistent learning progression through new material',
+  },
+  {
+    id: 'learning',
+    title: 'Viewed Words',
+    icon: 'visibility',
+    getStats: (stats) => `SRS prioritized • ${stats.learning || 0} cards to rate`,
+    description: 'Intelligent review of learning cards - prioritizes overdue and difficult words first, then by SRS schedule',
+  },
+  {
+    id: 'review',
+    title: 'Difficult Words',
+    icon: 'priority_high',
+    getStats: (stats) => `Priority by difficulty • ${stats.review || 0} cards to improve`,
+    description: 'Smart review of problem words - overdue cards first, then by mistake count and difficulty level for focused practice',
+  },
+  {
+    id: 'learned',
+    title: 'Learned Words',
+    icon: 'task_alt',
+    getStats: (stats) => `Maintenance mode • ${stats.learned || 0} cards learned`,
+    description: 'Maintenance review of mastered words - due cards first for spaced repetition, then recent learning for reinforcement',
+  },
+  {
+    id: 'articles',
+    title: 'Der · Die · Das',
+    icon: 'category',
+    getStats: (stats) => `Article drill • ${stats.articleDue || 0} due • ${stats.articleNew || 0} new nouns`,
+    description: 'Nouns shown without their article - pick der, die or das (keys 1-3). Article knowledge has its own SRS schedule, separate from meaning recall',
+  },
+  {
+    id: 'cloze',
+    title: 'Fill the Gap',
+    icon: 'short_text',
+    getStats: (stats) => `Cloze sentences • ${stats.clozeDue || 0} due • ${stats.clozeNew || 0} new`,
+    description: 'The word is blanked out of its German example sentence - type the missing form (e.g. "lerne" for lernen) or pick it from four choices, with the English sentence as a hint',
+  },
+  {
+    id: 'listening',
+    title: 'Listening',
+    icon: 'hearing',
+    getStats: (stats) => `Audio only • ${stats.listeningDue || 0} due • ${stats.listeningNew || 0} new`,
+    description: 'Hear the word and sentence without any text, then flip to see the spelling and meaning and grade yourself. Listening has its own SRS schedule, separate from reading',
+    needsSpeech: true,
+  },
+  {
+    id: 'speaking',
+    title: 'Speaking',
+    icon: 'mic',
+    getStats: (stats) => `Speech recognition • ${stats.speakingDue || 0} due • ${stats.speakingNew || 0} new`,
+    description: 'Say the word or its example sentence - the words that were not recognised are highlighted and a grade is suggested. Speaking has its own SRS schedule',
+    needsRecognition: true,
+  },
+  {
+    id: 'conjugation',
+    title: 'Conjugation',
+    icon: 'table_chart',
+    getStats: (stats) => `Verb forms • ${stats.conjugationDue || 0} due • ${stats.conjugationNew || 0} new`,
+    description: 'A verb with a person and tense, e.g. "du · Präteritum" - type the conjugated form. Every person and tense (Präsens, Präteritum, Perfekt) has its own SRS schedule',
+  },
+  {
+    id: 'plurals',
+    title: 'Plurals',
+    icon: 'filter_none',
+    getStats: (stats) => `Nouns • ${stats.pluralDue || 0} due • ${stats.pluralNew || 0} new`,
+    description: 'A noun with its article, e.g. "das Buch" - type its plural ("Bücher"). Plurals have their own SRS schedule',
+  },
+  {
+    id: 'sentences',
+    title: 'Verb Sentences',
+    icon: 'construction',
+    getStats: (stats) => `Separable & reflexive verbs • ${stats.sentenceDue || 0} due • ${stats.sentenceNew || 0} new`,
+    description: 'A main-clause sentence with the verb left out, e.g. "Ich ___ morgen ___" for abfahren - type the missing words ("fahre ab") or the whole sentence. Verb sentences have their own SRS schedule',
+  },
+];
+
+// Text input for learning steps, committed on blur or Enter
+const StepsInput = ({ steps, onChange, label }) => {
+  const [text, setText] = useState(formatSteps(steps));
+
+  useEffect(() => {
+    setText(formatSteps(steps));
+  }, [steps]);
+
+  return (
+    <input
+      type="text"
+      className="control-input"
+      value={text}
+      placeholder="none"
+      aria-label={label}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={() => onChange(parseSteps(text))}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') e.target.blur();
+      }}
+    />
+  );
+};
 
 const SettingsPanel = ({ 
   isOpen, 
@@ -9,7 +131,17 @@ const SettingsPanel = ({
   theme,
   toggleTheme,
   stats,
+  levelProgress,
+  decks,
+  settings,
+  dailyProgress,
+  onSchedulerChange,
+  onSettingsChange,
+  canSpeak,
+  canRecognize,
   resetData,
+  onExportBackup,
+  onRestoreBackup,
   setIsFlipped,
   setCurrentCardIndex,
   setSessionStartTime,
@@ -102,6 +234,24 @@ const SettingsPanel = ({
               </div>
             )}
           </div>
+          {levelProgress.length > 0 && (
+            <div className="level-progress">
+              {levelProgress.map((progress) => (
+                <div key={progress.level} className="level-progress-row">
+                  <span className="level-badge">{progress.level}</span>
+                  <div className="level-progress-bar">
+                    <div
+                      className="level-progress-fill"
+                      style={{ width: `${(progress.studied / progress.total) * 100}%` }}
+                    />
+                  </div>
+                  <span className="level-progress-text">
+                    {progress.studied}/{progress.total} studied • {progress.learned} learned
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
         </div>
 
         {/* Study Modes Section - Enhanced */}
@@ -111,166 +261,287 @@ const SettingsPanel = ({
             <p className="section-desc">All modes now use intelligent SRS scheduling for optimal learning efficiency</p>
           </div>
           <div className="mode-grid study-modes">
-            <div
-              className={`mode-card ${studyMode === "random" ? "active" : ""}`}
-              onClick={() => handleModeChange("random")}
-            >
-              <div className="mode-icon random">
-                <span className="material-icons">shuffle</span>
-              </div>
-              <div className="mode-info">
-                <div className="mode-header">
-                  <h4>
-                    Smart Random 
-                    {studyMode === "random" && <span className="active-badge">ACTIVE</span>}
-                  </h4>
-                  <button 
-                    className="info-toggle"
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      toggleDescription('random');
-                    }}
-                  >
-                    <span className="material-icons">
-                      {expandedMode === 'random' ? 'expand_less' : 'info_outline'}
-                    </span>
-                  </button>
+            {STUDY_MODES.filter((mode) =>
+              (!mode.needsSpeech || canSpeak) && (!mode.needsRecognition || canRecognize)
+            ).map((mode) => (
+              <div
+                key={mode.id}
+                className={`mode-card ${studyMode === mode.id ? "active" : ""}`}
+                onClick={() => handleModeChange(mode.id)}
+              >
+                <div className={`mode-icon ${mode.id}`}>
+                  <span className="material-icons">{mode.icon}</span>
                 </div>
-                <div className="mode-stats">SRS Algorithm • {stats.due || 0} due • {stats.overdue || 0} overdue</div>
-                {expandedMode === 'random' && (
-                  <p className="mode-description">Intelligent spaced repetition - prioritizes overdue and due cards while mixing in new words for optimal learning</p>
-                )}
-              </div>
-            </div>
-            
-            <div
-              className={`mode-card ${studyMode === "new" ? "active" : ""}`}
-              onClick={() => handleModeChange("new")}
-            >
-              <div className="mode-icon new">
-                <span className="material-icons">auto_awesome</span>
-              </div>
-              <div className="mode-info">
-                <div className="mode-header">
-                  <h4>
-                    New Words 
-                    {studyMode === "new" && <span className="active-badge">ACTIVE</span>}
-                  </h4>
-                  <button 
-                    className="info-toggle"
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      toggleDescription('new');
-                    }}
-                  >
-                    <span className="material-icons">
-                      {expandedMode === 'new' ? 'expand_less' : 'info_outline'}
-                    </span>
-                  </button>
+                <div className="mode-info">
+                  <div className="mode-header">
+                    <h4>
+                      {mode.title} 
+                      {studyMode === mode.id && <span className="active-badge">ACTIVE</span>}
+                    </h4>
+                    <button 
+                      className="info-toggle"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        toggleDescription(mode.id);
+                      }}
+                    >
+                      <span className="material-icons">
+                        {expandedMode === mode.id ? 'expand_less' : 'info_outline'}
+                      </span>
+                    </button>
+                  </div>
+                  <div className="mode-stats">{mode.getStats(stats)}</div>
+                  {expandedMode === mode.id && (
+                    <p className="mode-description">{mode.description}</p>
+                  )}
                 </div>
-                <div className="mode-stats">Systematic order • {stats.new || 0} cards available</div>
-                {expandedMode === 'new' && (
-                  <p className="mode-description">Fresh vocabulary ordered systematically - oldest first to ensure consistent learning progression through new material</p>
-                )}
               </div>
-            </div>
-            
-            <div
-              className={`mode-card ${studyMode === "learning" ? "active" : ""}`}
-              onClick={() => handleModeChange("learning")}
+            ))}
+          </div>
+        </div>
+
+        {/* Decks */}
+        <div className="settings-section">
+          <h3><span className="material-icons">collections_bookmark</span> Decks</h3>
+          <div className="mode-selector">
+            {decks.map((deck) => (
+              <button
+                key={deck.id}
+                className={settings.studyDecks.includes(deck.id) ? 'active' : ''}
+                onClick={() => onSettingsChange({ studyDecks: toggleTag(settings.studyDecks, deck.id) })}
+              >
+                {deck.name} ({deck.cardCount})
+              </button>
+            ))}
+          </div>
+          <p className="section-desc">
+            Every study mode runs on the selected decks, or on all of them when none is selected.
+            Create decks and write your own cards from Browse & Search.
+          </p>
+        </div>
+
+        {/* Levels & Topics */}
+        <div className="settings-section">
+          <h3><span className="material-icons">filter_alt</span> Levels & Topics</h3>
+          <div className="mode-selector level-selector">
+            {LEVELS.map((level) => (
+              <button
+                key={level}
+                className={settings.studyLevels.includes(level) ? 'active' : ''}
+                onClick={() => onSettingsChange({ studyLevels: toggleTag(settings.studyLevels, level) })}
+              >
+                {level}
+              </button>
+            ))}
+          </div>
+          <div className="mode-selector">
+            {CATEGORIES.map((category) => (
+              <button
+                key={category.id}
+                className={settings.studyCategories.includes(category.id) ? 'active' : ''}
+                onClick={() => onSettingsChange({ studyCategories: toggleTag(settings.studyCategories, category.id) })}
+              >
+                <span className="material-icons">{category.icon}</span>
+                {category.label}
+              </button>
+            ))}
+          </div>
+          {(settings.studyLevels.length > 0 || settings.studyCategories.length > 0) && (
+            <button
+              className="control-button clear-tags-button"
+              onClick={() => onSettingsChange({ studyLevels: [], studyCategories: [] })}
             >
-              <div className="mode-icon learning">
-                <span className="material-icons">visibility</span>
-              </div>
-              <div className="mode-info">
-                <div className="mode-header">
-                  <h4>
-                    Viewed Words 
-                    {studyMode === "learning" && <span className="active-badge">ACTIVE</span>}
-                  </h4>
-                  <button 
-                    className="info-toggle"
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      toggleDescription('learning');
-                    }}
-                  >
-                    <span className="material-icons">
-                      {expandedMode === 'learning' ? 'expand_less' : 'info_outline'}
-                    </span>
-                  </button>
-                </div>
-                <div className="mode-stats">SRS prioritized • {stats.learning || 0} cards to rate</div>
-                {expandedMode === 'learning' && (
-                  <p className="mode-description">Intelligent review of learning cards - prioritizes overdue and difficult words first, then by SRS schedule</p>
-                )}
-              </div>
+              <span className="material-icons">clear_all</span>
+              Study everything
+            </button>
+          )}
+          <p className="section-desc">
+            Applies to every study mode. With nothing selected, all levels or all topics are studied.
+          </p>
+        </div>
+
+        {/* Exercise */}
+        <div className="settings-section">
+          <h3><span className="material-icons">fitness_center</span> Exercise</h3>
+          <div className="mode-selector">
+            {Object.values(EXERCISES).filter((exercise) => !exercise.studyModeOnly).map((exercise) => (
+              <button
+                key={exercise.id}
+                className={getExercise(settings.exercise).id === exercise.id ? 'active' : ''}
+                onClick={() => onSettingsChange({ exercise: exercise.id })}
+                title={exercise.description}
+              >
+                <span className="material-icons">{exercise.icon}</span>
+                {exercise.label}
+              </button>
+            ))}
+          </div>
+          <p className="section-desc">{getExercise(settings.exercise).description}</p>
+        </div>
+
+        {/* Card Direction (per study mode) */}
+        {getExerciseForMode(studyMode, settings.exercise).directional && (
+          <div className="settings-section">
+            <h3><span className="material-icons">swap_horiz</span> Card Direction</h3>
+            <div className="mode-selector">
+              {Object.values(CARD_DIRECTIONS).map((direction) => (
+                <button
+                  key={direction.id}
+                  className={getCardDirection(settings.cardDirections, studyMode).id === direction.id ? 'active' : ''}
+                  onClick={() => onSettingsChange({
+                    cardDirections: { ...settings.cardDirections, [studyMode]: direction.id },
+                  })}
+                >
+                  {direction.label}
+                </button>
+              ))}
             </div>
-            
-            <div
-              className={`mode-card ${studyMode === "review" ? "active" : ""}`}
-              onClick={() => handleModeChange("review")}
-            >
-              <div className="mode-icon review">
-                <span className="material-icons">priority_high</span>
-              </div>
-              <div className="mode-info">
-                <div className="mode-header">
-                  <h4>
-                    Difficult Words 
-                    {studyMode === "review" && <span className="active-badge">ACTIVE</span>}
-                  </h4>
-                  <button 
-                    className="info-toggle"
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      toggleDescription('review');
-                    }}
-                  >
-                    <span className="material-icons">
-                      {expandedMode === 'review' ? 'expand_less' : 'info_outline'}
-                    </span>
-                  </button>
-                </div>
-                <div className="mode-stats">Priority by difficulty • {stats.review || 0} cards to improve</div>
-                {expandedMode === 'review' && (
-                  <p className="mode-description">Smart review of problem words - overdue cards first, then by mistake count and difficulty level for focused practice</p>
-                )}
-              </div>
+            <p className="section-desc">
+              Applies to this study mode. Each direction keeps its own schedule, so both can be studied side by side.
+            </p>
+          </div>
+        )}
+
+        {/* Scheduling Algorithm */}
+        <div className="settings-section">
+          <h3><span className="material-icons">schedule</span> Scheduling</h3>
+          <div className="mode-selector">
+            {Object.values(SCHEDULERS).map((scheduler) => (
+              <button
+                key={scheduler.id}
+                className={settings.scheduler === scheduler.id ? 'active' : ''}
+                onClick={() => onSchedulerChange(scheduler.id)}
+                title={scheduler.description}
+              >
+                {scheduler.label}
+              </button>
+            ))}
+          </div>
+          <p className="section-desc">
+            {getScheduler(settings.scheduler).description}. Switching converts the progress of every card.
+          </p>
+          <div className="control-group steps-controls">
+            <div className="control-item">
+              <span className="control-label">Learning steps</span>
+              <StepsInput
+                label="Learning steps in minutes"
+                steps={settings.learningSteps}
+                onChange={(learningSteps) => onSettingsChange({ learningSteps })}
+              />
             </div>
-            
-            <div
-              className={`mode-card ${studyMode === "learned" ? "active" : ""}`}
-              onClick={() => handleModeChange("learned")}
-            >
-              <div className="mode-icon learned">
-                <span className="material-icons">task_alt</span>
-              </div>
-              <div className="mode-info">
-                <div className="mode-header">
-                  <h4>
-                    Learned Words 
-                    {studyMode === "learned" && <span className="active-badge">ACTIVE</span>}
-                  </h4>
-                  <button 
-                    className="info-toggle"
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      toggleDescription('learned');
-                    }}
+            <div className="control-item">
+              <span className="control-label">Relearning steps</span>
+              <StepsInput
+                label="Relearning steps in minutes"
+                steps={settings.relearningSteps}
+                onChange={(relearningSteps) => onSettingsChange({ relearningSteps })}
+              />
+            </div>
+          </div>
+          <p className="section-desc">
+            Minutes before a new or failed card moves on to day-based reviews, e.g. "1m 10m". Leave empty to skip.
+          </p>
+        </div>
+
+        {/* Daily Limits */}
+        <div className="settings-section">
+          <h3><span className="material-icons">today</span> Daily Limits</h3>
+          <div className="control-group">
+            <div className="control-item">
+              <span className="control-label">New cards per day</span>
+              <input
+                type="number"
+                min="0"
+                className="control-input"
+                value={settings.newCardsPerDay}
+                onChange={(e) => onSettingsChange({ newCardsPerDay: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+              />
+            </div>
+            <div className="control-item">
+              <span className="control-label">Reviews per day</span>
+              <input
+                type="number"
+                min="0"
+                className="control-input"
+                value={settings.reviewsPerDay}
+                onChange={(e) => onSettingsChange({ reviewsPerDay: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+              />
+            </div>
+          </div>
+          <div className="control-group">
+            <div className="control-item">
+              <span className="control-label">Next day starts at</span>
+              <select
+                className="control-input"
+                value={settings.dayRolloverHour}
+                onChange={(e) => onSettingsChange({ dayRolloverHour: parseInt(e.target.value, 10) })}
+              >
+                {ROLLOVER_HOURS.map(hour => (
+                  <option key={hour} value={hour}>{String(hour).padStart(2, '0')}:00</option>
+                ))}
+              </select>
+            </div>
+            <div className="control-item">
+              <span className="control-label">Timezone</span>
+              <select
+                className="control-input timezone-select"
+                value={settings.timeZone}
+                onChange={(e) => onSettingsChange({ timeZone: e.target.value })}
+              >
+                <option value="">Device ({getDeviceTimeZone()})</option>
+                {getSupportedTimeZones().map(zone => (
+                  <option key={zone} value={zone}>{zone}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <p className="section-desc">
+            Caps for Smart Random and New Words. Today: {dailyProgress.newCards} new, {dailyProgress.reviews} reviews.
+            Counts reset and day-based reviews fall due when the next day starts.
+          </p>
+        </div>
+
+        {/* Pronunciation */}
+        <div className="settings-section">
+          <h3><span className="material-icons">volume_up</span> Pronunciation</h3>
+          {canSpeak ? (
+            <>
+              <div className="control-group">
+                <div className="control-item">
+                  <span className="control-label">Auto-play</span>
+                  <button
+                    className="control-button"
+                    onClick={() => onSettingsChange({ autoPlayAudio: !settings.autoPlayAudio })}
                   >
                     <span className="material-icons">
-                      {expandedMode === 'learned' ? 'expand_less' : 'info_outline'}
+                      {settings.autoPlayAudio ? 'toggle_on' : 'toggle_off'}
                     </span>
+                    {settings.autoPlayAudio ? 'On' : 'Off'}
                   </button>
                 </div>
-                <div className="mode-stats">Maintenance mode • {stats.learned || 0} cards learned</div>
-                {expandedMode === 'learned' && (
-                  <p className="mode-description">Maintenance review of mastered words - due cards first for spaced repetition, then recent learning for reinforcement</p>
-                )}
+                <div className="control-item">
+                  <span className="control-label">Speed {settings.speechRate.toFixed(2)}×</span>
+                  <input
+                    type="range"
+                    className="speech-rate-input"
+                    min={MIN_SPEECH_RATE}
+                    max={MAX_SPEECH_RATE}
+                    step="0.05"
+                    value={settings.speechRate}
+                    onChange={(e) => onSettingsChange({ speechRate: parseFloat(e.target.value) })}
+                    aria-label="Speech speed"
+                  />
+                </div>
               </div>
-            </div>
-          </div>
+              <p className="section-desc">
+                Tap the speaker or press P to hear the word and example sentence. Auto-play reads them as soon as the German side is shown.
+              </p>
+            </>
+          ) : (
+            <p className="section-desc">
+              Pronunciation needs a German speech voice, and this browser doesn't offer one.
+            </p>
+          )}
         </div>
 
         {/* App Controls */}
@@ -287,6 +558,31 @@ const SettingsPanel = ({
               </button>
             </div>
             
+            <div className="control-item">
+              <span className="control-label">Export Backup</span>
+              <button className="control-button" onClick={onExportBackup}>
+                <span className="material-icons">download</span>
+                Export
+              </button>
+            </div>
+
+            <div className="control-item">
+              <span className="control-label">Restore Backup</span>
+              <label className="control-button">
+                <span className="material-icons">upload_file</span>
+                Restore
+                <input
+                  type="file"
+                  accept=".json,application/json"
+                  hidden
+                  onChange={(e) => {
+                    if (e.target.files[0]) onRestoreBackup(e.target.files[0]);
+                    e.target.value = '';
+                  }}
+                />
+              </label>
+            </div>
+
             <div className="control-item">
               <span className="control-label">Reset Data</span>
               <button className="control-button" onClick={resetData}>
@@ -0,0 +1,80 @@
+// src/components/SpeakingPractice.jsx
+import React, { useState, useEffect, useRef } from 'react';
+import { listenForSpeech, getSpeakingText, scoreSpeech } from '../speechRecognition';
+
+const TARGETS = [
+  { id: 'word', label: 'Say the word' },
+  { id: 'sentence', label: 'Say the sentence' },
+];
+
+const SpeakingPractice = ({ 
+  card, 
+  isVisible, 
+  onResult 
+}) => {
+  const [listeningFor, setListeningFor] = useState(null);
+  const [error, setError] = useState(null);
+  const stopRef = useRef(null);
+
+  // Stop listening when the card changes or goes out of view
+  useEffect(() => {
+    setError(null);
+    return () => {
+      if (stopRef.current) stopRef.current();
+      stopRef.current = null;
+      setListeningFor(null);
+    };
+  }, [card.key, isVisible]);
+
+  const startListening = (target) => {
+    if (listeningFor) {
+      stopRef.current();
+      return;
+    }
+
+    setError(null);
+    setListeningFor(target);
+    const { result, stop } = listenForSpeech();
+    stopRef.current = stop;
+    result
+      .then((transcripts) => {
+        if (stopRef.current !== stop) return;
+        if (transcripts.length === 0) {
+          setError("Didn't catch that - try again");
+          return;
+        }
+        onResult({ ...scoreSpeech(getSpeakingText(card, target), transcripts), target });
+      })
+      .catch((recognitionError) => {
+        console.error(recognitionError);
+        setError('Speech recognition failed - check the microphone permission');
+      })
+      .finally(() => {
+        if (stopRef.current === stop) {
+          stopRef.current = null;
+          setListeningFor(null);
+        }
+      });
+  };
+
+  return (
+    <div className="speaking-practice" onClick={(e) => e.stopPropagation()}>
+      <div className="speaking-buttons">
+        {TARGETS.map((target) => (
+          <button
+            key={target.id}
+            className={`control-button ${listeningFor === target.id ? 'listening' : ''}`}
+            onClick={() => startListening(target.id)}
+            disabled={!!listeningFor && listeningFor !== target.id}
+          >
+            <span className="material-icons">{listeningFor === target.id ? 'stop' : 'mic'}</span>
+            {listeningFor === target.id ? 'Listening…' : target.label}
+          </button>
+        ))}
+      </div>
+      {error && <p className="speaking-hint">{error}</p>}
+    </div>
+  );
+};
+
+export default SpeakingPractice;
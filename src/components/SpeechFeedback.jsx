@@ -0,0 +1,41 @@
+// src/components/SpeechFeedback.jsx
+import React from 'react';
+import { QUALITY_DESCRIPTIONS } from '../srsAlgorithm';
+
+const SpeechFeedback = ({ result }) => {
+  const grade = QUALITY_DESCRIPTIONS[result.quality];
+
+  return (
+    <div className="answer-feedback speech-feedback">
+      <div className="answer-verdict">
+        <span className="material-icons">record_voice_over</span>
+        {Math.round(result.score * 100)}% of the {result.target} recognised
+        <span className={`answer-grade grade-${grade.label.toLowerCase()}`}>Suggested: {grade.label}</span>
+      </div>
+
+      {/* Expected words, with misheard, missing and extra words marked */}
+      <div className="spoken-tokens" aria-label={`Heard: ${result.transcript}`}>
+        {result.tokens.map((token, index) => {
+          if (token.type === 'equal') {
+            return <span key={index} className="diff-equal">{token.expected}</span>;
+          }
+          if (token.type === 'missing') {
+            return <span key={index} className="diff-missing">{token.expected}</span>;
+          }
+          if (token.type === 'extra') {
+            return <span key={index} className="diff-extra">{token.actual}</span>;
+          }
+          return (
+            <span key={index}>
+              <span className="diff-extra">{token.actual}</span>{' '}
+              <span className="diff-missing">{token.expected}</span>
+            </span>
+          );
+        })}
+      </div>
+      <p className="speaking-hint">Heard: “{result.transcript}”</p>
+    </div>
+  );
+};
+
+export default SpeechFeedback;
@@ -0,0 +1,68 @@
+// src/components/TypedAnswerForm.jsx
+import React, { useState, useEffect, useRef } from 'react';
+
+const TypedAnswerForm = ({ 
+  card, 
+  isVisible, 
+  answer, 
+  placeholder,
+  onSubmit 
+}) => {
+  const [input, setInput] = useState('');
+  const inputRef = useRef(null);
+
+  // Start each card with an empty, focused input
+  useEffect(() => {
+    setInput('');
+    if (isVisible && inputRef.current) {
+      inputRef.current.focus();
+    }
+  }, [card.key, isVisible]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (answer) return;
+    onSubmit(input);
+    inputRef.current.blur();
+  };
+
+  return (
+    <form 
+      className="typed-answer" 
+      onSubmit={handleSubmit}
+      onClick={(e) => e.stopPropagation()}
+    >
+      <input
+        ref={inputRef}
+        type="text"
+        className="typed-answer-input"
+        value={answer ? answer.input : input}
+        onChange={(e) => setInput(e.target.value)}
+        placeholder={placeholder || (card.article ? 'Article + German word' : 'German word')}
+        disabled={!!answer}
+        autoComplete="off"
+        autoCorrect="off"
+        autoCapitalize="off"
+        spellCheck="false"
+        lang="de"
+      />
+      <div className="typed-answer-actions">
+        <button type="submit" className="control-button" disabled={!!answer}>
+          <span className="material-icons">check</span>
+          Check
+        </button>
+        <button 
+          type="button" 
+          className="control-button" 
+          disabled={!!answer}
+          onClick={() => onSubmit('')}
+        >
+          <span className="material-icons">help_outline</span>
+          Don't know
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default TypedAnswerForm;
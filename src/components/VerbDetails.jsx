@@ -0,0 +1,32 @@
+// src/components/VerbDetails.jsx
+import React from 'react';
+import { getVerbDetails } from '../conjugation';
+
+const VerbDetails = ({
+  card
+}) => {
+  const details = getVerbDetails(card);
+  if (!details || (!details.separablePrefix && !details.reflexive && !details.governs)) return null;
+
+  return (
+    <div className="verb-details" lang="de">
+      {details.separablePrefix && (
+        <span>
+          <span className="verb-details-label">Separable</span> {details.separablePrefix}-
+        </span>
+      )}
+      {details.reflexive && (
+        <span>
+          <span className="verb-details-label">Reflexive</span> sich ({details.reflexive})
+        </span>
+      )}
+      {details.governs && (
+        <span>
+          <span className="verb-details-label">Takes</span> {details.governs}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default VerbDetails;
@@ -0,0 +1,524 @@
+/**
+ * Conjugation - Flashcard Deutscher
+ *
+ * Conjugation tables for verb cards: Präsens, Präteritum and Perfekt for every
+ * person, plus the Partizip II and the auxiliary (haben or sein) the Perfekt
+ * is built with. Regular (weak) verbs are conjugated by rule; strong, mixed
+ * and irregular verbs take their stem changes from the table below, and
+ * prefixed verbs reuse the forms of their base verb ("abfahren" from
+ * "fahren", "bekommen" from "kommen"). A dataset entry may carry its own
+ * `conjugation` object, whose fields replace the generated ones.
+ *
+ * Verb entries also record their separable prefix, the case of their
+ * reflexive pronoun and the case or preposition they govern ("warten auf +
+ * Akk"). The first two decide how the forms are built; entries without them
+ * fall back to what the word itself shows ("umziehen (sich)", "abfahren").
+ *
+ * Each tense and person is its own SRS track (see cardTracks.js), so the
+ * conjugation drill schedules "du · Präteritum" separately from "ich · Präsens".
+ */
+
+export const TENSES = [
+  { id: "present", label: "Präsens" },
+  { id: "preterite", label: "Präteritum" },
+  { id: "perfect", label: "Perfekt" },
+];
+
+export const PERSONS = [
+  { id: "ich", label: "ich" },
+  { id: "du", label: "du" },
+  { id: "er", label: "er/sie/es" },
+  { id: "wir", label: "wir" },
+  { id: "ihr", label: "ihr" },
+  { id: "sie", label: "sie/Sie" },
+];
+
+// Index of the third person singular, the only form of impersonal verbs
+const THIRD_PERSON = 2;
+
+/**
+ * Get the SRS track of one conjugated form
+ * @param {string} tense - Tense ID
+ * @param {string} person - Person ID
+ * @returns {string} - Track ID, e.g. "conjugation:preterite:du"
+ */
+export const getConjugationTrack = (tense, person) => `conjugation:${tense}:${person}`;
+
+// Every drilled form, one SRS track each
+export const CONJUGATION_FORMS = TENSES.flatMap((tense) =>
+  PERSONS.map((person, index) => ({
+    tense: tense.id,
+    person: person.id,
+    index,
+    track: getConjugationTrack(tense.id, person.id),
+  }))
+);
+
+export const CONJUGATION_TRACKS = CONJUGATION_FORMS.map((form) => form.track);
+
+/**
+ * Stem changes of strong, mixed and irregular verbs
+ * present: [du, er] forms where the vowel changes, or all six persons;
+ * preterite: ich/er form; participle: Partizip II. Missing fields follow the
+ * regular rules. Prefixed verbs are looked up by their base verb.
+ */
+const IRREGULAR_VERBS = {
+  backen: { preterite: "backte", participle: "gebacken" },
+  beginnen: { preterite: "begann", participle: "begonnen" },
+  beißen: { preterite: "biss", participle: "gebissen" },
+  bieten: { preterite: "bot", participle: "geboten" },
+  blasen: { present: ["bläst", "bläst"], preterite: "blies", participle: "geblasen" },
+  bleiben: { preterite: "blieb", participle: "geblieben" },
+  braten: { present: ["brätst", "brät"], preterite: "briet", participle: "gebraten" },
+  brechen: { present: ["brichst", "bricht"], preterite: "brach", participle: "gebrochen" },
+  brennen: { preterite: "brannte", participle: "gebrannt" },
+  bringen: { preterite: "brachte", participle: "gebracht" },
+  denken: { preterite: "dachte", participle: "gedacht" },
+  dürfen: {
+    present: ["darf", "darfst", "darf", "dürfen", "dürft", "dürfen"],
+    preterite: "durfte",
+    participle: "gedurft",
+  },
+  empfehlen: { present: ["empfiehlst", "empfiehlt"], preterite: "empfahl", participle: "empfohlen" },
+  essen: { present: ["isst", "isst"], preterite: "aß", participle: "gegessen" },
+  fahren: { present: ["fährst", "fährt"], preterite: "fuhr", participle: "gefahren" },
+  fallen: { present: ["fällst", "fällt"], preterite: "fiel", participle: "gefallen" },
+  fangen: { present: ["fängst", "fängt"], preterite: "fing", participle: "gefangen" },
+  finden: { preterite: "fand", participle: "gefunden" },
+  fliegen: { preterite: "flog", participle: "geflogen" },
+  fließen: { preterite: "floss", participle: "geflossen" },
+  fressen: { present: ["frisst", "frisst"], preterite: "fraß", participle: "gefressen" },
+  frieren: { preterite: "fror", participle: "gefroren" },
+  geben: { present: ["gibst", "gibt"], preterite: "gab", participle: "gegeben" },
+  gehen: { preterite: "ging", participle: "gegangen" },
+  gelingen: { preterite: "gelang", participle: "gelungen" },
+  genießen: { preterite: "genoss", participle: "genossen" },
+  geschehen: { present: ["geschiehst", "geschieht"], preterite: "geschah", participle: "geschehen" },
+  gewinnen: { preterite: "gewann", participle: "gewonnen" },
+  gießen: { preterite: "goss", participle: "gegossen" },
+  haben: {
+    present: ["habe", "hast", "hat", "haben", "habt", "haben"],
+    preterite: "hatte",
+    participle: "gehabt",
+  },
+  halten: { present: ["hältst", "hält"], preterite: "hielt", participle: "gehalten" },
+  heben: { preterite: "hob", participle: "gehoben" },
+  heißen: { preterite: "hieß", participle: "geheißen" },
+  kennen: { preterite: "kannte", participle: "gekannt" },
+  kommen: { preterite: "kam", participle: "gekommen" },
+  können: {
+    present: ["kann", "kannst", "kann", "können", "könnt", "können"],
+    preterite: "konnte",
+    participle: "gekonnt",
+  },
+  laden: { present: ["lädst", "lädt"], preterite: "lud", participle: "geladen" },
+  lassen: { present: ["lässt", "lässt"], preterite: "ließ", participle: "gelassen" },
+  laufen: { present: ["läufst", "läuft"], preterite: "lief", participle: "gelaufen" },
+  leiden: { preterite: "litt", participle: "gelitten" },
+  leihen: { preterite: "lieh", participle: "geliehen" },
+  lesen: { present: ["liest", "liest"], preterite: "las", participle: "gelesen" },
+  liegen: { preterite: "lag", participle: "gelegen" },
+  lügen: { preterite: "log", participle: "gelogen" },
+  meiden: { preterite: "mied", participle: "gemieden" },
+  messen: { present: ["misst", "misst"], preterite: "maß", participle: "gemessen" },
+  mögen: {
+    present: ["mag", "magst", "mag", "mögen", "mögt", "mögen"],
+    preterite: "mochte",
+    participle: "gemocht",
+  },
+  müssen: {
+    present: ["muss", "musst", "muss", "müssen", "müsst", "müssen"],
+    preterite: "musste",
+    participle: "gemusst",
+  },
+  nehmen: { present: ["nimmst", "nimmt"], preterite: "nahm", participle: "genommen" },
+  nennen: { preterite: "nannte", participle: "genannt" },
+  recyceln: { participle: "recycelt" },
+  reißen: { preterite: "riss", participle: "gerissen" },
+  reiten: { preterite: "ritt", participle: "geritten" },
+  rennen: { preterite: "rannte", participle: "gerannt" },
+  riechen: { preterite: "roch", participle: "gerochen" },
+  rufen: { preterite: "rief", participle: "gerufen" },
+  scheiden: { preterite: "schied", participle: "geschieden" },
+  scheinen: { preterite: "schien", participle: "geschienen" },
+  schieben: { preterite: "schob", participle: "geschoben" },
+  schießen: { preterite: "schoss", participle: "geschossen" },
+  schlafen: { present: ["schläfst", "schläft"], preterite: "schlief", participle: "geschlafen" },
+  schlagen: { present: ["schlägst", "schlägt"], preterite: "schlug", participle: "geschlagen" },
+  schließen: { preterite: "schloss", participle: "geschlossen" },
+  schneiden: { preterite: "schnitt", participle: "geschnitten" },
+  schreiben: { preterite: "schrieb", participle: "geschrieben" },
+  schreien: { preterite: "schrie", participle: "geschrien" },
+  schwimmen: { preterite: "schwamm", participle: "geschwommen" },
+  schwinden: { preterite: "schwand", participle: "geschwunden" },
+  sehen: { present: ["siehst", "sieht"], preterite: "sah", participle: "gesehen" },
+  sein: {
+    present: ["bin", "bist", "ist", "sind", "seid", "sind"],
+    preterite: "war",
+    participle: "gewesen",
+  },
+  singen: { preterite: "sang", participle: "gesungen" },
+  sitzen: { preterite: "saß", participle: "gesessen" },
+  sollen: {
+    present: ["soll", "sollst", "soll", "sollen", "sollt", "sollen"],
+    preterite: "sollte",
+    participle: "gesollt",
+  },
+  sprechen: { present: ["sprichst", "spricht"], preterite: "sprach", participle: "gesprochen" },
+  springen: { preterite: "sprang", participle: "gesprungen" },
+  stechen: { present: ["stichst", "sticht"], preterite: "stach", participle: "gestochen" },
+  stehen: { preterite: "stand", participle: "gestanden" },
+  stehlen: { present: ["stiehlst", "stiehlt"], preterite: "stahl", participle: "gestohlen" },
+  steigen: { preterite: "stieg", participle: "gestiegen" },
+  sterben: { present: ["stirbst", "stirbt"], preterite: "starb", participle: "gestorben" },
+  tragen: { present: ["trägst", "trägt"], preterite: "trug", participle: "getragen" },
+  treffen: { present: ["triffst", "trifft"], preterite: "traf", participle: "getroffen" },
+  treiben: { preterite: "trieb", participle: "getrieben" },
+  trinken: { preterite: "trank", participle: "getrunken" },
+  trügen: { preterite: "trog", participle: "getrogen" },
+  tun: {
+    present: ["tue", "tust", "tut", "tun", "tut", "tun"],
+    preterite: "tat",
+    participle: "getan",
+  },
+  verderben: { present: ["verdirbst", "verdirbt"], preterite: "verdarb", participle: "verdorben" },
+  vergessen: { present: ["vergisst", "vergisst"], preterite: "vergaß", participle: "vergessen" },
+  verlieren: { preterite: "verlor", participle: "verloren" },
+  wachsen: { present: ["wächst", "wächst"], preterite: "wuchs", participle: "gewachsen" },
+  waschen: { present: ["wäschst", "wäscht"], preterite: "wusch", participle: "gewaschen" },
+  weisen: { preterite: "wies", participle: "gewiesen" },
+  werben: { present: ["wirbst", "wirbt"], preterite: "warb", participle: "geworben" },
+  werden: {
+    present: ["werde", "wirst", "wird", "werden", "werdet", "werden"],
+    preterite: "wurde",
+    participle: "geworden",
+  },
+  werfen: { present: ["wirfst", "wirft"], preterite: "warf", participle: "geworfen" },
+  wiegen: { preterite: "wog", participle: "gewogen" },
+  wissen: {
+    present: ["weiß", "weißt", "weiß", "wissen", "wisst", "wissen"],
+    preterite: "wusste",
+    participle: "gewusst",
+  },
+  wollen: {
+    present: ["will", "willst", "will", "wollen", "wollt", "wollen"],
+    preterite: "wollte",
+    participle: "gewollt",
+  },
+  ziehen: { preterite: "zog", participle: "gezogen" },
+};
+
+// Verbs whose Perfekt is built with "sein" (motion and change of state), prefixes included
+const SEIN_VERBS = new Set([
+  "abfahren", "ankommen", "anspringen", "aufstehen", "aufwachen", "ausgehen", "auskommen",
+  "aussteigen", "begegnen", "bleiben", "durchfallen", "eilen", "einschlafen", "einsteigen",
+  "entkommen", "erscheinen", "ertrinken", "fahren", "fallen", "fliegen", "fließen", "folgen",
+  "gehen", "gelingen", "geschehen", "joggen", "klettern", "kommen", "laufen", "passieren",
+  "reisen", "reiten", "rennen", "rudern", "schwimmen", "segeln", "sein", "springen", "steigen",
+  "sterben", "tauchen", "trampen", "umkommen", "umsteigen", "umziehen", "verschwinden",
+  "vorbeigehen", "wachsen", "wandern", "weggehen", "werden", "zurückkommen",
+]);
+
+// Verbs only used with "es" (weather, events)
+const IMPERSONAL_VERBS = new Set(["donnern", "gelingen", "geschehen", "hageln", "lohnen", "passieren", "regnen", "schneien"]);
+
+// Modal verbs keep their infinitive in the Perfekt after another verb ("habe nachsitzen müssen")
+const MODAL_VERBS = new Set(["dürfen", "können", "mögen", "müssen", "sollen", "wollen"]);
+
+// Entries written as one word that conjugate as a noun plus verb
+const SPLIT_ENTRIES = {
+  kanufahren: "Kanu fahren",
+  radfahren: "Rad fahren",
+  schlittschuhlaufen: "Schlittschuh laufen",
+  spazierengehen: "spazieren gehen",
+};
+
+// Entries with no conjugation worth drilling (only used in the infinitive)
+const INFINITIVE_ONLY = new Set(["windsurfen"]);
+
+// Longest first, so "vorbei" is found before "vor"
+const SEPARABLE_PREFIXES = [
+  "herunter", "zurück", "heraus", "vorbei", "durch", "fern", "nach", "teil", "weg",
+  "auf", "aus", "bei", "ein", "hin", "mit", "vor", "ab", "an", "um", "zu",
+];
+const INSEPARABLE_PREFIXES = ["unter", "über", "miss", "emp", "ent", "ver", "zer", "be", "er", "ge"];
+// Verbs that only look prefixed ("an-geln", "be-ssern")
+const UNPREFIXED_VERBS = new Set(["angeln", "beißen", "bessern"]);
+// Weak verbs that look like a prefixed strong one ("be-reiten")
+const REGULAR_VERBS = new Set(["bereiten"]);
+// Verbs whose usually separable prefix is inseparable ("wiederholt", not "wiedergeholt")
+const INSEPARABLE_VERBS = new Set(["wiederholen"]);
+
+// Prepositions listed after a verb for its object ("warten auf"), not part of the forms
+const TRAILING_PREPOSITIONS = new Set(["auf", "aus", "für", "mit"]);
+
+// Reflexive pronouns per person, by the case the verb takes them in
+const REFLEXIVE_PRONOUNS = {
+  Akk: ["mich", "dich", "sich", "uns", "euch", "sich"],
+  Dat: ["mir", "dir", "sich", "uns", "euch", "sich"],
+};
+// Reflexive verbs that take a dative pronoun ("ich leihe mir", "ich verstauche mir den Fuß")
+const DATIVE_REFLEXIVE_VERBS = new Set(["leihen", "verstauchen"]);
+
+// Conjugation tables per entry, since queue building checks every card
+const conjugationCache = new Map();
+
+/**
+ * Split a prefix off a verb if what remains can still be a verb
+ * @param {string} verb - Infinitive
+ * @param {Array} prefixes - Candidate prefixes
+ * @returns {object} - {prefix, base}; prefix is "" when there is none
+ */
+const splitPrefix = (verb, prefixes) => {
+  if (UNPREFIXED_VERBS.has(verb)) return { prefix: "", base: verb };
+  const prefix = prefixes.find((candidate) => verb.startsWith(candidate) && verb.length - candidate.length >= 4);
+  return prefix ? { prefix, base: verb.slice(prefix.length) } : { prefix: "", base: verb };
+};
+
+/**
+ * Break a dataset entry into the parts that are conjugated separately
+ * "umziehen (sich)" is a reflexive verb, "Angst haben" a verb with a
+ * complement, "bieten / anbieten" is conjugated as its first alternative.
+ * @param {string} word - Dataset word
+ * @returns {object|null} - {verb, complement, reflexive}, or null if there is no verb
+ */
+const parseVerbEntry = (word) => {
+  const reflexive = /\(sich\)|(^|\s)sich(\s|$)/.test(word);
+  const firstAlternative = word
+    .split("/")[0]
+    .replace(/\(sich\)/g, "")
+    // Other parenthesised parts are optional extras ("einkaufen (gehen)")
+    .replace(/\([^)]*\)/g, "")
+    .replace(/(^|\s)sich(?=\s|$)/g, " ")
+    .trim();
+  const entry = SPLIT_ENTRIES[firstAlternative.toLowerCase()] || firstAlternative;
+
+  const words = entry.split(/\s+/).filter(Boolean);
+  while (words.length > 1 && TRAILING_PREPOSITIONS.has(words[words.length - 1])) words.pop();
+  if (words.length === 0) return null;
+
+  const verb = words.pop();
+  // A lone capitalised entry is a nominalised infinitive ("Reiten")
+  return { verb: words.length === 0 ? verb.toLowerCase() : verb, complement: words.join(" "), reflexive };
+};
+
+/**
+ * Get the grammar details of a verb card
+ * Fields set on the card win over what can be read off the word.
+ * @param {object} card - Card
+ * @returns {object|null} - {separablePrefix, reflexive ("Akk", "Dat" or ""),
+ *   governs (e.g. "auf + Akk", "Dat" or "")}, or null for non-verbs
+ */
+export const getVerbDetails = (card) => {
+  if (card.type !== "verb" || !card.word) return null;
+  const parsed = parseVerbEntry(card.word);
+  if (!parsed) return null;
+
+  const { verb, reflexive } = parsed;
+  const separablePrefix = INSEPARABLE_VERBS.has(verb) || REGULAR_VERBS.has(verb)
+    ? ""
+    : splitPrefix(verb, SEPARABLE_PREFIXES).prefix;
+  const reflexiveCase = reflexive ? (DATIVE_REFLEXIVE_VERBS.has(verb) ? "Dat" : "Akk") : "";
+  return {
+    separablePrefix: card.separablePrefix !== undefined ? card.separablePrefix : separablePrefix,
+    reflexive: card.reflexive !== undefined ? card.reflexive : reflexiveCase,
+    governs: card.governs || "",
+  };
+};
+
+/**
+ * Check whether a stem needs a linking "e" before -st and -t ("arbeitest", "öffnet")
+ * @param {string} stem - Verb stem
+ * @returns {boolean} - True for stems ending in d/t or a consonant plus m/n
+ */
+const needsLinkingE = (stem) => /[dt]$/.test(stem) || /(ch|[^aeiouäöülrhmn])[mn]$/.test(stem);
+
+/**
+ * Present tense of a verb without irregular present forms
+ * @param {string} verb - Infinitive
+ * @param {Array} changed - [du, er] forms with a vowel change, if any
+ * @returns {Array} - Six forms
+ */
+const getRegularPresent = (verb, changed) => {
+  // -eln and -ern verbs keep their "e": "sammle", "wandere", "sammelt"
+  if (/[lr]n$/.test(verb)) {
+    const stem = verb.slice(0, -1);
+    const ich = /eln$/.test(verb) ? `${stem.slice(0, -2)}le` : `${stem}e`;
+    return [ich, `${stem}st`, `${stem}t`, verb, `${stem}t`, verb];
+  }
+
+  const stem = verb.replace(/e?n$/, "");
+  const linkingE = needsLinkingE(stem) ? "e" : "";
+  const du = /[sßzx]$/.test(stem) ? `${stem}${linkingE}t` : `${stem}${linkingE}st`;
+  const er = `${stem}${linkingE}t`;
+  const [changedDu, changedEr] = changed || [];
+  return [`${stem}e`, changedDu || du, changedEr || er, verb, `${stem}${linkingE}t`, verb];
+};
+
+/**
+ * Präteritum forms from the ich/er form
+ * Forms ending in "e" take weak endings ("brachte", "wurde", "schrie").
+ * @param {string} stem - Präteritum ich/er form
+ * @returns {Array} - Six forms
+ */
+const getPreteriteForms = (stem) => {
+  if (stem.endsWith("e")) {
+    return [stem, `${stem}st`, stem, `${stem}n`, `${stem}t`, `${stem}n`];
+  }
+  const du = /([sßzxdt]|sch)$/.test(stem) ? `${stem}est` : `${stem}st`;
+  const ihr = /[dt]$/.test(stem) ? `${stem}et` : `${stem}t`;
+  return [stem, du, stem, `${stem}en`, ihr, `${stem}en`];
+};
+
+/**
+ * Conjugate a verb that may carry an inseparable prefix
+ * @param {string} verb - Infinitive without separable prefix
+ * @returns {object} - {present, preterite (ich/er form), participle}
+ */
+const conjugateStem = (verb) => {
+  let irregular = IRREGULAR_VERBS[verb];
+  let prefix = "";
+  if (!irregular && !REGULAR_VERBS.has(verb)) {
+    const split = splitPrefix(verb, INSEPARABLE_PREFIXES);
+    if (split.prefix && IRREGULAR_VERBS[split.base]) {
+      irregular = IRREGULAR_VERBS[split.base];
+      prefix = split.prefix;
+    }
+  }
+  const inseparable = !!prefix || INSEPARABLE_VERBS.has(verb) || !!splitPrefix(verb, INSEPARABLE_PREFIXES).prefix || verb.endsWith("ieren");
+
+  const regularStem = /[lr]n$/.test(verb) ? verb.slice(0, -1) : verb.replace(/e?n$/, "");
+  const weakEnding = needsLinkingE(regularStem) ? "et" : "t";
+  const irregularForms = irregular || {};
+  const withPrefix = (form) => `${prefix}${form}`;
+
+  const present = irregularForms.present && irregularForms.present.length === 6
+    ? irregularForms.present.map(withPrefix)
+    : getRegularPresent(verb, irregularForms.present && irregularForms.present.map(withPrefix));
+  const preterite = irregularForms.preterite
+    ? withPrefix(irregularForms.preterite)
+    : `${regularStem}${weakEnding === "et" ? "ete" : "te"}`;
+
+  let participle;
+  if (irregularForms.participle) {
+    participle = prefix ? `${prefix}${irregularForms.participle.replace(/^ge/, "")}` : irregularForms.participle;
+  } else {
+    participle = `${inseparable ? "" : "ge"}${regularStem}${weakEnding}`;
+  }
+
+  return { present, preterite, participle };
+};
+
+/**
+ * Join the words of one form, leaving out empty parts
+ * @param {Array} parts - Words in order
+ * @returns {string} - Form
+ */
+const joinForm = (parts) => parts.filter(Boolean).join(" ");
+
+/**
+ * Generate the conjugation table of a verb entry
+ * @param {string} word - Dataset word
+ * @param {object} details - Verb details (see getVerbDetails)
+ * @returns {object|null} - Conjugation (see getConjugation)
+ */
+const generateConjugation = (word, details) => {
+  const parsed = parseVerbEntry(word);
+  if (!parsed || INFINITIVE_ONLY.has(parsed.verb)) return null;
+  const { verb, complement } = parsed;
+  const reflexive = !!details.reflexive;
+
+  const prefix = details.separablePrefix && verb.startsWith(details.separablePrefix) ? details.separablePrefix : "";
+  const forms = conjugateStem(verb.slice(prefix.length));
+  const auxiliary = !reflexive && SEIN_VERBS.has(verb) ? "sein" : "haben";
+  const auxiliaryForms = IRREGULAR_VERBS[auxiliary].present;
+  // "habe nachsitzen müssen" rather than "habe nachsitzen gemusst"
+  const participle = complement && MODAL_VERBS.has(verb) ? verb : `${prefix}${forms.participle}`;
+
+  const impersonal = IMPERSONAL_VERBS.has(verb);
+  const pronouns = REFLEXIVE_PRONOUNS[details.reflexive] || REFLEXIVE_PRONOUNS.Akk;
+  const build = (getForm) =>
+    PERSONS.map((person, index) =>
+      impersonal && index !== THIRD_PERSON ? null : getForm(index, reflexive ? pronouns[index] : "")
+    );
+
+  const preteriteForms = getPreteriteForms(forms.preterite);
+  return {
+    infinitive: joinForm([reflexive && "sich", complement, verb]),
+    auxiliary,
+    participle,
+    impersonal,
+    present: build((index, pronoun) => joinForm([forms.present[index], pronoun, complement, prefix])),
+    preterite: build((index, pronoun) => joinForm([preteriteForms[index], pronoun, complement, prefix])),
+    perfect: build((index, pronoun) => joinForm([auxiliaryForms[index], pronoun, complement, participle])),
+  };
+};
+
+/**
+ * Get the conjugation table of a verb card
+ * @param {object} card - Card
+ * @returns {object|null} - {infinitive, auxiliary, participle, impersonal,
+ *   present, preterite, perfect}, each tense an array of forms in PERSONS
+ *   order (null where a person is not used); null for non-verbs
+ */
+export const getConjugation = (card) => {
+  const details = getVerbDetails(card);
+  if (!details) return null;
+
+  const cacheKey = [card.word, details.separablePrefix, details.reflexive].join("|");
+  if (!conjugationCache.has(cacheKey)) {
+    conjugationCache.set(cacheKey, generateConjugation(card.word, details));
+  }
+  const generated = conjugationCache.get(cacheKey);
+  if (!card.conjugation) return generated;
+  return { ...generated, ...card.conjugation };
+};
+
+/**
+ * Check whether a card has a conjugation table
+ * @param {object} card - Card
+ * @returns {boolean} - True for verbs that can be conjugated
+ */
+export const isConjugationCard = (card) => !!getConjugation(card);
+
+/**
+ * Get the form of a card asked on a conjugation track
+ * @param {object} card - Card
+ * @param {string} track - Conjugation track ID
+ * @returns {string|null} - Conjugated form, or null if the card has no such form
+ */
+const getTrackForm = (card, track) => {
+  const form = CONJUGATION_FORMS.find((candidate) => candidate.track === track);
+  const conjugation = form && getConjugation(card);
+  return (conjugation && conjugation[form.tense] && conjugation[form.tense][form.index]) || null;
+};
+
+/**
+ * Check whether a card has the form asked on a conjugation track
+ * @param {object} card - Card
+ * @param {string} track - Conjugation track ID
+ * @returns {boolean} - False for non-verbs and persons impersonal verbs lack
+ */
+export const hasConjugationForm = (card, track) => !!getTrackForm(card, track);
+
+/**
+ * Get the form a conjugation track view asks for
+ * @param {object} card - Track view on a conjugation track
+ * @returns {object|null} - {tense, person, tenseLabel, personLabel, answer},
+ *   or null if the card has no such form
+ */
+export const getConjugationForm = (card) => {
+  const answer = getTrackForm(card, card.track);
+  if (!answer) return null;
+
+  const form = CONJUGATION_FORMS.find((candidate) => candidate.track === card.track);
+  const conjugation = getConjugation(card);
+
+  return {
+    tense: form.tense,
+    person: form.person,
+    tenseLabel: TENSES.find((tense) => tense.id === form.tense).label,
+    personLabel: conjugation.impersonal ? "es" : PERSONS[form.index].label,
+    answer,
+  };
+};
@@ -0,0 +1,82 @@
+/**
+ * Daily Limits - Flashcard Deutscher
+ *
+ * Tracks how many new cards and reviews were studied on the current day so
+ * study queues can stop at the user's daily caps. The counters are persisted
+ * and start over automatically when the study day changes (see dateUtils.js).
+ */
+
+import { isInLearningSteps } from "./srsAlgorithm";
+import { getStudyDay } from "./dateUtils";
+
+export const DAILY_PROGRESS_KEY = "flashcard-daily-progress";
+
+/**
+ * Create empty progress counters for a day
+ * @param {string} day - Day key
+ * @returns {object} - {day, newCards, reviews}
+ */
+const createDailyProgress = (day) => ({ day, newCards: 0, reviews: 0 });
+
+/**
+ * Make sure progress counters belong to the given day
+ * @param {object} progress - Stored progress
+ * @param {string} day - Current day key
+ * @returns {object} - The same progress, or fresh counters for a new day
+ */
+export const ensureCurrentDay = (progress, day = getStudyDay()) => {
+  return progress && progress.day === day ? progress : createDailyProgress(day);
+};
+
+/**
+ * Load today's progress from localStorage
+ * @param {string} day - Current day key
+ * @returns {object} - {day, newCards, reviews}
+ */
+export const loadDailyProgress = (day = getStudyDay()) => {
+  try {
+    return ensureCurrentDay(JSON.parse(localStorage.getItem(DAILY_PROGRESS_KEY)), day);
+  } catch (error) {
+    console.error("Error parsing daily progress:", error);
+    return createDailyProgress(day);
+  }
+};
+
+/**
+ * Save today's progress to localStorage
+ * @param {object} progress - Progress counters
+ */
+export const saveDailyProgress = (progress) => {
+  localStorage.setItem(DAILY_PROGRESS_KEY, JSON.stringify(progress));
+};
+
+/**
+ * Count a rating towards today's limits
+ * A card's first ever rating introduces it (new); ratings of cards in day-based
+ * review count as reviews. Learning-step repeats count towards neither.
+ * @param {object} progress - Progress counters
+ * @param {object} card - Card as it was before the rating
+ * @param {string} day - Current day key
+ * @returns {object} - Updated progress counters
+ */
+export const recordDailyRating = (progress, card, day = getStudyDay()) => {
+  const current = ensureCurrentDay(progress, day);
+  if (!card.totalReviews) {
+    return { ...current, newCards: current.newCards + 1 };
+  }
+  if (!isInLearningSteps(card)) {
+    return { ...current, reviews: current.reviews + 1 };
+  }
+  return current;
+};
+
+/**
+ * How many new cards and reviews are still allowed today
+ * @param {object} progress - Progress counters
+ * @param {object} settings - {newCardsPerDay, reviewsPerDay}
+ * @returns {object} - {newCards, reviews}
+ */
+export const getRemainingLimits = (progress, settings) => ({
+  newCards: Math.max(0, settings.newCardsPerDay - progress.newCards),
+  reviews: Math.max(0, settings.reviewsPerDay - progress.reviews),
+});
@@ -0,0 +1,157 @@
+/**
+ * Date Utilities - Flashcard Deutscher
+ *
+ * Day-granularity date handling for scheduling. A "study day" starts at the
+ * user's day-rollover hour (e.g. 4 AM) in the user's timezone, so a late-night
+ * session still counts towards the evening it started in and a card scheduled
+ * for tomorrow is due from the start of tomorrow's study day, not from the
+ * minute it was rated.
+ */
+
+export const DEFAULT_DAY_ROLLOVER_HOUR = 4;
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+// Far enough from any moment to be on another study day, even across DST changes
+const BOUND_SEARCH_RANGE = 48 * MS_PER_HOUR;
+
+// Intl formatters are expensive to create, so keep one per timezone
+const dayFormatters = new Map();
+// Bounds of the last study day looked up, reused while "now" stays inside it
+let cachedBounds = null;
+
+/**
+ * Get the timezone the device is currently set to
+ * @returns {string} - IANA timezone name (e.g. "Europe/Berlin")
+ */
+export const getDeviceTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+  } catch (error) {
+    return "UTC";
+  }
+};
+
+/**
+ * List the timezones the browser knows about, for the settings picker
+ * @returns {Array} - IANA timezone names
+ */
+export const getSupportedTimeZones = () => {
+  if (typeof Intl.supportedValuesOf === "function") {
+    return Intl.supportedValuesOf("timeZone");
+  }
+  return [getDeviceTimeZone()];
+};
+
+/**
+ * Get a "YYYY-MM-DD" formatter for a timezone
+ * Unknown timezones fall back to the device timezone.
+ * @param {string} timeZone - IANA timezone name, empty for the device timezone
+ * @returns {Intl.DateTimeFormat} - Cached formatter
+ */
+const getDayFormatter = (timeZone) => {
+  const key = timeZone || "";
+  if (!dayFormatters.has(key)) {
+    const options = { year: "numeric", month: "2-digit", day: "2-digit" };
+    let formatter;
+    try {
+      formatter = new Intl.DateTimeFormat("en-CA", { ...options, timeZone: timeZone || undefined });
+    } catch (error) {
+      console.warn(`Unknown timezone "${timeZone}", using the device timezone`);
+      formatter = new Intl.DateTimeFormat("en-CA", options);
+    }
+    dayFormatters.set(key, formatter);
+  }
+  return dayFormatters.get(key);
+};
+
+/**
+ * Get the study day a moment belongs to
+ * Times before the rollover hour belong to the previous calendar day.
+ * @param {Date|string|number} date - Moment to convert
+ * @param {object} options - {dayRolloverHour, timeZone}
+ * @returns {string} - Study day as "YYYY-MM-DD" (sortable as a string)
+ */
+export const getStudyDay = (date = new Date(), { dayRolloverHour = DEFAULT_DAY_ROLLOVER_HOUR, timeZone } = {}) => {
+  const shifted = new Date(new Date(date).getTime() - dayRolloverHour * MS_PER_HOUR);
+  const parts = {};
+  getDayFormatter(timeZone)
+    .formatToParts(shifted)
+    .forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+  return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+/**
+ * Find the first moment a condition holds, by bisection
+ * @param {number} low - Timestamp where the condition does not hold yet
+ * @param {number} high - Timestamp where it holds
+ * @param {Function} holds - Condition, false up to some moment and true after it
+ * @returns {number} - First timestamp (to the millisecond) where it holds
+ */
+const findFirstMoment = (low, high, holds) => {
+  while (high - low > 1) {
+    const middle = Math.floor((low + high) / 2);
+    if (holds(middle)) {
+      high = middle;
+    } else {
+      low = middle;
+    }
+  }
+  return high;
+};
+
+/**
+ * Get when the study day of a moment starts and ends
+ * Checking many review dates against one "now" only needs these two
+ * timestamps, so they are looked up once and reused while "now" stays
+ * inside the same study day.
+ * @param {Date|string|number} now - Moment within the study day
+ * @param {object} options - {dayRolloverHour, timeZone}
+ * @returns {object} - {day, start, end} with start inclusive and end exclusive, in ms
+ */
+export const getStudyDayBounds = (now = new Date(), options = {}) => {
+  const { dayRolloverHour = DEFAULT_DAY_ROLLOVER_HOUR, timeZone = "" } = options;
+  const time = new Date(now).getTime();
+  if (
+    cachedBounds &&
+    cachedBounds.dayRolloverHour === dayRolloverHour &&
+    cachedBounds.timeZone === timeZone &&
+    time >= cachedBounds.start &&
+    time < cachedBounds.end
+  ) {
+    return cachedBounds;
+  }
+
+  const day = getStudyDay(time, options);
+  cachedBounds = {
+    day,
+    start: findFirstMoment(time - BOUND_SEARCH_RANGE, time, (moment) => getStudyDay(moment, options) >= day),
+    end: findFirstMoment(time, time + BOUND_SEARCH_RANGE, (moment) => getStudyDay(moment, options) > day),
+    dayRolloverHour,
+    timeZone,
+  };
+  return cachedBounds;
+};
+
+/**
+ * Check whether a day-based review date has been reached
+ * @param {string} reviewDate - ISO date string of the scheduled review
+ * @param {object} options - {dayRolloverHour, timeZone}
+ * @param {Date} now - Current time
+ * @returns {boolean} - True from the start of the scheduled study day onwards
+ */
+export const isStudyDayReached = (reviewDate, options = {}, now = new Date()) => {
+  return new Date(reviewDate).getTime() < getStudyDayBounds(now, options).end;
+};
+
+/**
+ * Check whether a day-based review date lies on an earlier study day
+ * @param {string} reviewDate - ISO date string of the scheduled review
+ * @param {object} options - {dayRolloverHour, timeZone}
+ * @param {Date} now - Current time
+ * @returns {boolean} - True if the review should have happened before today
+ */
+export const isBeforeStudyDay = (reviewDate, options = {}, now = new Date()) => {
+  return new Date(reviewDate).getTime() < getStudyDayBounds(now, options).start;
+};
@@ -0,0 +1,49 @@
+import { getStudyDay, getStudyDayBounds, isStudyDayReached, isBeforeStudyDay } from "./dateUtils";
+
+const HOUR = 60 * 60 * 1000;
+
+// Moments every 97 minutes over a few days, so they land at all times of day
+const momentsAround = (iso) => {
+  const start = new Date(iso).getTime() - 36 * HOUR;
+  return Array.from({ length: 50 }, (_, index) => new Date(start + index * 97 * 60 * 1000));
+};
+
+describe.each([
+  ["UTC, rollover at 4", { dayRolloverHour: 4, timeZone: "UTC" }, "2025-06-15T12:00:00Z"],
+  ["Berlin, start of summer time", { dayRolloverHour: 4, timeZone: "Europe/Berlin" }, "2025-03-30T03:00:00Z"],
+  ["Berlin, end of summer time", { dayRolloverHour: 2, timeZone: "Europe/Berlin" }, "2025-10-26T01:00:00Z"],
+  ["New York, rollover at midnight", { dayRolloverHour: 0, timeZone: "America/New_York" }, "2025-11-02T05:00:00Z"],
+])("study day bounds (%s)", (_, options, iso) => {
+  const moments = momentsAround(iso);
+
+  test("start and end enclose exactly the moments of the same study day", () => {
+    moments.forEach((now) => {
+      const bounds = getStudyDayBounds(now, options);
+      expect(bounds.day).toBe(getStudyDay(now, options));
+      expect(getStudyDay(bounds.start, options)).toBe(bounds.day);
+      expect(getStudyDay(bounds.start - 1, options) < bounds.day).toBe(true);
+      expect(getStudyDay(bounds.end - 1, options)).toBe(bounds.day);
+      expect(getStudyDay(bounds.end, options) > bounds.day).toBe(true);
+    });
+  });
+
+  test("due and overdue checks agree with comparing study days", () => {
+    moments.forEach((now) => {
+      moments.forEach((review) => {
+        const reviewDay = getStudyDay(review, options);
+        const today = getStudyDay(now, options);
+        expect(isStudyDayReached(review.toISOString(), options, now)).toBe(reviewDay <= today);
+        expect(isBeforeStudyDay(review.toISOString(), options, now)).toBe(reviewDay < today);
+      });
+    });
+  });
+});
+
+test("changing the rollover hour or timezone is not answered from the cache", () => {
+  const now = new Date("2025-06-15T03:00:00Z");
+
+  expect(getStudyDayBounds(now, { dayRolloverHour: 4, timeZone: "UTC" }).day).toBe("2025-06-14");
+  expect(getStudyDayBounds(now, { dayRolloverHour: 2, timeZone: "UTC" }).day).toBe("2025-06-15");
+  expect(getStudyDayBounds(now, { dayRolloverHour: 2, timeZone: "Asia/Tokyo" }).day).toBe("2025-06-15");
+  expect(getStudyDayBounds(now, { dayRolloverHour: 4, timeZone: "America/New_York" }).day).toBe("2025-06-14");
+});
@@ -0,0 +1,154 @@
+/**
+ * Decks - Flashcard Deutscher
+ *
+ * Named decks of cards. The bundled dataset is the built-in deck; users can
+ * add their own decks and write cards into them with the card editor. Deck
+ * names are kept in localStorage, while user cards live in the card store
+ * next to the dataset cards and carry the ID of their deck in `deck`.
+ */
+
+import { createCardFromData } from "./wordLoader";
+
+export const DECKS_KEY = "flashcard-decks";
+export const BUILTIN_DECK_ID = "builtin";
+export const BUILTIN_DECK = { id: BUILTIN_DECK_ID, name: "German Basics" };
+
+// Articles a card can have
+export const ARTICLES = ["der", "die", "das", "der/die"];
+
+// Word types offered by the card editor, most common first
+export const WORD_TYPES = [
+  "noun",
+  "verb",
+  "adjective",
+  "adverb",
+  "phrase",
+  "expression",
+  "preposition",
+  "conjunction",
+  "pronoun",
+  "interjection",
+];
+
+/**
+ * Load the deck list from localStorage
+ * @returns {Array} - The built-in deck followed by the user's decks
+ */
+export const loadDecks = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(DECKS_KEY) || "[]");
+    return [BUILTIN_DECK, ...saved.filter((deck) => deck.id !== BUILTIN_DECK_ID)];
+  } catch (error) {
+    console.error("Error parsing saved decks:", error);
+    return [BUILTIN_DECK];
+  }
+};
+
+/**
+ * Save the user's decks to localStorage (the built-in deck is implied)
+ * @param {Array} decks - Deck list
+ */
+export const saveDecks = (decks) => {
+  localStorage.setItem(DECKS_KEY, JSON.stringify(decks.filter((deck) => deck.id !== BUILTIN_DECK_ID)));
+};
+
+/**
+ * Create a new user deck
+ * @param {string} name - Deck name
+ * @returns {object} - {id, name}
+ */
+export const createDeck = (name) => ({
+  id: `deck-${Date.now().toString(36)}`,
+  name: name.trim(),
+});
+
+/**
+ * Get the deck a card belongs to
+ * @param {object} card - Card
+ * @returns {string} - Deck ID
+ */
+export const getCardDeck = (card) => card.deck || BUILTIN_DECK_ID;
+
+/**
+ * Check whether a card was written by the user rather than bundled
+ * @param {object} card - Card
+ * @returns {boolean} - True for cards in a user deck
+ */
+export const isCustomCard = (card) => getCardDeck(card) !== BUILTIN_DECK_ID;
+
+/**
+ * Check whether a card is in the selected decks
+ * @param {object} card - Card
+ * @param {Array} deckIds - Selected deck IDs, empty for all decks
+ * @returns {boolean} - True if the card's deck is selected
+ */
+export const matchesDecks = (card, deckIds = []) => {
+  return deckIds.length === 0 || deckIds.includes(getCardDeck(card));
+};
+
+/**
+ * Parse the comma-separated tags typed into the card editor
+ * @param {string} text - Tags like "IT, Meetings"
+ * @returns {Array} - Trimmed, de-duplicated tags
+ */
+export const parseTags = (text) => {
+  return [...new Set(text.split(",").map((tag) => tag.trim()).filter(Boolean))];
+};
+
+/**
+ * Check the card editor's fields
+ * @param {object} fields - Editor fields
+ * @returns {string|null} - Error message, or null if the card can be saved
+ */
+export const validateCardFields = (fields) => {
+  if (!fields.word.trim()) return "Enter the German word.";
+  if (!fields.meaning.trim()) return "Enter the English meaning.";
+  if (!fields.deck) return "Pick a deck.";
+  return null;
+};
+
+/**
+ * Copy the editor's fields into card content
+ * @param {object} fields - Editor fields
+ * @returns {object} - Trimmed content fields
+ */
+export const getCardContent = (fields) => ({
+  word: fields.word.trim(),
+  article: fields.type.startsWith("noun") ? fields.article : "",
+  type: fields.type,
+  sentence: fields.sentence.trim(),
+  meaning: fields.meaning.trim(),
+  sentenceMeaning: fields.sentenceMeaning.trim(),
+  level: fields.level,
+  category: fields.category,
+  tags: fields.tags,
+  deck: fields.deck,
+});
+
+/**
+ * Create a user card from the card editor
+ * @param {object} fields - Editor fields
+ * @returns {object} - New card with a unique ID and default SRS fields
+ */
+export const createCustomCard = (fields) => {
+  const id = `custom-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  return createCardFromData({ ...getCardContent(fields), id });
+};
+
+/**
+ * Apply card editor changes to a user card, keeping its progress
+ * @param {object} card - Existing card
+ * @param {object} fields - Editor fields
+ * @returns {object} - Updated card
+ */
+export const updateCustomCard = (card, fields) => ({
+  ...card,
+  ...getCardContent(fields),
+});
+
+/**
+ * Reset a user card's progress, keeping its content (used by "Reset Data")
+ * @param {object} card - User card
+ * @returns {object} - Card with default SRS fields
+ */
+export const resetCustomCard = (card) => createCardFromData(card);
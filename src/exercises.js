@@ -0,0 +1,174 @@
+/**
+ * Exercises - Flashcard Deutscher
+ *
+ * The ways a card can be practised. The study mode decides which cards come
+ * up; the exercise decides how each card is asked and which SRS track (see
+ * cardTracks.js) the rating goes to. Auto-graded exercises set the SRS quality
+ * from the answer instead of the grade buttons. Some study modes come with
+ * their own exercise and are not offered in the exercise picker.
+ *
+ * Flip cards can be asked in either direction, chosen per study mode; each
+ * direction is its own track so recognition and production are scheduled
+ * independently. The conjugation drill studies one track per verb form.
+ */
+
+import {
+  MEANING_TRACK,
+  REVERSE_TRACK,
+  ARTICLE_TRACK,
+  CLOZE_TRACK,
+  LISTENING_TRACK,
+  SPEAKING_TRACK,
+  PLURAL_TRACK,
+  SENTENCE_TRACK,
+} from "./cardTracks";
+import { CONJUGATION_TRACKS } from "./conjugation";
+
+export const EXERCISES = {
+  flip: {
+    id: "flip",
+    label: "Flip Cards",
+    icon: "flip",
+    description: "See one side of the card, recall the other and grade yourself",
+    track: MEANING_TRACK,
+    directional: true,
+    autoGraded: false,
+  },
+  typing: {
+    id: "typing",
+    label: "Type Answer",
+    icon: "keyboard",
+    description: "See the English meaning and type the German word (with its article for nouns)",
+    track: REVERSE_TRACK,
+    autoGraded: true,
+  },
+  choice: {
+    id: "choice",
+    label: "Multiple Choice",
+    icon: "checklist",
+    description: "See the German word and pick its English meaning from four choices (keys 1-4)",
+    track: MEANING_TRACK,
+    autoGraded: true,
+  },
+  article: {
+    id: "article",
+    label: "Der · Die · Das",
+    icon: "category",
+    description: "See a noun without its article and pick der, die or das",
+    track: ARTICLE_TRACK,
+    autoGraded: true,
+    studyModeOnly: true,
+  },
+  cloze: {
+    id: "cloze",
+    label: "Fill the Gap",
+    icon: "short_text",
+    description: "Type or pick the missing word form in the German example sentence, with the English sentence as a hint",
+    track: CLOZE_TRACK,
+    autoGraded: true,
+    studyModeOnly: true,
+  },
+  listening: {
+    id: "listening",
+    label: "Listening",
+    icon: "hearing",
+    description: "Hear the German word and sentence without seeing them, then reveal the spelling and meaning and grade yourself",
+    track: LISTENING_TRACK,
+    autoGraded: false,
+    studyModeOnly: true,
+  },
+  speaking: {
+    id: "speaking",
+    label: "Speaking",
+    icon: "mic",
+    description: "Say the German word or sentence, see which words were recognised and grade yourself with the suggested grade as a guide",
+    track: SPEAKING_TRACK,
+    autoGraded: false,
+    studyModeOnly: true,
+  },
+  conjugation: {
+    id: "conjugation",
+    label: "Conjugation",
+    icon: "table_chart",
+    description: "See a verb with a person and tense (e.g. du · Präteritum) and type the conjugated form",
+    track: CONJUGATION_TRACKS[0],
+    tracks: CONJUGATION_TRACKS,
+    autoGraded: true,
+    studyModeOnly: true,
+  },
+  plural: {
+    id: "plural",
+    label: "Plurals",
+    icon: "filter_none",
+    description: "See a noun with its article (e.g. das Buch) and type its plural",
+    track: PLURAL_TRACK,
+    autoGraded: true,
+    studyModeOnly: true,
+  },
+  sentence: {
+    id: "sentence",
+    label: "Verb Sentences",
+    icon: "construction",
+    description: "See a sentence with a separable or reflexive verb left out (Ich ___ morgen ___) and type the missing words or the whole sentence",
+    track: SENTENCE_TRACK,
+    autoGraded: true,
+    studyModeOnly: true,
+  },
+};
+
+export const CARD_DIRECTIONS = {
+  deToEn: { id: "deToEn", label: "DE → EN", tracks: [MEANING_TRACK] },
+  enToDe: { id: "enToDe", label: "EN → DE", tracks: [REVERSE_TRACK] },
+  both: { id: "both", label: "Both", tracks: [MEANING_TRACK, REVERSE_TRACK] },
+};
+
+export const DEFAULT_CARD_DIRECTION = "deToEn";
+
+// Study modes that always use a particular exercise
+const STUDY_MODE_EXERCISES = {
+  articles: "article",
+  cloze: "cloze",
+  listening: "listening",
+  speaking: "speaking",
+  conjugation: "conjugation",
+  plurals: "plural",
+  sentences: "sentence",
+};
+
+export const DEFAULT_EXERCISE = "flip";
+
+/**
+ * Get an exercise by ID, falling back to the default
+ * @param {string} exerciseId - Exercise ID
+ * @returns {object} - Exercise definition
+ */
+export const getExercise = (exerciseId) => EXERCISES[exerciseId] || EXERCISES[DEFAULT_EXERCISE];
+
+/**
+ * Get the exercise used in a study mode
+ * @param {string} studyMode - Active study mode
+ * @param {string} exerciseId - Exercise picked in the settings
+ * @returns {object} - Exercise definition
+ */
+export const getExerciseForMode = (studyMode, exerciseId) =>
+  getExercise(STUDY_MODE_EXERCISES[studyMode] || exerciseId);
+
+/**
+ * Get the card direction chosen for a study mode
+ * @param {object} cardDirections - Map of study mode to direction ID (from settings)
+ * @param {string} studyMode - Study mode
+ * @returns {object} - Card direction definition
+ */
+export const getCardDirection = (cardDirections, studyMode) =>
+  CARD_DIRECTIONS[(cardDirections || {})[studyMode]] || CARD_DIRECTIONS[DEFAULT_CARD_DIRECTION];
+
+/**
+ * Get the SRS tracks studied with an exercise
+ * @param {object} exercise - Exercise definition
+ * @param {object} direction - Card direction (only used by directional exercises)
+ * @returns {Array} - Track IDs
+ */
+export const getExerciseTracks = (exercise, direction) => {
+  if (exercise.directional) return direction.tracks;
+  return exercise.tracks || [exercise.track];
+};
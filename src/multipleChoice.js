@@ -0,0 +1,85 @@
+/**
+ * Multiple Choice - Flashcard Deutscher
+ *
+ * Picks the English meanings offered next to a German word. Distractors come
+ * from cards of the same word type that are about as hard as the card being
+ * studied (same level where the dataset has one, similar SRS difficulty and a
+ * similar-length meaning), so the answer can't be spotted by its shape.
+ * Choices are seeded per card, so they stay put while the card is shown.
+ */
+
+import { createRandom, shuffle, hashString } from "./random";
+
+// Distractors are drawn from this many of the closest candidates
+const CANDIDATE_POOL_SIZE = 12;
+
+/**
+ * Split a meaning into its comparable senses ("to blow", "biro / ballpoint pen")
+ * @param {string} meaning - English meaning
+ * @returns {Array} - Lowercased senses without leading "to", "a" or "the"
+ */
+const getSenses = (meaning) =>
+  (meaning || "")
+    .toLowerCase()
+    .split(/[/,;]/)
+    .map((sense) => sense.trim().replace(/^(to|an?|the)\s+/, ""))
+    .filter(Boolean);
+
+/**
+ * Estimate how hard a card is on a 0 (easy) to 1 (hard) scale from its SRS state
+ * FSRS difficulty is used when present, otherwise the SM-2 ease factor.
+ * @param {object} card - Card
+ * @returns {number} - Difficulty; never-rated cards count as average
+ */
+const getCardDifficulty = (card) => {
+  if (Number.isFinite(card.difficulty)) return (card.difficulty - 1) / 9;
+  if (!card.totalReviews) return 0.5;
+  const ease = Math.min(3, Math.max(1.3, card.easeFactor || 2.5));
+  return (3 - ease) / 1.7;
+};
+
+/**
+ * How different another card is from the studied one, lower is more alike
+ * @param {object} card - Card being studied
+ * @param {object} other - Candidate distractor
+ * @returns {number} - Distance
+ */
+const getDistance = (card, other) =>
+  ((card.level || "") !== (other.level || "") ? 1 : 0) +
+  Math.abs(getCardDifficulty(card) - getCardDifficulty(other)) +
+  Math.abs((card.meaning || "").length - (other.meaning || "").length) / 30;
+
+/**
+ * Get the English meanings offered for a card
+ * @param {object} card - Card being studied (a track view or stored card)
+ * @param {Array} deck - Cards to take distractors from
+ * @param {number} count - Number of choices including the answer
+ * @returns {Array} - Meanings in a stable shuffled order
+ */
+export const getMeaningChoices = (card, deck, count = 4) => {
+  const senses = getSenses(card.meaning);
+  const seen = new Set([card.meaning.toLowerCase()]);
+  const candidates = deck.filter((other) => {
+    if (other.id === card.id || !other.meaning) return false;
+    const meaning = other.meaning.toLowerCase();
+    // Skip synonyms and duplicates, which would also be right
+    if (seen.has(meaning) || getSenses(meaning).some((sense) => senses.includes(sense))) return false;
+    seen.add(meaning);
+    return true;
+  });
+
+  // Same word type where possible, so every choice fits the word
+  const sameType = candidates.filter((other) => other.type === card.type);
+  const pool = sameType.length >= count - 1 ? sameType : candidates;
+
+  const random = createRandom(hashString(card.key || card.id));
+  const closest = pool
+    .map((other) => ({ meaning: other.meaning, distance: getDistance(card, other) }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, CANDIDATE_POOL_SIZE);
+  const distractors = shuffle(closest, random)
+    .slice(0, count - 1)
+    .map((choice) => choice.meaning);
+
+  return shuffle([card.meaning, ...distractors], random);
+};
@@ -0,0 +1,56 @@
+/**
+ * Noun Forms - Flashcard Deutscher
+ *
+ * Plural and genitive singular of nouns. Dataset entries give both as full
+ * forms ("plural": "Bücher", "genitive": "Buches"), slash-separated like the
+ * word itself for paired entries ("Ärzte/Ärztinnen"). An empty plural means
+ * the noun has none in practice (Milch, Gepäck) or the entry is already a
+ * plural (Eltern, Ferien). Forms pair with the entry's articles when there are
+ * as many of each; otherwise every form takes the first article.
+ */
+
+// Article of the genitive singular for each gender
+const GENITIVE_ARTICLES = { der: "des", das: "des", die: "der" };
+
+export const PLURAL_ARTICLE = "die";
+
+/**
+ * Split a slash-separated dataset field
+ * @param {string} text - Field value
+ * @returns {Array} - Trimmed parts (empty parts kept, so pairs stay aligned)
+ */
+const splitForms = (text) => (text ? text.split("/").map((part) => part.trim()) : []);
+
+/**
+ * Get the plural and genitive forms of a noun card
+ * @param {object} card - Card
+ * @returns {Array} - [{article, plural, genitive}] with the full forms
+ *   ("die Bücher", "des Buches"), empty for cards without forms
+ */
+export const getNounForms = (card) => {
+  const plurals = splitForms(card.plural);
+  const genitives = splitForms(card.genitive);
+  const articles = splitForms(card.article).filter(Boolean);
+  const count = Math.max(plurals.length, genitives.length);
+  if (count === 0 || articles.length === 0) return [];
+
+  return Array.from({ length: count }, (_, index) => {
+    const article = (articles.length === count ? articles[index] : articles[0]).toLowerCase();
+    const plural = plurals[index] || "";
+    const genitive = genitives[index] || "";
+    return {
+      article,
+      plural: plural && `${PLURAL_ARTICLE} ${plural}`,
+      genitive: genitive && GENITIVE_ARTICLES[article] ? `${GENITIVE_ARTICLES[article]} ${genitive}` : "",
+    };
+  }).filter((form) => form.plural || form.genitive);
+};
+
+/**
+ * Check whether a card can be used for the plural drill
+ * Only nouns with a single plural form are asked, so the answer is unambiguous.
+ * @param {object} card - Card
+ * @returns {boolean} - True for nouns with one plural
+ */
+export const isPluralCard = (card) =>
+  !!card.plural && !card.plural.includes("/") && !!card.article && !!card.word;
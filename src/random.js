@@ -0,0 +1,51 @@
+/**
+ * Random - Flashcard Deutscher
+ *
+ * Seeded randomness for anything that must come out the same way twice: the
+ * study queue order within a session and the choices offered for a card.
+ */
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} - Returns floats in [0, 1) like Math.random
+ */
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Shuffle a copy of an array (Fisher-Yates)
+ * @param {Array} items - Items to shuffle
+ * @param {Function} random - Random number generator
+ * @returns {Array} - Shuffled copy
+ */
+export const shuffle = (items, random) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+/**
+ * Hash a string to a 32-bit integer (FNV-1a), e.g. to seed createRandom per card
+ * @param {string} text - Text to hash
+ * @returns {number} - Unsigned hash
+ */
+export const hashString = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
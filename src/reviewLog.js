@@ -0,0 +1,43 @@
+/**
+ * Review Log - Flashcard Deutscher
+ *
+ * Builds the append-only history entries recorded for every rating. Entries
+ * are never updated after they are written, so they can be replayed for
+ * analytics, undo and re-tuning the scheduler.
+ */
+
+/**
+ * Create a review log entry for a rating
+ * @param {object} params - Rating details
+ * @param {object} params.card - Card before the rating
+ * @param {object} params.updatedCard - Card after the rating
+ * @param {number} params.quality - Response quality given by the user
+ * @param {number} params.timeSpentMs - Time the card was on screen before rating
+ * @param {string} params.studyMode - Active study mode
+ * @param {string} params.exercise - Exercise the card was asked with (see exercises.js)
+ * @param {string} params.track - SRS track that was rated (see cardTracks.js)
+ * @param {object} params.answer - {input, verdict} for typed answers, otherwise null
+ * @returns {object} - Review log entry
+ */
+export const createReviewLogEntry = ({ card, updatedCard, quality, timeSpentMs, studyMode, exercise, track, answer = null }) => ({
+  cardId: card.id,
+  timestamp: updatedCard.lastReviewed || new Date().toISOString(),
+  quality,
+  previousStatus: card.status,
+  newStatus: updatedCard.status,
+  previousInterval: card.interval,
+  newInterval: updatedCard.interval,
+  previousEaseFactor: card.easeFactor,
+  newEaseFactor: updatedCard.easeFactor,
+  nextReview: updatedCard.nextReview,
+  scheduler: updatedCard.scheduler,
+  previousStability: card.stability,
+  newStability: updatedCard.stability,
+  previousDifficulty: card.difficulty,
+  newDifficulty: updatedCard.difficulty,
+  timeSpentMs: Math.max(0, Math.round(timeSpentMs || 0)),
+  studyMode,
+  exercise,
+  track,
+  answer,
+});
@@ -0,0 +1,76 @@
+/**
+ * User Settings - Flashcard Deutscher
+ *
+ * Study preferences persisted as a single localStorage entry. Unknown or
+ * missing keys fall back to DEFAULT_SETTINGS, so new settings can be added
+ * without a migration.
+ */
+
+import { DEFAULT_SCHEDULER } from "./srsAlgorithm";
+import { DEFAULT_DAY_ROLLOVER_HOUR } from "./dateUtils";
+import { DEFAULT_EXERCISE } from "./exercises";
+import { DEFAULT_SPEECH_RATE } from "./speech";
+
+export const SETTINGS_KEY = "flashcard-settings";
+
+// Longest learning step, in minutes (one week)
+export const MAX_STEP_MINUTES = 7 * 24 * 60;
+
+export const DEFAULT_SETTINGS = {
+  scheduler: DEFAULT_SCHEDULER, // "sm2" or "fsrs"
+  exercise: DEFAULT_EXERCISE, // How cards are asked, see exercises.js
+  cardDirections: {}, // Flip-card direction per study mode ("deToEn", "enToDe" or "both")
+  learningSteps: [1, 10], // Minutes between reviews of a new card before it graduates
+  relearningSteps: [10], // Minutes between reviews of a lapsed card before it returns to review
+  newCardsPerDay: 20, // New cards introduced per day
+  reviewsPerDay: 200, // Day-based reviews per day
+  dayRolloverHour: DEFAULT_DAY_ROLLOVER_HOUR, // Hour (0-23) at which the next study day starts
+  timeZone: "", // IANA timezone for study days, empty to follow the device
+  autoPlayAudio: false, // Read the German side aloud as soon as it is shown
+  speechRate: DEFAULT_SPEECH_RATE, // Speech synthesis rate (1 = normal speed)
+  studyLevels: [], // CEFR levels to study, empty for all (see wordTags.js)
+  studyCategories: [], // Topic categories to study, empty for all
+  studyDecks: [], // Decks to study, empty for all (see decks.js)
+};
+
+/**
+ * Load settings from localStorage
+ * @returns {object} - Settings merged over the defaults
+ */
+export const loadSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || "{}");
+    return { ...DEFAULT_SETTINGS, ...saved };
+  } catch (error) {
+    console.error("Error parsing saved settings:", error);
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+/**
+ * Save settings to localStorage
+ * @param {object} settings - Settings to save
+ */
+export const saveSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
+
+/**
+ * Parse learning steps typed by the user (e.g. "1 10" or "1m, 10m")
+ * @param {string} text - Steps in minutes separated by spaces or commas
+ * @returns {Array} - Positive step lengths in minutes, at most MAX_STEP_MINUTES each
+ */
+export const parseSteps = (text) => {
+  return text
+    .split(/[\s,]+/)
+    .map((step) => parseFloat(step))
+    .filter((step) => Number.isFinite(step) && step > 0)
+    .map((step) => Math.min(step, MAX_STEP_MINUTES));
+};
+
+/**
+ * Format learning steps for display in an input
+ * @param {Array} steps - Step lengths in minutes
+ * @returns {string} - Steps like "1m 10m"
+ */
+export const formatSteps = (steps) => steps.map((step) => `${step}m`).join(" ");
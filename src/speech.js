@@ -0,0 +1,123 @@
+/**
+ * Speech - Flashcard Deutscher
+ *
+ * Reads German aloud with the browser's speech synthesis (Web Speech API).
+ * Browsers load their voices asynchronously, so callers watch for a German
+ * voice becoming available. Without speech synthesis or a German voice every
+ * call is a no-op, so the rest of the app never has to check first.
+ */
+
+export const DEFAULT_SPEECH_RATE = 0.9;
+export const MIN_SPEECH_RATE = 0.5;
+export const MAX_SPEECH_RATE = 1.5;
+
+// How long to wait for the browser to load its voices before taking an
+// empty voice list as final
+const VOICE_LOAD_TIMEOUT_MS = 3000;
+
+/**
+ * Get the browser's speech synthesis, if any
+ * @returns {SpeechSynthesis|null} - Speech synthesis controller
+ */
+const getSynthesis = () =>
+  (typeof window !== "undefined" && "speechSynthesis" in window && window.speechSynthesis) || null;
+
+/**
+ * Find the best German voice the browser offers
+ * Prefers German-German voices and, among those, voices that run offline.
+ * @returns {SpeechSynthesisVoice|null} - Voice, or null if there is none
+ */
+export const getGermanVoice = () => {
+  const synthesis = getSynthesis();
+  if (!synthesis) return null;
+
+  const germanVoices = synthesis.getVoices().filter((voice) => /^de([-_]|$)/i.test(voice.lang));
+  const germanyVoices = germanVoices.filter((voice) => /^de[-_]DE$/i.test(voice.lang));
+  return (
+    germanyVoices.find((voice) => voice.localService) ||
+    germanyVoices[0] ||
+    germanVoices[0] ||
+    null
+  );
+};
+
+/**
+ * Watch whether a German voice is available
+ * Calls back right away and again whenever the browser's voice list changes.
+ * The second argument tells whether the answer is final: it is not while the
+ * browser may still be loading its voices.
+ * @param {Function} callback - Receives (canSpeakGerman, isSettled)
+ * @returns {Function} - Stops watching
+ */
+export const watchGermanVoice = (callback) => {
+  const synthesis = getSynthesis();
+  if (!synthesis || typeof synthesis.addEventListener !== "function") {
+    callback(!!getGermanVoice(), true);
+    return () => {};
+  }
+
+  const update = () => callback(!!getGermanVoice(), synthesis.getVoices().length > 0);
+  const settle = () => callback(!!getGermanVoice(), true);
+  update();
+  synthesis.addEventListener("voiceschanged", update);
+  const timer = setTimeout(settle, VOICE_LOAD_TIMEOUT_MS);
+  return () => {
+    clearTimeout(timer);
+    synthesis.removeEventListener("voiceschanged", update);
+  };
+};
+
+/**
+ * Speak German texts one after another, interrupting anything still playing
+ * @param {Array} texts - Texts to read; empty entries are skipped
+ * @param {object} options - {rate}
+ * @returns {boolean} - False if nothing could be spoken
+ */
+export const speak = (texts, { rate = DEFAULT_SPEECH_RATE } = {}) => {
+  const synthesis = getSynthesis();
+  const voice = getGermanVoice();
+  if (!synthesis || !voice) return false;
+
+  synthesis.cancel();
+  texts.filter(Boolean).forEach((text) => {
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.voice = voice;
+    utterance.lang = voice.lang;
+    utterance.rate = rate;
+    synthesis.speak(utterance);
+  });
+  return true;
+};
+
+/**
+ * Stop any speech in progress
+ */
+export const stopSpeaking = () => {
+  const synthesis = getSynthesis();
+  if (synthesis) synthesis.cancel();
+};
+
+/**
+ * Get a card's word as it should be read, with its article
+ * Paired alternatives are read separately ("der Arzt, die Ärztin") and
+ * optional parts are read in full ("außer(dem)" as "außerdem").
+ * @param {object} card - Card
+ * @returns {string} - Text to speak
+ */
+export const getSpokenWord = (card) => {
+  const words = card.word.split("/").map((word) => word.replace(/[()]/g, "").trim());
+  const articles = (card.article || "").split("/").map((article) => article.trim()).filter(Boolean);
+  if (articles.length === words.length) {
+    return words.map((word, index) => `${articles[index]} ${word}`).join(", ");
+  }
+  return [articles.join(", "), words.join(", ")].filter(Boolean).join(" ");
+};
+
+/**
+ * Read a card's word (with article) and example sentence
+ * @param {object} card - Card
+ * @param {object} settings - Settings ({speechRate})
+ * @returns {boolean} - False if nothing could be spoken
+ */
+export const speakCard = (card, settings = {}) =>
+  speak([getSpokenWord(card), card.sentence], { rate: settings.speechRate });
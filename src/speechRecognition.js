@@ -0,0 +1,164 @@
+/**
+ * Speech Recognition - Flashcard Deutscher
+ *
+ * Listens to the user speaking German and scores the transcript against the
+ * card. The browser's SpeechRecognition API sits behind a small adapter
+ * ({isSupported, listen}) so it can be swapped for a scripted one with
+ * setRecognitionAdapter, e.g. to try the speaking mode without a microphone.
+ */
+
+import { QUALITY } from "./srsAlgorithm";
+import { getSpokenWord } from "./speech";
+
+export const RECOGNITION_LANG = "de-DE";
+
+/**
+ * Adapter for the browser's (possibly prefixed) SpeechRecognition
+ */
+export const browserRecognitionAdapter = {
+  /**
+   * @returns {boolean} - True if the browser can recognise speech
+   */
+  isSupported: () =>
+    typeof window !== "undefined" && !!(window.SpeechRecognition || window.webkitSpeechRecognition),
+
+  /**
+   * Listen for a single utterance
+   * @param {object} options - {lang, maxAlternatives}
+   * @returns {object} - {result: Promise<Array> of transcripts, best first, stop: Function}
+   */
+  listen: ({ lang = RECOGNITION_LANG, maxAlternatives = 3 } = {}) => {
+    const Recognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+    const recognition = new Recognition();
+    recognition.lang = lang;
+    recognition.interimResults = false;
+    recognition.maxAlternatives = maxAlternatives;
+
+    const result = new Promise((resolve, reject) => {
+      let transcripts = [];
+      recognition.onresult = (event) => {
+        transcripts = Array.from(event.results[0] || []).map((alternative) => alternative.transcript);
+      };
+      recognition.onerror = (event) => {
+        // "no-speech" just means nothing was heard
+        if (event.error === "no-speech" || event.error === "aborted") return;
+        reject(new Error(`Speech recognition failed: ${event.error}`));
+      };
+      recognition.onend = () => resolve(transcripts);
+    });
+
+    recognition.start();
+    return { result, stop: () => recognition.stop() };
+  },
+};
+
+let activeAdapter = browserRecognitionAdapter;
+
+/**
+ * Replace the speech recognition backend
+ * @param {object} adapter - {isSupported, listen}, or null for the browser's
+ */
+export const setRecognitionAdapter = (adapter) => {
+  activeAdapter = adapter || browserRecognitionAdapter;
+};
+
+/**
+ * Check whether speech can be recognised
+ * @returns {boolean} - True if the speaking mode can be offered
+ */
+export const isRecognitionSupported = () => activeAdapter.isSupported();
+
+/**
+ * Listen for a single utterance with the active adapter
+ * @param {object} options - {lang, maxAlternatives}
+ * @returns {object} - {result: Promise<Array> of transcripts, stop: Function}
+ */
+export const listenForSpeech = (options) => activeAdapter.listen(options);
+
+/**
+ * Split text into comparable words
+ * Lowercased, without punctuation and with ß as ss, since recognisers differ there.
+ * @param {string} text - Text to split
+ * @returns {Array} - Words
+ */
+export const tokenize = (text) =>
+  (text || "")
+    .toLowerCase()
+    .replace(/ß/g, "ss")
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+
+/**
+ * Align spoken words with expected ones (word-level Levenshtein)
+ * @param {Array} expected - Expected words
+ * @param {Array} actual - Recognised words
+ * @returns {Array} - [{type: "equal" | "wrong" | "missing" | "extra", expected, actual}]
+ */
+export const alignTokens = (expected, actual) => {
+  const rows = expected.length + 1;
+  const cols = actual.length + 1;
+  const cost = Array.from({ length: rows }, () => new Array(cols).fill(0));
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      if (i === expected.length) cost[i][j] = actual.length - j;
+      else if (j === actual.length) cost[i][j] = expected.length - i;
+      else {
+        cost[i][j] = Math.min(
+          cost[i + 1][j + 1] + (expected[i] === actual[j] ? 0 : 1),
+          cost[i + 1][j] + 1,
+          cost[i][j + 1] + 1
+        );
+      }
+    }
+  }
+
+  const tokens = [];
+  let i = 0;
+  let j = 0;
+  while (i < expected.length || j < actual.length) {
+    if (i < expected.length && j < actual.length && cost[i][j] === cost[i + 1][j + 1] + (expected[i] === actual[j] ? 0 : 1)) {
+      tokens.push({ type: expected[i] === actual[j] ? "equal" : "wrong", expected: expected[i], actual: actual[j] });
+      i++;
+      j++;
+    } else if (i < expected.length && cost[i][j] === cost[i + 1][j] + 1) {
+      tokens.push({ type: "missing", expected: expected[i], actual: "" });
+      i++;
+    } else {
+      tokens.push({ type: "extra", expected: "", actual: actual[j] });
+      j++;
+    }
+  }
+  return tokens;
+};
+
+/**
+ * Get the text the user is asked to say
+ * @param {object} card - Card
+ * @param {string} target - "word" (with article) or "sentence"
+ * @returns {string} - Expected text
+ */
+export const getSpeakingText = (card, target) => (target === "sentence" ? card.sentence : getSpokenWord(card));
+
+/**
+ * Score what was said against the card
+ * Every recognised alternative is tried and the closest one is kept.
+ * @param {string} expectedText - Text the user was asked to say
+ * @param {Array} transcripts - Recognised alternatives
+ * @returns {object} - {transcript, tokens, score (0-1), quality (proposed grade)}
+ */
+export const scoreSpeech = (expectedText, transcripts) => {
+  const expected = tokenize(expectedText);
+  let best = null;
+  (transcripts.length > 0 ? transcripts : [""]).forEach((transcript) => {
+    const tokens = alignTokens(expected, tokenize(transcript));
+    const matched = tokens.filter((token) => token.type === "equal").length;
+    const score = matched / Math.max(expected.length, tokens.length, 1);
+    if (!best || score > best.score) best = { transcript, tokens, score };
+  });
+
+  let quality = QUALITY.AGAIN;
+  if (best.score === 1) quality = QUALITY.GOOD;
+  else if (best.score >= 0.75) quality = QUALITY.HARD;
+  return { ...best, quality };
+};
@@ -0,0 +1,224 @@
+import React from "react";
+import { render, screen, fireEvent, act } from "@testing-library/react";
+import {
+  setRecognitionAdapter,
+  isRecognitionSupported,
+  listenForSpeech,
+  tokenize,
+  alignTokens,
+  getSpeakingText,
+  scoreSpeech,
+} from "./speechRecognition";
+import { QUALITY } from "./srsAlgorithm";
+import SpeakingPractice from "./components/SpeakingPractice";
+
+const CARD = { key: "hund/meaning", word: "Hund", article: "der", sentence: "Der Hund schläft im Garten." };
+
+// Adapter that answers each listen() with the next scripted transcripts
+// (or error), resolving only when settle() is called
+const scriptedAdapter = (script) => {
+  const calls = [];
+  return {
+    calls,
+    isSupported: () => true,
+    listen: (options) => {
+      const answer = script[calls.length];
+      let settle;
+      const result = new Promise((resolve, reject) => {
+        settle = () => (answer instanceof Error ? reject(answer) : resolve(answer));
+      });
+      const call = { options, stopped: false, settle };
+      calls.push(call);
+      return {
+        result,
+        stop: () => {
+          call.stopped = true;
+          settle();
+        },
+      };
+    },
+  };
+};
+
+afterEach(() => setRecognitionAdapter(null));
+
+describe("tokenize", () => {
+  test("lowercases, drops punctuation and writes ß as ss", () => {
+    expect(tokenize("Die Straße, bitte!")).toEqual(["die", "strasse", "bitte"]);
+    expect(tokenize("")).toEqual([]);
+    expect(tokenize(undefined)).toEqual([]);
+  });
+});
+
+describe("alignTokens", () => {
+  test("marks equal, wrong, missing and extra words", () => {
+    expect(alignTokens(["der", "hund"], ["der", "hund"]).map((token) => token.type)).toEqual(["equal", "equal"]);
+    expect(alignTokens(["der", "hund"], ["die", "hund"])).toEqual([
+      { type: "wrong", expected: "der", actual: "die" },
+      { type: "equal", expected: "hund", actual: "hund" },
+    ]);
+    expect(alignTokens(["der", "große", "hund"], ["der", "hund"])).toEqual([
+      { type: "equal", expected: "der", actual: "der" },
+      { type: "missing", expected: "große", actual: "" },
+      { type: "equal", expected: "hund", actual: "hund" },
+    ]);
+    expect(alignTokens(["hund"], ["der", "hund"])).toEqual([
+      { type: "extra", expected: "", actual: "der" },
+      { type: "equal", expected: "hund", actual: "hund" },
+    ]);
+  });
+
+  test("covers every word of both sides in order", () => {
+    const expected = ["der", "hund", "schläft", "im", "garten"];
+    const actual = ["ein", "hund", "schläft", "garten", "heute"];
+    const tokens = alignTokens(expected, actual);
+
+    expect(tokens.map((token) => token.expected).filter(Boolean)).toEqual(expected);
+    expect(tokens.map((token) => token.actual).filter(Boolean)).toEqual(actual);
+  });
+
+  test("handles empty input", () => {
+    expect(alignTokens([], [])).toEqual([]);
+    expect(alignTokens(["hund"], []).map((token) => token.type)).toEqual(["missing"]);
+    expect(alignTokens([], ["hund"]).map((token) => token.type)).toEqual(["extra"]);
+  });
+});
+
+describe("scoreSpeech", () => {
+  test("proposes Good for an exact match, ignoring case and punctuation", () => {
+    const result = scoreSpeech("Der Hund schläft im Garten.", ["der hund schläft im garten"]);
+
+    expect(result.score).toBe(1);
+    expect(result.quality).toBe(QUALITY.GOOD);
+  });
+
+  test("proposes Hard when most words match and Again otherwise", () => {
+    expect(scoreSpeech("der Hund schläft im Garten", ["der Hund schläft im Park"]).quality).toBe(QUALITY.HARD);
+    expect(scoreSpeech("der Hund schläft im Garten", ["die Katze spielt"]).quality).toBe(QUALITY.AGAIN);
+  });
+
+  test("keeps the closest of the recognised alternatives", () => {
+    const result = scoreSpeech("der Hund", ["die Hunde", "der Hund", "der Mund"]);
+
+    expect(result.transcript).toBe("der Hund");
+    expect(result.score).toBe(1);
+  });
+
+  test("counts extra words against the score", () => {
+    expect(scoreSpeech("der Hund", ["der Hund der Hund"]).score).toBe(0.5);
+  });
+
+  test("scores nothing heard as Again", () => {
+    const result = scoreSpeech("der Hund", []);
+
+    expect(result.transcript).toBe("");
+    expect(result.score).toBe(0);
+    expect(result.quality).toBe(QUALITY.AGAIN);
+  });
+});
+
+describe("getSpeakingText", () => {
+  test("asks for the word with its article, or the sentence", () => {
+    expect(getSpeakingText(CARD, "word")).toBe("der Hund");
+    expect(getSpeakingText(CARD, "sentence")).toBe(CARD.sentence);
+  });
+});
+
+describe("recognition adapter", () => {
+  test("a scripted adapter replaces the browser's, and null restores it", () => {
+    const adapter = scriptedAdapter([["der Hund"]]);
+    setRecognitionAdapter(adapter);
+
+    expect(isRecognitionSupported()).toBe(true);
+    listenForSpeech({ lang: "de-DE" });
+    expect(adapter.calls[0].options).toEqual({ lang: "de-DE" });
+
+    setRecognitionAdapter(null);
+    // jsdom has no SpeechRecognition
+    expect(isRecognitionSupported()).toBe(false);
+  });
+});
+
+describe("speaking practice flow", () => {
+  const renderPractice = (props) => render(<SpeakingPractice card={CARD} isVisible {...props} />);
+  const wordButton = () => screen.getAllByRole("button")[0];
+  const sentenceButton = () => screen.getAllByRole("button")[1];
+  const settle = (call) => act(async () => call.settle());
+
+  test("scores what was said and reports it with the target", async () => {
+    const adapter = scriptedAdapter([["der hund schläft im garten"]]);
+    setRecognitionAdapter(adapter);
+    const onResult = jest.fn();
+    renderPractice({ onResult });
+
+    fireEvent.click(sentenceButton());
+    expect(sentenceButton().textContent).toContain("Listening");
+    expect(wordButton().disabled).toBe(true);
+
+    await settle(adapter.calls[0]);
+
+    expect(onResult).toHaveBeenCalledTimes(1);
+    expect(onResult.mock.calls[0][0]).toMatchObject({ target: "sentence", score: 1, quality: QUALITY.GOOD });
+    expect(sentenceButton().textContent).toContain("Say the sentence");
+    expect(wordButton().disabled).toBe(false);
+  });
+
+  test("asks to try again when nothing was heard", async () => {
+    const adapter = scriptedAdapter([[]]);
+    setRecognitionAdapter(adapter);
+    const onResult = jest.fn();
+    renderPractice({ onResult });
+
+    fireEvent.click(wordButton());
+    await settle(adapter.calls[0]);
+
+    expect(onResult).not.toHaveBeenCalled();
+    expect(screen.getByText("Didn't catch that - try again")).toBeTruthy();
+  });
+
+  test("shows an error when recognition fails", async () => {
+    const adapter = scriptedAdapter([new Error("not-allowed")]);
+    setRecognitionAdapter(adapter);
+    const consoleError = jest.spyOn(console, "error").mockImplementation(() => {});
+    renderPractice({ onResult: jest.fn() });
+
+    fireEvent.click(wordButton());
+    await settle(adapter.calls[0]);
+
+    expect(screen.getByText(/Speech recognition failed/)).toBeTruthy();
+    consoleError.mockRestore();
+  });
+
+  test("clicking again stops listening", async () => {
+    const adapter = scriptedAdapter([["der Hund"]]);
+    setRecognitionAdapter(adapter);
+    const onResult = jest.fn();
+    renderPractice({ onResult });
+
+    fireEvent.click(wordButton());
+    fireEvent.click(wordButton());
+    await screen.findByRole("button", { name: /say the word/i });
+
+    expect(adapter.calls).toHaveLength(1);
+    expect(adapter.calls[0].stopped).toBe(true);
+    expect(onResult).toHaveBeenCalledWith(expect.objectContaining({ target: "word", quality: QUALITY.GOOD }));
+  });
+
+  test("ignores a late result after the card changed", async () => {
+    const adapter = scriptedAdapter([["der Hund"]]);
+    setRecognitionAdapter(adapter);
+    const onResult = jest.fn();
+    const { rerender } = renderPractice({ onResult });
+
+    fireEvent.click(wordButton());
+    const call = adapter.calls[0];
+    rerender(
+      <SpeakingPractice card={{ ...CARD, key: "katze/meaning", word: "Katze", article: "die" }} isVisible onResult={onResult} />
+    );
+
+    expect(call.stopped).toBe(true);
+    await settle(call);
+    expect(onResult).not.toHaveBeenCalled();
+    expect(wordButton().textContent).toContain("Say the word");
+  });
+});
@@ -6,9 +6,36 @@
  * German language learning retention and scheduling.
  */
 
+import { isStudyDayReached, isBeforeStudyDay } from './dateUtils';
+
+/**
+ * Response qualities (Anki-style four-grade scale)
+ */
+export const QUALITY = {
+  AGAIN: 0,
+  HARD: 1,
+  GOOD: 2,
+  EASY: 3
+};
+
+/**
+ * Ease factor change applied for each quality
+ */
+const EASE_FACTOR_ADJUSTMENTS = {
+  [QUALITY.AGAIN]: -0.2,
+  [QUALITY.HARD]: -0.15,
+  [QUALITY.GOOD]: 0,
+  [QUALITY.EASY]: 0.15
+};
+
+const MIN_EASE_FACTOR = 1.3;
+const MAX_EASE_FACTOR = 2.5;
+const HARD_INTERVAL_MULTIPLIER = 1.2;
+const EASY_BONUS = 1.3;
+
 /**
  * Calculate the next interval for a card based on the quality of response
- * @param {number} quality - Response quality (0=Hard/Thumbs Down, 1=Okay/Neutral, 2=Learned/Thumbs Up)
+ * @param {number} quality - Response quality (0=Again, 1=Hard, 2=Good, 3=Easy)
  * @param {number} currentInterval - Current interval in days
  * @param {number} easeFactor - Current ease factor (1.3-2.5)
  * @param {number} consecutiveCorrect - Number of consecutive correct answers
@@ -16,42 +43,41 @@
  */
 export const calculateNextInterval = (quality, currentInterval, easeFactor, consecutiveCorrect) => {
   let newInterval = currentInterval;
-  let newEaseFactor = easeFactor;
   let newConsecutiveCorrect = consecutiveCorrect;
 
   // Update ease factor based on quality
-  if (quality === 0) {
-    // Hard/Thumbs Down - decrease ease factor
-    newEaseFactor = Math.max(1.3, easeFactor - 0.2);
-  } else if (quality === 1) {
-    // Okay/Neutral - slight decrease in ease factor
-    newEaseFactor = Math.max(1.3, easeFactor - 0.05);
-  } else {
-    // Learned/Thumbs Up - increase ease factor
-    newEaseFactor = Math.min(2.5, easeFactor + 0.1);
-  }
+  const newEaseFactor = Math.min(
+    MAX_EASE_FACTOR,
+    Math.max(MIN_EASE_FACTOR, easeFactor + (EASE_FACTOR_ADJUSTMENTS[quality] || 0))
+  );
 
-  if (quality === 0) {
-    // Hard/Failed recall - reset progress
+  if (quality === QUALITY.AGAIN) {
+    // Failed recall - reset progress
     newConsecutiveCorrect = 0;
     newInterval = 1; // Reset to 1 day
   } else {
-    // Successful recall (Okay or Learned)
+    // Successful recall (Hard, Good or Easy)
     newConsecutiveCorrect += 1;
     
     if (newConsecutiveCorrect === 1) {
-      newInterval = 1;
+      newInterval = quality === QUALITY.EASY ? 4 : 1;
     } else if (newConsecutiveCorrect === 2) {
-      newInterval = 6;
-    } else {
-      // For subsequent reviews, multiply by ease factor
-      if (quality === 2) {
-        // Learned/Thumbs Up - increase interval more
-        newInterval = Math.round(currentInterval * newEaseFactor * 1.3);
+      if (quality === QUALITY.HARD) {
+        newInterval = 3;
+      } else if (quality === QUALITY.EASY) {
+        newInterval = Math.round(6 * EASY_BONUS);
       } else {
-        // Okay/Neutral - normal interval increase
-        newInterval = Math.round(currentInterval * newEaseFactor);
+        newInterval = 6;
       }
+    } else if (quality === QUALITY.HARD) {
+      // Hard - grow slowly, ignoring the ease factor
+      newInterval = Math.max(currentInterval + 1, Math.round(currentInterval * HARD_INTERVAL_MULTIPLIER));
+    } else if (quality === QUALITY.EASY) {
+      // Easy - increase interval more
+      newInterval = Math.round(currentInterval * newEaseFactor * EASY_BONUS);
+    } else {
+      // Good - normal interval increase
+      newInterval = Math.round(currentInterval * newEaseFactor);
     }
   }
 
@@ -65,19 +91,332 @@ export const calculateNextInterval = (quality, currentInterval, easeFactor, cons
   };
 };
 
+/**
+ * Card status a rating moves the card into
+ * @param {number} quality - Response quality
+ * @returns {string} - "review" (Difficult) for Again/Hard, "learned" for Good/Easy
+ */
+export const getStatusForQuality = (quality) => {
+  return quality >= QUALITY.GOOD ? 'learned' : 'review';
+};
+
+/**
+ * FSRS (Free Spaced Repetition Scheduler) v4.5 parameters
+ * Cards are modelled by stability (days until recall probability drops to
+ * 90%) and difficulty (1-10); retrievability is derived from both.
+ */
+const FSRS_WEIGHTS = [
+  0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+  0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755
+];
+const FSRS_DECAY = -0.5;
+const FSRS_FACTOR = 19 / 81;
+const FSRS_DESIRED_RETENTION = 0.9;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const clampDifficulty = (difficulty) => Math.min(10, Math.max(1, difficulty));
+
+// FSRS grades run 1-4 (Again-Easy), our qualities run 0-3
+const toFsrsGrade = (quality) => quality + 1;
+
+const fsrsInitialStability = (grade) => FSRS_WEIGHTS[grade - 1];
+
+const fsrsInitialDifficulty = (grade) => clampDifficulty(FSRS_WEIGHTS[4] - (grade - 3) * FSRS_WEIGHTS[5]);
+
+/**
+ * Probability of recalling a card after a number of days
+ * @param {number} elapsedDays - Days since the last review
+ * @param {number} stability - Card stability in days
+ * @returns {number} - Retrievability between 0 and 1
+ */
+export const fsrsRetrievability = (elapsedDays, stability) => {
+  return Math.pow(1 + FSRS_FACTOR * elapsedDays / stability, FSRS_DECAY);
+};
+
+/**
+ * Interval (days) at which retrievability falls to the desired retention
+ * @param {number} stability - Card stability in days
+ * @returns {number} - Interval in whole days (at least 1)
+ */
+const fsrsInterval = (stability) => {
+  const interval = stability / FSRS_FACTOR * (Math.pow(FSRS_DESIRED_RETENTION, 1 / FSRS_DECAY) - 1);
+  return Math.max(1, Math.round(interval));
+};
+
+/**
+ * Calculate the next FSRS state for a card
+ * @param {number} quality - Response quality (0=Again, 1=Hard, 2=Good, 3=Easy)
+ * @param {object} card - Card with stability, difficulty and lastReviewed
+ * @param {Date} now - Time of the review
+ * @returns {object} - {interval, stability, difficulty, consecutiveCorrect}
+ */
+export const calculateFsrsState = (quality, card, now = new Date()) => {
+  const grade = toFsrsGrade(quality);
+  const consecutiveCorrect = quality === QUALITY.AGAIN ? 0 : (card.consecutiveCorrect || 0) + 1;
+
+  if (!card.stability || !card.difficulty) {
+    const stability = fsrsInitialStability(grade);
+    return {
+      interval: fsrsInterval(stability),
+      stability,
+      difficulty: fsrsInitialDifficulty(grade),
+      consecutiveCorrect
+    };
+  }
+
+  const elapsedDays = card.lastReviewed
+    ? Math.max(0, (now - new Date(card.lastReviewed)) / MS_PER_DAY)
+    : 0;
+  const retrievability = fsrsRetrievability(elapsedDays, card.stability);
+
+  // Difficulty moves with the grade, then reverts slightly towards the default
+  const shiftedDifficulty = card.difficulty - FSRS_WEIGHTS[6] * (grade - 3);
+  const difficulty = clampDifficulty(
+    FSRS_WEIGHTS[7] * fsrsInitialDifficulty(3) + (1 - FSRS_WEIGHTS[7]) * shiftedDifficulty
+  );
+
+  let stability;
+  if (quality === QUALITY.AGAIN) {
+    stability = FSRS_WEIGHTS[11] *
+      Math.pow(card.difficulty, -FSRS_WEIGHTS[12]) *
+      (Math.pow(card.stability + 1, FSRS_WEIGHTS[13]) - 1) *
+      Math.exp(FSRS_WEIGHTS[14] * (1 - retrievability));
+  } else {
+    const hardPenalty = quality === QUALITY.HARD ? FSRS_WEIGHTS[15] : 1;
+    const easyBonus = quality === QUALITY.EASY ? FSRS_WEIGHTS[16] : 1;
+    stability = card.stability * (
+      Math.exp(FSRS_WEIGHTS[8]) *
+      (11 - card.difficulty) *
+      Math.pow(card.stability, -FSRS_WEIGHTS[9]) *
+      (Math.exp(FSRS_WEIGHTS[10] * (1 - retrievability)) - 1) *
+      hardPenalty *
+      easyBonus +
+      1
+    );
+  }
+
+  return {
+    interval: fsrsInterval(stability),
+    stability,
+    difficulty,
+    consecutiveCorrect
+  };
+};
+
+// Ease 2.5 (the SM-2 default) corresponds to FSRS difficulty 5, ease 1.3 to 10
+const EASE_RANGE = MAX_EASE_FACTOR - MIN_EASE_FACTOR;
+
+const difficultyFromEase = (easeFactor) => clampDifficulty(5 + (MAX_EASE_FACTOR - easeFactor) / EASE_RANGE * 5);
+
+const easeFromDifficulty = (difficulty) => {
+  return Math.min(MAX_EASE_FACTOR, Math.max(MIN_EASE_FACTOR, MAX_EASE_FACTOR - (difficulty - 5) / 5 * EASE_RANGE));
+};
+
+/**
+ * Pluggable schedulers
+ * Each scheduler exposes:
+ * - schedule(card, quality, now) => {interval, consecutiveCorrect, ...its own state fields}
+ * - convertCard(card) => its state fields, derived from another scheduler's state
+ */
+export const SCHEDULERS = {
+  sm2: {
+    id: 'sm2',
+    label: 'SM-2',
+    description: 'Classic Anki-style scheduling with ease factors and 1/6-day first steps',
+    schedule: (card, quality) => calculateNextInterval(
+      quality,
+      card.interval || 1,
+      card.easeFactor || 2.5,
+      card.consecutiveCorrect || 0
+    ),
+    convertCard: (card) => ({
+      easeFactor: card.difficulty ? easeFromDifficulty(card.difficulty) : card.easeFactor || 2.5,
+      interval: card.stability ? fsrsInterval(card.stability) : card.interval || 1
+    })
+  },
+  fsrs: {
+    id: 'fsrs',
+    label: 'FSRS',
+    description: 'Memory model tracking stability and difficulty, targeting 90% recall',
+    schedule: (card, quality, now) => calculateFsrsState(quality, card, now),
+    convertCard: (card) => ({
+      // The current interval is the best available estimate of stability
+      stability: Math.max(card.interval || 1, 0.5),
+      difficulty: difficultyFromEase(card.easeFactor || 2.5)
+    })
+  }
+};
+
+export const DEFAULT_SCHEDULER = 'sm2';
+
+/**
+ * Look up a scheduler, falling back to the default
+ * @param {string} schedulerId - Scheduler ID
+ * @returns {object} - Scheduler
+ */
+export const getScheduler = (schedulerId) => SCHEDULERS[schedulerId] || SCHEDULERS[DEFAULT_SCHEDULER];
+
+/**
+ * Check whether a card has had a day-based schedule
+ * Ratings in a new card's first learning steps count as reviews but never
+ * reach the day scheduler, so such cards have no scheduler state yet.
+ * @param {object} card - Card
+ * @returns {boolean} - True once the card has graduated at least once
+ */
+const hasDaySchedule = (card) => card.totalReviews > 0 && !(isInLearningSteps(card) && !card.isRelearning);
+
+/**
+ * Bring a card's state over to a scheduler
+ * Cards that were never day-scheduled have no state worth converting, and
+ * start with the target scheduler's initial state instead.
+ * @param {object} card - Card
+ * @param {string} schedulerId - Target scheduler ID
+ * @returns {object} - Card whose `scheduler` field is the target scheduler
+ */
+export const convertCardToScheduler = (card, schedulerId) => {
+  const scheduler = getScheduler(schedulerId);
+  if ((card.scheduler || DEFAULT_SCHEDULER) === scheduler.id) {
+    return card.scheduler ? card : { ...card, scheduler: scheduler.id };
+  }
+  return {
+    ...card,
+    ...(hasDaySchedule(card) ? scheduler.convertCard(card) : {}),
+    scheduler: scheduler.id
+  };
+};
+
+/**
+ * Schedule a card with the given scheduler
+ * @param {object} card - Card before the review
+ * @param {number} quality - Response quality
+ * @param {string} schedulerId - Scheduler ID
+ * @param {Date} now - Time of the review
+ * @returns {object} - Scheduler state fields to merge into the card (incl. `scheduler`)
+ */
+export const scheduleCard = (card, quality, schedulerId, now = new Date()) => {
+  const scheduler = getScheduler(schedulerId);
+  const convertedCard = convertCardToScheduler(card, scheduler.id);
+  return {
+    ...scheduler.schedule(convertedCard, quality, now),
+    scheduler: scheduler.id
+  };
+};
+
+const MS_PER_MINUTE = 60 * 1000;
+
+/**
+ * Check whether a card is in (re)learning steps rather than day-based review
+ * @param {object} card - Card
+ * @returns {boolean} - True if the card has a pending learning step
+ */
+export const isInLearningSteps = (card) => card.learningStep !== null && card.learningStep !== undefined;
+
+/**
+ * Review a card, applying learning steps before day-based scheduling
+ * New cards first go through `learningSteps` and lapsed cards through
+ * `relearningSteps` (both in minutes). Good advances a step, Hard repeats it,
+ * Again restarts at the first step and Easy graduates straight away. Only on
+ * graduation from learning - or on a lapse - does the day scheduler run.
+ * @param {object} card - Card before the review
+ * @param {number} quality - Response quality
+ * @param {object} options - {scheduler, learningSteps, relearningSteps}
+ * @param {Date} now - Time of the review
+ * @returns {object} - SRS fields to merge into the card, incl. nextReview and learningStep
+ */
+export const reviewCard = (card, quality, options = {}, now = new Date()) => {
+  const { scheduler, learningSteps = [], relearningSteps = [] } = options;
+  const inSteps = isInLearningSteps(card);
+  const isNew = !inSteps && !card.totalReviews;
+  const steps = card.isRelearning ? relearningSteps : learningSteps;
+
+  const stepResult = (learningStep, isRelearning) => ({
+    learningStep,
+    isRelearning,
+    nextReview: new Date(now.getTime() + steps[learningStep] * MS_PER_MINUTE).toISOString()
+  });
+  const graduated = (fields) => ({
+    ...fields,
+    learningStep: null,
+    isRelearning: false,
+    nextReview: calculateNextReviewDate(fields.interval, now)
+  });
+
+  if ((isNew || inSteps) && steps.length > 0) {
+    const currentStep = isNew ? 0 : Math.min(card.learningStep, steps.length - 1);
+
+    if (quality === QUALITY.AGAIN) {
+      return stepResult(0, !!card.isRelearning);
+    }
+    if (quality === QUALITY.HARD) {
+      return stepResult(currentStep, !!card.isRelearning);
+    }
+    if (quality === QUALITY.GOOD && currentStep + 1 < steps.length) {
+      return stepResult(currentStep + 1, !!card.isRelearning);
+    }
+    // Graduating: relearning cards keep the interval set when they lapsed
+    if (card.isRelearning) {
+      return graduated({ interval: card.interval || 1 });
+    }
+    return graduated(scheduleCard(card, quality, scheduler, now));
+  }
+
+  const schedulerFields = scheduleCard(card, quality, scheduler, now);
+  if (quality === QUALITY.AGAIN && !isNew && relearningSteps.length > 0) {
+    // Lapse: the scheduler has already shortened the interval, now relearn it
+    return {
+      ...schedulerFields,
+      learningStep: 0,
+      isRelearning: true,
+      nextReview: new Date(now.getTime() + relearningSteps[0] * MS_PER_MINUTE).toISOString()
+    };
+  }
+  return graduated(schedulerFields);
+};
+
+/**
+ * Project how long each quality would put a card away for, for display
+ * under the rating buttons
+ * @param {object} card - Card with SRS fields
+ * @param {object} options - Review options (see reviewCard)
+ * @returns {object} - Map of quality to delay in (fractional) days
+ */
+export const previewIntervals = (card, options = {}) => {
+  const now = new Date();
+  const previews = {};
+  Object.values(QUALITY).forEach(quality => {
+    const { nextReview } = reviewCard(card, quality, options, now);
+    previews[quality] = (new Date(nextReview) - now) / MS_PER_DAY;
+  });
+  return previews;
+};
+
+/**
+ * Format an interval for compact display (e.g. "10m", "1d", "3.5mo")
+ * @param {number} days - Interval in (fractional) days
+ * @returns {string} - Short human-readable interval
+ */
+export const formatInterval = (days) => {
+  if (days < 1 / 24) return `${Math.max(1, Math.round(days * 24 * 60))}m`;
+  if (days < 1) return `${Math.round(days * 24)}h`;
+  if (days < 30) return `${Math.round(days)}d`;
+  if (days < 365) return `${Math.round(days / 30 * 10) / 10}mo`;
+  return `${Math.round(days / 365 * 10) / 10}y`;
+};
+
 /**
  * Calculate the next review date based on interval
  * @param {number} interval - Interval in days
+ * @param {Date} now - Date to count from (defaults to now)
  * @returns {string} - ISO date string for next review
  */
-export const calculateNextReviewDate = (interval) => {
+export const calculateNextReviewDate = (interval, now = new Date()) => {
   // Validate input
   if (typeof interval !== 'number' || isNaN(interval) || interval < 0) {
     console.warn('Invalid interval provided to calculateNextReviewDate:', interval);
     interval = 1; // Default to 1 day
   }
   
-  const nextReview = new Date();
+  const nextReview = new Date(now.getTime());
   nextReview.setDate(nextReview.getDate() + Math.round(interval));
   
   // Validate the resulting date
@@ -91,27 +430,46 @@ export const calculateNextReviewDate = (interval) => {
 
 /**
  * Check if a card is due for review
- * @param {string} nextReviewDate - ISO date string
+ * Cards in learning steps are due at their exact time; day-based reviews are
+ * due from the start of their scheduled study day.
+ * @param {object} card - Card with SRS fields
+ * @param {object} options - {dayRolloverHour, timeZone}
+ * @param {Date} now - Current time
  * @returns {boolean} - True if card is due
  */
-export const isCardDue = (nextReviewDate) => {
-  if (!nextReviewDate) return true;
-  const now = new Date();
-  const reviewDate = new Date(nextReviewDate);
-  return now >= reviewDate;
+export const isCardDue = (card, options = {}, now = new Date()) => {
+  if (!card.nextReview) return true;
+  if (isInLearningSteps(card)) {
+    return new Date(card.nextReview) <= now;
+  }
+  return isStudyDayReached(card.nextReview, options, now);
+};
+
+/**
+ * Check if a studied card's day-based review was scheduled for an earlier study day
+ * @param {object} card - Card with SRS fields
+ * @param {object} options - {dayRolloverHour, timeZone}
+ * @param {Date} now - Current time
+ * @returns {boolean} - True if card is overdue
+ */
+export const isCardOverdue = (card, options = {}, now = new Date()) => {
+  if (!card.nextReview || !card.totalReviews || isInLearningSteps(card)) return false;
+  return isBeforeStudyDay(card.nextReview, options, now);
 };
 
 /**
  * Get cards that are due for review (only cards that have been studied before)
  * @param {Array} words - Array of word objects
+ * @param {object} options - {dayRolloverHour, timeZone}
  * @returns {Array} - Array of due words with their indices
  */
-export const getDueCards = (words) => {
+export const getDueCards = (words, options = {}) => {
+  const now = new Date();
   return words
     .map((word, index) => ({ ...word, originalIndex: index }))
     .filter(word => {
       // Only include cards that have been studied at least once and are due
-      return word.totalReviews > 0 && isCardDue(word.nextReview);
+      return word.totalReviews > 0 && isCardDue(word, options, now);
     })
     .sort((a, b) => {
       // Sort by next review date (oldest first)
@@ -125,9 +483,11 @@ export const getDueCards = (words) => {
 /**
  * Get statistics about card distribution
  * @param {Array} words - Array of word objects
+ * @param {object} options - {dayRolloverHour, timeZone}
  * @returns {object} - Statistics object
  */
-export const getCardStats = (words) => {
+export const getCardStats = (words, options = {}) => {
+  const now = new Date();
   const stats = {
     total: words.length,
     new: 0,
@@ -135,6 +495,7 @@ export const getCardStats = (words) => {
     learned: 0,
     review: 0,
     due: 0,
+    overdue: 0,
     mature: 0 // Cards with interval >= 21 days
   };
 
@@ -157,9 +518,12 @@ export const getCardStats = (words) => {
     }
 
     // Only count cards as due if they have been studied before
-    if (word.totalReviews > 0 && isCardDue(word.nextReview)) {
+    if (word.totalReviews > 0 && isCardDue(word, options, now)) {
       stats.due++;
     }
+    if (isCardOverdue(word, options, now)) {
+      stats.overdue++;
+    }
   });
 
   return stats;
@@ -169,9 +533,10 @@ export const getCardStats = (words) => {
  * Quality descriptions for UI
  */
 export const QUALITY_DESCRIPTIONS = {
-  0: { label: 'Hard', description: 'Difficult or incorrect', color: '#e74c3c' },
-  1: { label: 'Okay', description: 'Correct with effort', color: '#f39c12' },
-  2: { label: 'Learned', description: 'Easy and confident', color: '#27ae60' }
+  [QUALITY.AGAIN]: { label: 'Again', description: 'Forgot or incorrect', color: '#e74c3c', key: '1' },
+  [QUALITY.HARD]: { label: 'Hard', description: 'Correct with effort', color: '#f39c12', key: '2' },
+  [QUALITY.GOOD]: { label: 'Good', description: 'Correct after a moment', color: '#27ae60', key: '3' },
+  [QUALITY.EASY]: { label: 'Easy', description: 'Instant and confident', color: '#3b82f6', key: '4' }
 };
 
 /**
@@ -186,7 +551,7 @@ export const migrateWordsToSRS = (words) => {
       return {
         ...word,
         article: word.article || "", // Add article if missing
-        type: word.type || "verb" // Add default type if missing
+        type: word.type || "" // Unknown types are filled in from the dataset on load
       };
     }
 
@@ -208,9 +573,8 @@ export const migrateWordsToSRS = (words) => {
 
     return {
       ...word,
-      id: word.id || `word-${Math.random().toString(36).substr(2, 9)}`,
       article: word.article || "", // Add article property
-      type: word.type || "verb", // Add type property with default
+      type: word.type || "", // Unknown types are filled in from the dataset on load
       nextReview,
       interval,
       easeFactor,
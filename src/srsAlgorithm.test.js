@@ -0,0 +1,39 @@
+import { reviewCard, convertCardToScheduler, calculateFsrsState, QUALITY } from "./srsAlgorithm";
+import { createTrackState } from "./cardTracks";
+
+const OPTIONS = { scheduler: "fsrs", learningSteps: [1, 10], relearningSteps: [10] };
+
+// Rate a card the way the study view does: review, then count the rating
+const rate = (card, quality, now) => ({
+  ...card,
+  ...reviewCard(card, quality, OPTIONS, now),
+  lastReviewed: now.toISOString(),
+  totalReviews: (card.totalReviews || 0) + 1,
+});
+
+describe("FSRS for cards without a scheduler stamp", () => {
+  test("a new card graduating from its learning steps gets FSRS's initial state", () => {
+    const start = new Date("2025-06-15T12:00:00Z");
+    const card = { id: "neu", ...createTrackState() };
+
+    const afterFirstStep = rate(card, QUALITY.GOOD, start);
+    const graduated = rate(afterFirstStep, QUALITY.GOOD, new Date(start.getTime() + 60 * 1000));
+    const initial = calculateFsrsState(QUALITY.GOOD, createTrackState());
+
+    expect(graduated.learningStep).toBeNull();
+    expect(graduated.scheduler).toBe("fsrs");
+    expect(graduated.stability).toBeCloseTo(initial.stability);
+    expect(graduated.difficulty).toBeCloseTo(initial.difficulty);
+    expect(graduated.stability).toBeGreaterThan(1);
+  });
+
+  test("only cards that were day-scheduled are converted from SM-2", () => {
+    const inFirstSteps = { ...createTrackState(), totalReviews: 1, learningStep: 1 };
+    const relearning = { ...createTrackState(), totalReviews: 5, interval: 8, learningStep: 0, isRelearning: true };
+    const reviewed = { ...createTrackState(), totalReviews: 4, interval: 12 };
+
+    expect(convertCardToScheduler(inFirstSteps, "fsrs").stability).toBeNull();
+    expect(convertCardToScheduler(relearning, "fsrs").stability).toBe(8);
+    expect(convertCardToScheduler(reviewed, "fsrs").stability).toBe(12);
+  });
+});
@@ -0,0 +1,268 @@
+/**
+ * Study Queue - Flashcard Deutscher
+ *
+ * Builds the ordered list of cards for each study mode. Everything here is a
+ * pure function of the cards, settings and current time; randomness comes from
+ * a seeded generator so the same seed always produces the same queue and a
+ * queue rebuilt after a rating does not reshuffle the whole session. Queues
+ * hold track views (see cardTracks.js) of the tracks being practised; when
+ * several tracks are studied together each card appears once per track.
+ */
+
+import { isCardDue, isCardOverdue, isInLearningSteps } from "./srsAlgorithm";
+import { getTrackView, MEANING_TRACK } from "./cardTracks";
+import { isArticleCard } from "./answerMatching";
+import { isClozeCard } from "./cloze";
+import { isConjugationCard, getConjugationForm } from "./conjugation";
+import { isPluralCard } from "./nounForms";
+import { isSentenceCard } from "./verbSentences";
+import { createRandom, shuffle } from "./random";
+
+/**
+ * Interleave groups of cards, drawing from each group in proportion to its weight
+ * Each group keeps its own order. A card that appears in several groups is
+ * only queued the first time it is drawn. Cards are track views (see cardTracks.js).
+ * @param {Array} groups - [{cards, weight}]
+ * @param {Function} random - Random number generator
+ * @returns {Array} - Interleaved cards without duplicate keys
+ */
+export const weightedInterleave = (groups, random) => {
+  const pending = groups
+    .filter((group) => group.cards.length > 0 && group.weight > 0)
+    .map((group) => ({ cards: group.cards, weight: group.weight, next: 0 }));
+  const seen = new Set();
+  const result = [];
+
+  while (pending.length > 0) {
+    const totalWeight = pending.reduce((sum, group) => sum + group.weight, 0);
+    let pick = random() * totalWeight;
+    let groupIndex = 0;
+    while (groupIndex < pending.length - 1 && pick >= pending[groupIndex].weight) {
+      pick -= pending[groupIndex].weight;
+      groupIndex++;
+    }
+
+    const group = pending[groupIndex];
+    const card = group.cards[group.next++];
+    if (!seen.has(card.key)) {
+      seen.add(card.key);
+      result.push(card);
+    }
+    if (group.next >= group.cards.length) {
+      pending.splice(groupIndex, 1);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Check whether a card has never been rated
+ * @param {object} card - Card
+ * @returns {boolean} - True for new cards
+ */
+export const isNewCard = (card) => card.status === null || !card.totalReviews;
+
+/**
+ * Order cards so due ones come first, breaking ties with a mode-specific comparator
+ * @param {Array} cards - Cards to order
+ * @param {object} context - Queue context (see buildStudyQueue)
+ * @param {Function} compareDue - Comparator for two due cards
+ * @param {Function} compareLater - Comparator for two cards that are not due
+ * @returns {Array} - Sorted copy
+ */
+const sortDueFirst = (cards, { settings, now }, compareDue, compareLater) => {
+  const due = new Map(cards.map((card) => [card.key, !!card.nextReview && isCardDue(card, settings, now)]));
+  return [...cards].sort((a, b) => {
+    const aIsDue = due.get(a.key);
+    const bIsDue = due.get(b.key);
+    if (aIsDue !== bIsDue) return aIsDue ? -1 : 1;
+    return aIsDue ? compareDue(a, b) : compareLater(a, b);
+  });
+};
+
+const byEase = (a, b) => (a.easeFactor || 2.5) - (b.easeFactor || 2.5);
+const byInterval = (a, b) => (a.interval || 1) - (b.interval || 1);
+const byMistakesThenEase = (a, b) => (b.mistakeCount || 0) - (a.mistakeCount || 0) || byEase(a, b);
+
+/**
+ * Cards each drill mode can study at all, checked before track views are
+ * built so modes with many tracks only build views of the cards they use
+ */
+const MODE_CARD_FILTERS = {
+  articles: isArticleCard,
+  cloze: isClozeCard,
+  conjugation: isConjugationCard,
+  plurals: isPluralCard,
+  sentences: isSentenceCard,
+};
+
+/**
+ * Get the cards a study mode can study
+ * @param {Array} cards - Study cards
+ * @param {string} mode - Study mode
+ * @returns {Array} - Cards the mode's exercise can ask
+ */
+export const getModeCards = (cards, mode) => (MODE_CARD_FILTERS[mode] ? cards.filter(MODE_CARD_FILTERS[mode]) : cards);
+
+/**
+ * Queue builders per study mode
+ * Each takes the mode's track views (see getModeCards) and the queue context
+ * and returns ordered cards.
+ */
+export const QUEUE_BUILDERS = {
+  // Smart Random: overdue reviews (most overdue first), due reviews and new
+  // cards within today's limits, with overdue cards drawn twice as often
+  random: (cards, { settings, now, remaining, random }) => {
+    const overdueCards = cards
+      .filter((card) => isCardOverdue(card, settings, now))
+      .sort((a, b) => new Date(a.nextReview) - new Date(b.nextReview))
+      .slice(0, remaining.reviews);
+    const dueCards = cards.filter(
+      (card) => card.totalReviews > 0 && isCardDue(card, settings, now) && !isCardOverdue(card, settings, now)
+    );
+    const newCards = cards.filter(isNewCard);
+
+    return weightedInterleave(
+      [
+        { cards: overdueCards, weight: 2 },
+        { cards: shuffle(dueCards, random).slice(0, Math.max(0, remaining.reviews - overdueCards.length)), weight: 1 },
+        { cards: shuffle(newCards, random).slice(0, remaining.newCards), weight: 1 },
+      ],
+      random
+    );
+  },
+
+  // New Words: unrated cards, oldest first, as many as today's limit allows
+  new: (cards, { remaining }) =>
+    cards
+      .filter(isNewCard)
+      .sort((a, b) => new Date(a.createdDate || 0) - new Date(b.createdDate || 0))
+      .slice(0, remaining.newCards),
+
+  // Viewed Words: due cards most overdue first, then the hardest (lowest ease)
+  learning: (cards, context) =>
+    sortDueFirst(
+      cards.filter((card) => card.status === "learning"),
+      context,
+      (a, b) => new Date(a.nextReview) - new Date(b.nextReview),
+      byEase
+    ),
+
+  // Difficult Words: due cards first, each group by mistakes then ease
+  review: (cards, context) =>
+    sortDueFirst(
+      cards.filter((card) => card.status === "review"),
+      context,
+      byMistakesThenEase,
+      byMistakesThenEase
+    ),
+
+  // Learned Words: due maintenance reviews first, shortest intervals first
+  learned: (cards, context) =>
+    sortDueFirst(
+      cards.filter((card) => card.status === "learned"),
+      context,
+      byInterval,
+      byInterval
+    ),
+
+  // Der/Die/Das: nouns scheduled like Smart Random on their article track
+  articles: (cards, context) => QUEUE_BUILDERS.random(cards, context),
+
+  // Fill the Gap: cards whose word can be found in their sentence, on the cloze track
+  cloze: (cards, context) => QUEUE_BUILDERS.random(cards, context),
+
+  // Listening: every card, scheduled like Smart Random on the listening track
+  listening: (cards, context) => QUEUE_BUILDERS.random(cards, context),
+
+  // Speaking: every card, scheduled like Smart Random on the speaking track
+  speaking: (cards, context) => QUEUE_BUILDERS.random(cards, context),
+
+  // Conjugation: verb forms that exist (impersonal verbs only have "es"), each on its own track
+  conjugation: (cards, context) => QUEUE_BUILDERS.random(cards.filter((card) => !!getConjugationForm(card)), context),
+
+  // Plurals: nouns with a single plural form, on the plural track
+  plurals: (cards, context) => QUEUE_BUILDERS.random(cards, context),
+
+  // Verb Sentences: separable and reflexive verbs, on the sentence track
+  sentences: (cards, context) => QUEUE_BUILDERS.random(cards, context),
+};
+
+/**
+ * Move learning-step cards whose timer has elapsed right after the current card
+ * so they come up next, whichever mode they would normally belong to
+ * @param {Array} queue - Queue built for the study mode
+ * @param {Array} cards - All study cards
+ * @param {object} context - Queue context (see buildStudyQueue)
+ * @returns {Array} - Queue with due learning-step cards inserted
+ */
+export const insertDueLearningSteps = (queue, cards, { settings, now, currentCardKey }) => {
+  const dueStepCards = cards.filter(
+    (card) => isInLearningSteps(card) && isCardDue(card, settings, now) && card.key !== currentCardKey
+  );
+  if (dueStepCards.length === 0) return queue;
+
+  const dueStepKeys = new Set(dueStepCards.map((card) => card.key));
+  const rest = queue.filter((card) => !dueStepKeys.has(card.key));
+  const currentIndex = rest.findIndex((card) => card.key === currentCardKey);
+  return [...rest.slice(0, currentIndex + 1), ...dueStepCards, ...rest.slice(currentIndex + 1)];
+};
+
+/**
+ * Keep sibling views of one card (e.g. both directions) from following each
+ * other, so the second one is not answered straight from the first
+ * Each view that would repeat the previous card swaps with the next view of a
+ * different card. Near the end of the queue, where no such view is left, it
+ * moves back to the first gap between two other cards instead. The current
+ * card keeps its place.
+ * @param {Array} queue - Ordered track views
+ * @returns {Array} - Queue with siblings spread apart where possible
+ */
+export const spreadSiblings = (queue) => {
+  const result = [...queue];
+  for (let i = 1; i < result.length; i++) {
+    const { id } = result[i];
+    if (id !== result[i - 1].id) continue;
+    const swapIndex = result.findIndex((card, index) => index > i && card.id !== id);
+    if (swapIndex !== -1) {
+      [result[i], result[swapIndex]] = [result[swapIndex], result[i]];
+      continue;
+    }
+    const gapIndex = result.findIndex(
+      (card, index) => index > 0 && index < i && card.id !== id && result[index - 1].id !== id
+    );
+    if (gapIndex === -1) break;
+    const [view] = result.splice(i, 1);
+    result.splice(gapIndex, 0, view);
+  }
+  return result;
+};
+
+/**
+ * Build the study queue for a mode
+ * @param {Array} cards - Study cards (retired cards already removed)
+ * @param {string} mode - Study mode ("random", "new", "learning", "review",
+ *   "learned", "articles", "cloze", "listening", "speaking", "conjugation",
+ *   "plurals", "sentences")
+ * @param {object} options - {settings, remaining: {newCards, reviews}, now,
+ *   seed, currentCardKey, tracks}
+ * @returns {Array} - Ordered track views to study
+ */
+export const buildStudyQueue = (cards, mode, options = {}) => {
+  const {
+    tracks = [MEANING_TRACK],
+    settings = {},
+    remaining = { newCards: Infinity, reviews: Infinity },
+    now = new Date(),
+    seed = 0,
+    currentCardKey = null,
+  } = options;
+  const context = { settings, remaining, now, currentCardKey, random: createRandom(seed) };
+  const modeCards = getModeCards(cards, mode);
+  const views = tracks.flatMap((track) => modeCards.map((card) => getTrackView(card, track)));
+  const builder = QUEUE_BUILDERS[mode];
+  const queue = builder ? builder(views, context) : views;
+  const withSteps = insertDueLearningSteps(queue, views, context);
+  return tracks.length > 1 ? spreadSiblings(withSteps) : withSteps;
+};
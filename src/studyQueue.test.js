@@ -0,0 +1,242 @@
+import {
+  QUEUE_BUILDERS,
+  buildStudyQueue,
+  weightedInterleave,
+  insertDueLearningSteps,
+  spreadSiblings,
+} from "./studyQueue";
+import { getTrackView, MEANING_TRACK, REVERSE_TRACK } from "./cardTracks";
+import { createRandom } from "./random";
+
+const NOW = new Date("2025-06-15T12:00:00Z");
+const SETTINGS = { dayRolloverHour: 4, timeZone: "UTC" };
+const UNLIMITED = { newCards: Infinity, reviews: Infinity };
+
+const daysFromNow = (days) => new Date(NOW.getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+const minutesFromNow = (minutes) => new Date(NOW.getTime() + minutes * 60 * 1000).toISOString();
+
+// A stored card; the meaning track's SRS fields live at the top level
+const makeCard = (id, fields = {}) => ({
+  id,
+  word: id,
+  status: null,
+  nextReview: null,
+  interval: 1,
+  easeFactor: 2.5,
+  totalReviews: 0,
+  mistakeCount: 0,
+  learningStep: null,
+  createdDate: "2025-01-01",
+  ...fields,
+});
+
+const newCard = (id, fields) => makeCard(id, fields);
+const reviewedCard = (id, days, fields) =>
+  makeCard(id, { status: "learning", totalReviews: 3, nextReview: daysFromNow(days), ...fields });
+
+const views = (cards) => cards.map((card) => getTrackView(card));
+const ids = (queue) => queue.map((card) => card.id);
+const context = (fields = {}) => ({
+  settings: SETTINGS,
+  now: NOW,
+  remaining: UNLIMITED,
+  random: createRandom(1),
+  currentCardKey: null,
+  ...fields,
+});
+
+describe("QUEUE_BUILDERS", () => {
+  test("random: queues overdue, due and new cards, leaves out later ones, respects the limits", () => {
+    const cards = [
+      reviewedCard("overdue-3", -3),
+      reviewedCard("overdue-1", -1),
+      reviewedCard("due", 0),
+      reviewedCard("later", 5),
+      ...["n1", "n2", "n3", "n4"].map((id) => newCard(id)),
+    ];
+
+    const queue = QUEUE_BUILDERS.random(views(cards), context({ remaining: { newCards: 2, reviews: 10 } }));
+
+    expect(ids(queue)).not.toContain("later");
+    expect(ids(queue)).toEqual(expect.arrayContaining(["overdue-3", "overdue-1", "due"]));
+    expect(ids(queue).filter((id) => id.startsWith("n"))).toHaveLength(2);
+    // Most overdue first
+    expect(ids(queue).indexOf("overdue-3")).toBeLessThan(ids(queue).indexOf("overdue-1"));
+  });
+
+  test("random: overdue cards use up the review limit first", () => {
+    const cards = [reviewedCard("overdue-2", -2), reviewedCard("overdue-1", -1), reviewedCard("due", 0)];
+
+    const queue = QUEUE_BUILDERS.random(views(cards), context({ remaining: { newCards: 0, reviews: 1 } }));
+
+    expect(ids(queue)).toEqual(["overdue-2"]);
+  });
+
+  test("new: only unrated cards, oldest first, up to the new card limit", () => {
+    const cards = [
+      newCard("newest", { createdDate: "2025-03-01" }),
+      reviewedCard("studied", 0),
+      newCard("oldest", { createdDate: "2025-01-01" }),
+      newCard("middle", { createdDate: "2025-02-01" }),
+    ];
+
+    const queue = QUEUE_BUILDERS.new(views(cards), context({ remaining: { newCards: 2, reviews: 0 } }));
+
+    expect(ids(queue)).toEqual(["oldest", "middle"]);
+  });
+
+  test("learning: due cards most overdue first, then the lowest ease", () => {
+    const cards = [
+      reviewedCard("later-easy", 3, { easeFactor: 2.6 }),
+      reviewedCard("due-today", 0),
+      reviewedCard("later-hard", 2, { easeFactor: 1.4 }),
+      reviewedCard("due-earlier", -2),
+      reviewedCard("learned", -2, { status: "learned" }),
+    ];
+
+    const queue = QUEUE_BUILDERS.learning(views(cards), context());
+
+    expect(ids(queue)).toEqual(["due-earlier", "due-today", "later-hard", "later-easy"]);
+  });
+
+  test("review: due difficult cards first, each group by mistakes then ease", () => {
+    const cards = [
+      reviewedCard("later-many", 3, { status: "review", mistakeCount: 9 }),
+      reviewedCard("due-few", 0, { status: "review", mistakeCount: 1 }),
+      reviewedCard("due-many", -1, { status: "review", mistakeCount: 5 }),
+      reviewedCard("due-few-hard", 0, { status: "review", mistakeCount: 1, easeFactor: 1.3 }),
+      reviewedCard("learning", 0),
+    ];
+
+    const queue = QUEUE_BUILDERS.review(views(cards), context());
+
+    expect(ids(queue)).toEqual(["due-many", "due-few-hard", "due-few", "later-many"]);
+  });
+
+  test("learned: due maintenance reviews first, shortest intervals first", () => {
+    const cards = [
+      reviewedCard("later-short", 4, { status: "learned", interval: 4 }),
+      reviewedCard("due-long", 0, { status: "learned", interval: 60 }),
+      reviewedCard("due-short", -1, { status: "learned", interval: 10 }),
+      reviewedCard("later-long", 30, { status: "learned", interval: 30 }),
+      reviewedCard("learning", 0),
+    ];
+
+    const queue = QUEUE_BUILDERS.learned(views(cards), context());
+
+    expect(ids(queue)).toEqual(["due-short", "due-long", "later-short", "later-long"]);
+  });
+});
+
+describe("buildStudyQueue", () => {
+  const cards = Array.from({ length: 30 }, (_, index) => newCard(`word-${index}`));
+  const options = (seed) => ({ settings: SETTINGS, now: NOW, seed });
+
+  test("the same seed gives the same order", () => {
+    expect(ids(buildStudyQueue(cards, "random", options(42)))).toEqual(ids(buildStudyQueue(cards, "random", options(42))));
+  });
+
+  test("different seeds give different orders", () => {
+    const first = ids(buildStudyQueue(cards, "random", options(1)));
+    const second = ids(buildStudyQueue(cards, "random", options(2)));
+
+    expect(first).not.toEqual(second);
+    expect([...first].sort()).toEqual([...second].sort());
+  });
+
+  test("several tracks queue each card once per track without siblings back to back", () => {
+    const queue = buildStudyQueue(cards.slice(0, 5), "new", {
+      ...options(3),
+      tracks: [MEANING_TRACK, REVERSE_TRACK],
+    });
+
+    expect(queue).toHaveLength(10);
+    expect(new Set(queue.map((card) => card.key)).size).toBe(10);
+    queue.slice(1).forEach((card, index) => expect(card.id).not.toBe(queue[index].id));
+  });
+});
+
+describe("weightedInterleave", () => {
+  test("never emits a card twice, even if it is in several groups", () => {
+    const shared = views([newCard("a"), newCard("b"), newCard("c")]);
+    const groups = [
+      { cards: shared, weight: 2 },
+      { cards: [...views([newCard("d")]), ...shared], weight: 1 },
+      { cards: shared.slice(1), weight: 1 },
+    ];
+
+    const result = weightedInterleave(groups, createRandom(7));
+
+    expect(ids(result).sort()).toEqual(["a", "b", "c", "d"]);
+  });
+
+  test("keeps each group's own order and skips empty or weightless groups", () => {
+    const first = views([newCard("a1"), newCard("a2"), newCard("a3")]);
+    const second = views([newCard("b1"), newCard("b2")]);
+
+    const result = ids(
+      weightedInterleave(
+        [
+          { cards: first, weight: 1 },
+          { cards: [], weight: 5 },
+          { cards: second, weight: 1 },
+          { cards: views([newCard("never")]), weight: 0 },
+        ],
+        createRandom(5)
+      )
+    );
+
+    expect(result.filter((id) => id.startsWith("a"))).toEqual(["a1", "a2", "a3"]);
+    expect(result.filter((id) => id.startsWith("b"))).toEqual(["b1", "b2"]);
+    expect(result).not.toContain("never");
+  });
+});
+
+describe("insertDueLearningSteps", () => {
+  const stepCard = (id, minutes) =>
+    makeCard(id, { status: "learning", totalReviews: 1, learningStep: 0, nextReview: minutesFromNow(minutes) });
+
+  test("moves learning-step cards whose timer ran out right after the current card", () => {
+    const cards = views([newCard("a"), newCard("b"), newCard("c"), stepCard("step", -1)]);
+    const queue = cards.filter((card) => card.id !== "step");
+    queue.push(cards[3]);
+
+    const result = insertDueLearningSteps(queue, cards, context({ currentCardKey: cards[0].key }));
+
+    expect(ids(result)).toEqual(["a", "step", "b", "c"]);
+  });
+
+  test("puts due steps first without a current card and leaves waiting steps alone", () => {
+    const cards = views([newCard("a"), stepCard("waiting", 10), stepCard("step", -5)]);
+
+    const result = insertDueLearningSteps(cards, cards, context());
+
+    expect(ids(result)).toEqual(["step", "a", "waiting"]);
+  });
+
+  test("does not move the current card itself", () => {
+    const cards = views([newCard("a"), stepCard("step", -1), newCard("b")]);
+
+    const result = insertDueLearningSteps(cards, cards, context({ currentCardKey: cards[1].key }));
+
+    expect(ids(result)).toEqual(["a", "step", "b"]);
+  });
+});
+
+describe("spreadSiblings", () => {
+  const siblings = (id) => [getTrackView(newCard(id), MEANING_TRACK), getTrackView(newCard(id), REVERSE_TRACK)];
+
+  test("separates views of the same card", () => {
+    const result = spreadSiblings([...siblings("a"), ...siblings("b"), ...siblings("c")]);
+
+    expect(result).toHaveLength(6);
+    result.slice(1).forEach((card, index) => expect(card.id).not.toBe(result[index].id));
+  });
+
+  test("keeps the first card in place and gives up when only siblings are left", () => {
+    const queue = [...siblings("a"), ...siblings("b")].slice(0, 3);
+
+    expect(ids(spreadSiblings(queue))).toEqual(["a", "b", "a"]);
+    expect(ids(spreadSiblings(siblings("a")))).toEqual(["a", "a"]);
+  });
+});
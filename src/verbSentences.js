@@ -0,0 +1,70 @@
+/**
+ * Verb Sentences - Flashcard Deutscher
+ *
+ * Main-clause sentences for the sentence drill, built from a separable or
+ * reflexive verb's Präsens form: "Ich ___ ___ morgen ___" for "sich
+ * anziehen" is answered "ziehe mich an". The finite verb, the reflexive
+ * pronoun and the separable prefix are left out; the subject and a time
+ * adverb stay, so the user has to put the split verb back around them.
+ * Person and adverb change with every review of the card.
+ */
+
+import { getConjugation, getVerbDetails } from "./conjugation";
+import { hashString } from "./random";
+
+// Sentence subject for each person (see PERSONS in conjugation.js)
+const SUBJECTS = ["Ich", "Du", "Er", "Wir", "Ihr", "Sie"];
+const IMPERSONAL_SUBJECT = "Es";
+const THIRD_PERSON = 2;
+
+// Time adverbs placed between the verb and its separated parts
+const ADVERBS = ["morgen", "heute", "jetzt", "gleich", "bald", "oft"];
+
+/**
+ * Check whether a card can be used for the sentence drill
+ * @param {object} card - Card
+ * @returns {boolean} - True for separable or reflexive verbs with a Präsens
+ */
+export const isSentenceCard = (card) => {
+  const details = getVerbDetails(card);
+  if (!details || (!details.separablePrefix && !details.reflexive)) return false;
+  const conjugation = getConjugation(card);
+  return !!conjugation && !!conjugation.present[THIRD_PERSON];
+};
+
+/**
+ * Build the sentence a card is asked with
+ * @param {object} card - Card (track view on the sentence track)
+ * @returns {object|null} - {parts: [{text, gap}], sentence, gapWords}, or
+ *   null if the card cannot be drilled
+ */
+export const getVerbSentence = (card) => {
+  if (!isSentenceCard(card)) return null;
+  const details = getVerbDetails(card);
+  const conjugation = getConjugation(card);
+
+  const seed = hashString(`${card.id}:${card.totalReviews || 0}`);
+  const person = conjugation.impersonal ? THIRD_PERSON : seed % SUBJECTS.length;
+  const subject = conjugation.impersonal ? IMPERSONAL_SUBJECT : SUBJECTS[person];
+  const adverb = ADVERBS[Math.floor(seed / SUBJECTS.length) % ADVERBS.length];
+
+  // "ziehe mich an": finite verb, then the pronoun, complement and prefix
+  const [finite, ...rest] = conjugation.present[person].split(" ");
+  const pronoun = details.reflexive ? rest.shift() : null;
+  const prefix = details.separablePrefix && rest[rest.length - 1] === details.separablePrefix ? rest.pop() : null;
+
+  const parts = [
+    { text: subject, gap: false },
+    { text: finite, gap: true },
+    pronoun && { text: pronoun, gap: true },
+    { text: adverb, gap: false },
+    ...rest.map((text) => ({ text, gap: false })),
+    prefix && { text: prefix, gap: true },
+  ].filter(Boolean);
+
+  return {
+    parts,
+    sentence: parts.map((part) => part.text).join(" "),
+    gapWords: parts.filter((part) => part.gap).map((part) => part.text).join(" "),
+  };
+};
@@ -0,0 +1,159 @@
+/**
+ * Word Dataset Loader - Flashcard Deutscher
+ *
+ * Turns entries from initialWords.json into study cards with stable IDs and
+ * merges the bundled dataset into previously saved cards, so that editing the
+ * dataset never wipes anyone's SRS progress. Cards the user wrote into their
+ * own decks (see decks.js) are kept as they are, and user corrections to
+ * dataset cards (see cardOverrides.js) stay on top of the dataset content.
+ */
+
+import { applyOverrides } from "./cardOverrides";
+
+/**
+ * Normalize a dataset field for use inside an ID
+ * @param {string} value - Raw field value
+ * @returns {string} - Lowercased, trimmed, whitespace-collapsed value
+ */
+const normalizeIdPart = (value) => {
+  return (value || "")
+    .normalize("NFC")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, "_");
+};
+
+/**
+ * Get the deterministic ID of a dataset entry
+ * Uses an explicit `id` from the JSON when present, otherwise derives one
+ * from word + article + type so the same entry always gets the same ID.
+ * @param {object} wordData - Dataset entry
+ * @returns {string} - Stable card ID
+ */
+export const getWordId = (wordData) => {
+  if (wordData.id) return String(wordData.id);
+  return [wordData.type, wordData.article, wordData.word].map(normalizeIdPart).join(":");
+};
+
+/**
+ * Create a fresh study card from a dataset entry
+ * @param {object} wordData - Dataset entry
+ * @returns {object} - Card with default SRS fields
+ */
+export const createCardFromData = (wordData) => ({
+  id: getWordId(wordData),
+  word: wordData.word,
+  article: wordData.article || "",
+  type: wordData.type,
+  sentence: wordData.sentence,
+  meaning: wordData.meaning,
+  sentenceMeaning: wordData.sentenceMeaning,
+  // CEFR level and topic category (see wordTags.js)
+  category: wordData.category || "",
+  level: wordData.level || "",
+  // Free-form tags and the user deck of cards written in the card editor (see decks.js)
+  ...(wordData.tags && { tags: wordData.tags }),
+  ...(wordData.deck && { deck: wordData.deck }),
+  // Optional conjugation overrides for verbs (see conjugation.js)
+  ...(wordData.conjugation && { conjugation: wordData.conjugation }),
+  // Plural and genitive singular of nouns (see nounForms.js)
+  ...(wordData.plural !== undefined && { plural: wordData.plural }),
+  ...(wordData.genitive !== undefined && { genitive: wordData.genitive }),
+  // Separable prefix, reflexive case and governed case/preposition of verbs (see conjugation.js)
+  ...(wordData.separablePrefix !== undefined && { separablePrefix: wordData.separablePrefix }),
+  ...(wordData.reflexive !== undefined && { reflexive: wordData.reflexive }),
+  ...(wordData.governs !== undefined && { governs: wordData.governs }),
+  count: 0,
+  status: null, // No default status - assigned when first rated
+  // SRS fields
+  nextReview: null,
+  interval: 1,
+  easeFactor: 2.5,
+  consecutiveCorrect: 0,
+  createdDate: new Date().toISOString(),
+  lastReviewed: null,
+  totalReviews: 0,
+  mistakeCount: 0,
+});
+
+/**
+ * Create fresh cards for the whole dataset
+ * @param {Array} dataset - Dataset entries
+ * @returns {Array} - Array of new cards
+ */
+export const createInitialCards = (dataset) => dataset.map(createCardFromData);
+
+/**
+ * Merge the bundled dataset into previously saved cards
+ * - Saved cards are matched by ID, or by word + article + type for cards saved
+ *   before IDs were deterministic (legacy random UUIDs), or by the word alone
+ *   for legacy cards saved before article and type existed
+ * - Matched cards keep their progress but pick up dataset content changes,
+ *   except for fields the user corrected
+ * - Dataset entries without a saved card are added as new cards
+ * - Saved cards no longer in the dataset are retired, not deleted, so their
+ *   progress comes back if the word is re-added later
+ * - Cards in a user deck are not part of the dataset and are kept unchanged
+ * @param {Array} savedCards - Cards loaded from storage
+ * @param {Array} dataset - Dataset entries
+ * @returns {object} - {cards, added, retired}
+ */
+export const mergeWithDataset = (savedCards, dataset) => {
+  const userCards = savedCards.filter((card) => card.deck);
+  const datasetCards = savedCards.filter((card) => !card.deck);
+  const savedById = new Map();
+  const savedByContent = new Map();
+  const untypedByWord = new Map();
+  datasetCards.forEach((card) => {
+    savedById.set(card.id, card);
+    savedByContent.set(getWordId({ ...card, id: undefined }), card);
+    if (!card.type) untypedByWord.set(card.word, card);
+  });
+
+  const matched = new Set();
+  let added = 0;
+
+  const cards = dataset.map((wordData) => {
+    const freshCard = createCardFromData(wordData);
+    const savedCard =
+      savedById.get(freshCard.id) ||
+      savedByContent.get(getWordId({ ...wordData, id: undefined })) ||
+      untypedByWord.get(wordData.word);
+
+    if (!savedCard || matched.has(savedCard)) {
+      added++;
+      return freshCard;
+    }
+
+    matched.add(savedCard);
+    const { retired, ...progress } = savedCard;
+    return applyOverrides({
+      ...progress,
+      id: freshCard.id,
+      word: freshCard.word,
+      article: freshCard.article,
+      type: freshCard.type,
+      sentence: freshCard.sentence,
+      meaning: freshCard.meaning,
+      sentenceMeaning: freshCard.sentenceMeaning,
+      category: freshCard.category,
+      level: freshCard.level,
+      conjugation: freshCard.conjugation,
+      plural: freshCard.plural,
+      genitive: freshCard.genitive,
+      separablePrefix: freshCard.separablePrefix,
+      reflexive: freshCard.reflexive,
+      governs: freshCard.governs,
+    });
+  });
+
+  const retiredCards = datasetCards
+    .filter((card) => !matched.has(card))
+    .map((card) => (card.retired ? card : { ...card, retired: true }));
+
+  return {
+    cards: [...cards, ...userCards, ...retiredCards],
+    added,
+    retired: retiredCards.length,
+  };
+};
@@ -0,0 +1,84 @@
+/**
+ * Word Tags - Flashcard Deutscher
+ *
+ * CEFR levels and topic categories of dataset entries, and the level and
+ * category filter the user can study and browse by. An empty selection means
+ * no restriction, so cards without a level or category are only hidden once
+ * the user picks one.
+ */
+
+// CEFR levels in the dataset, easiest first
+export const LEVELS = ["A1", "A2", "B1", "B2"];
+
+// Topic categories in display order
+export const CATEGORIES = [
+  { id: "food", label: "Food & Drink", icon: "restaurant" },
+  { id: "travel", label: "Travel & Transport", icon: "flight" },
+  { id: "work", label: "Work & Jobs", icon: "work" },
+  { id: "school", label: "School & Studies", icon: "school" },
+  { id: "home", label: "Home", icon: "home" },
+  { id: "people", label: "Family & People", icon: "people" },
+  { id: "health", label: "Body & Health", icon: "healing" },
+  { id: "clothing", label: "Clothing", icon: "checkroom" },
+  { id: "shopping", label: "Shopping & Money", icon: "shopping_cart" },
+  { id: "leisure", label: "Leisure & Sport", icon: "sports_soccer" },
+  { id: "nature", label: "Nature & Weather", icon: "park" },
+  { id: "time", label: "Time & Dates", icon: "event" },
+  { id: "town", label: "Town & Places", icon: "location_city" },
+  { id: "communication", label: "Communication & Media", icon: "forum" },
+  { id: "feelings", label: "Feelings & Character", icon: "mood" },
+  { id: "general", label: "General", icon: "notes" },
+];
+
+/**
+ * Get the display label of a category
+ * @param {string} categoryId - Category ID
+ * @returns {string} - Label, or the ID itself for unknown categories
+ */
+export const getCategoryLabel = (categoryId) => {
+  const category = CATEGORIES.find((entry) => entry.id === categoryId);
+  return category ? category.label : categoryId;
+};
+
+/**
+ * Check whether a card passes a level and category selection
+ * @param {object} card - Card
+ * @param {Array} levels - Selected levels, empty for all
+ * @param {Array} categories - Selected category IDs, empty for all
+ * @returns {boolean} - True if the card is in the selection
+ */
+export const matchesWordTags = (card, levels = [], categories = []) => {
+  return (
+    (levels.length === 0 || levels.includes(card.level)) &&
+    (categories.length === 0 || categories.includes(card.category))
+  );
+};
+
+/**
+ * Add a value to a selection, or remove it if already selected
+ * @param {Array} selection - Current selection
+ * @param {string} value - Level or category ID
+ * @returns {Array} - New selection
+ */
+export const toggleTag = (selection, value) => {
+  return selection.includes(value)
+    ? selection.filter((entry) => entry !== value)
+    : [...selection, value];
+};
+
+/**
+ * Count progress per CEFR level
+ * @param {Array} cards - Cards
+ * @returns {Array} - [{level, total, studied, learned}] for levels with cards
+ */
+export const getLevelProgress = (cards) => {
+  return LEVELS.map((level) => {
+    const levelCards = cards.filter((card) => card.level === level);
+    return {
+      level,
+      total: levelCards.length,
+      studied: levelCards.filter((card) => card.totalReviews > 0).length,
+      learned: levelCards.filter((card) => card.status === "learned").length,
+    };
+  }).filter((progress) => progress.total > 0);
+};